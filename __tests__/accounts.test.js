@@ -0,0 +1,89 @@
+jest.mock('../config', () => ({}));
+
+const config = require('../config');
+const { getAccounts, getAccount, getAccountFilePath } = require('../accounts');
+
+describe('getAccounts', () => {
+  beforeEach(() => {
+    config.settings = {
+      sortIntoCategoryFolders: true,
+      rejectedFolderName: 'AI Rejects',
+      markAllRejectedEmailsRead: true,
+      starAllKeptEmails: false,
+    };
+    config.categoryFolderNames = ['Auto/News'];
+    config.rules = { keep: 'personal', reject: 'newsletters' };
+    delete config.accounts;
+    process.env.TEST_IMAP_PASSWORD = 'secret';
+  });
+
+  afterAll(() => {
+    delete process.env.TEST_IMAP_PASSWORD;
+  });
+
+  test('falls back to one default account from the IMAP_* variables', () => {
+    process.env.IMAP_USER = 'me@example.com';
+    const [account] = getAccounts();
+    delete process.env.IMAP_USER;
+
+    expect(account).toMatchObject({
+      name: 'default',
+      isDefault: true,
+      host: 'imap.gmail.com',
+      port: 993,
+      secure: true,
+      auth: { user: 'me@example.com' },
+      categoryFolderNames: ['Auto/News'],
+      rejectedFolderName: 'AI Rejects',
+    });
+  });
+
+  test('builds each configured account over the top-level settings', () => {
+    config.accounts = [
+      {
+        name: 'work',
+        host: 'imap.work.example.com',
+        port: '143',
+        secure: false,
+        user: 'me@work.example.com',
+        passwordEnv: 'TEST_IMAP_PASSWORD',
+        starAllKeptEmails: true,
+        categoryFolderNames: ['Work/Lists'],
+        rules: { keep: 'customers' },
+      },
+      { user: 'other@example.com' },
+    ];
+    const [work, second] = getAccounts();
+
+    expect(work).toMatchObject({
+      name: 'work',
+      isDefault: false,
+      host: 'imap.work.example.com',
+      port: 143,
+      secure: false,
+      auth: { user: 'me@work.example.com', pass: 'secret' },
+      starAllKeptEmails: true,
+      markAllRejectedEmailsRead: true,
+      categoryFolderNames: ['Work/Lists'],
+      rules: { keep: 'customers', reject: 'newsletters' },
+    });
+    expect(second.name).toBe('account2');
+    expect(getAccount('work')).toMatchObject({ host: 'imap.work.example.com' });
+    expect(getAccount('missing')).toBeUndefined();
+  });
+});
+
+describe('getAccountFilePath', () => {
+  test('keeps the default account on the plain path', () => {
+    expect(
+      getAccountFilePath('state/lastTimestamp.txt', { name: 'default', isDefault: true })
+    ).toBe('state/lastTimestamp.txt');
+    expect(getAccountFilePath('lastTimestamp.txt')).toBe('lastTimestamp.txt');
+  });
+
+  test('adds the account name before the extension', () => {
+    expect(getAccountFilePath('state/lastTimestamp.txt', { name: 'work' })).toBe(
+      'state/lastTimestamp.work.txt'
+    );
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({ createImapConnection: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { createImapConnection } = require('../utilities');
+const { appendJournalEntry, readJournal, undoActions } = require('../actionJournal');
+
+// A mailbox per folder, each holding Message-ID -> UID
+function createClient(folders) {
+  let current = null;
+  return {
+    folders,
+    connect: jest.fn(),
+    logout: jest.fn(async () => {}),
+    getMailboxLock: jest.fn(async (folder) => {
+      current = folder;
+      return { release: jest.fn() };
+    }),
+    search: jest.fn(async ({ header }) => {
+      const uid = folders[current]?.[header['message-id']];
+      return uid ? [uid] : [];
+    }),
+    messageMove: jest.fn(async () => true),
+    messageFlagsAdd: jest.fn(async () => true),
+    messageFlagsRemove: jest.fn(async () => true),
+    messageDelete: jest.fn(async () => true),
+  };
+}
+
+function move(runId, messageId, overrides = {}) {
+  return {
+    type: 'move',
+    runId,
+    messageId,
+    from: 'Shop <news@shop.example.com>',
+    fromAddress: 'news@shop.example.com',
+    subject: 'Sale',
+    sourceFolder: 'INBOX',
+    destinationFolder: 'Auto/Marketing',
+    ...overrides,
+  };
+}
+
+describe('undoActions', () => {
+  let directory;
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-journal-'));
+    config.settings = { journalFilePath: path.join(directory, 'actionJournal.jsonl') };
+    client = createClient({ 'Auto/Marketing': { '<a@shop>': 5, '<b@shop>': 6 } });
+    createImapConnection.mockReturnValue(client);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('needs a run or a sender', async () => {
+    await expect(undoActions({})).rejects.toThrow('Undo requires a runId or a sender');
+  });
+
+  test('moves the emails of a run back and removes the flags clearmail added', async () => {
+    await appendJournalEntry({ ...move('run1', '<a@shop>'), type: 'flag', flags: ['\\Seen'] });
+    await appendJournalEntry(move('run1', '<a@shop>'));
+    await appendJournalEntry(move('run2', '<b@shop>'));
+
+    const summary = await undoActions({ runId: 'run1' });
+
+    expect(summary).toMatchObject({ total: 1, undone: 1, notFound: 0, errors: 0 });
+    expect(client.getMailboxLock).toHaveBeenCalledWith('Auto/Marketing');
+    expect(client.messageFlagsRemove).toHaveBeenCalledWith([5], ['\\Seen'], { uid: true });
+    expect(client.messageMove).toHaveBeenCalledTimes(1);
+    expect(client.messageMove).toHaveBeenCalledWith([5], 'INBOX', expect.anything());
+
+    const undo = (await readJournal()).at(-1);
+    expect(undo).toMatchObject({
+      type: 'undo',
+      runId: summary.undoRunId,
+      undoneRunId: 'run1',
+      messageId: '<a@shop>',
+      sourceFolder: 'Auto/Marketing',
+      destinationFolder: 'INBOX',
+      flagsRemoved: ['\\Seen'],
+    });
+  });
+
+  test('removes the Gmail labels clearmail added', async () => {
+    client = createClient({ INBOX: { '<a@shop>': 9 } });
+    createImapConnection.mockReturnValue(client);
+    await appendJournalEntry({ ...move('run1', '<a@shop>'), type: 'label', labels: ['Receipts'] });
+
+    const summary = await undoActions({ runId: 'run1' });
+
+    expect(summary.undone).toBe(1);
+    expect(client.messageFlagsRemove).toHaveBeenCalledWith([9], ['Receipts'], {
+      uid: true,
+      useLabels: true,
+    });
+    expect(client.messageMove).not.toHaveBeenCalled();
+    expect((await readJournal()).at(-1).labelsRemoved).toEqual(['Receipts']);
+  });
+
+  test('deletes copies and puts back the flags clearmail removed', async () => {
+    client = createClient({ INBOX: { '<a@shop>': 9 }, Deals: { '<a@shop>': 3 } });
+    createImapConnection.mockReturnValue(client);
+    const email = { ...move('run1', '<a@shop>'), sourceFolder: 'INBOX' };
+    await appendJournalEntry({ ...email, type: 'copy', destinationFolder: 'Deals' });
+    await appendJournalEntry({ ...email, type: 'unflag', flags: ['\\Flagged'] });
+
+    const summary = await undoActions({ runId: 'run1' });
+
+    expect(summary.undone).toBe(1);
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith([9], ['\\Flagged'], { uid: true });
+    expect(client.messageDelete).toHaveBeenCalledWith([3], { uid: true });
+    expect((await readJournal()).at(-1)).toMatchObject({
+      flagsRestored: ['\\Flagged'],
+      copiesRemoved: ['Deals'],
+    });
+  });
+
+  test('selects by sender address or domain', async () => {
+    await appendJournalEntry(move('run1', '<a@shop>'));
+    await appendJournalEntry(
+      move('run1', '<c@other>', { from: 'x@other.com', fromAddress: 'x@other.com' })
+    );
+
+    expect((await undoActions({ sender: 'shop.example.com' })).total).toBe(1);
+    expect(client.messageMove).toHaveBeenCalledWith([5], 'INBOX', expect.anything());
+  });
+
+  test('does not undo the same change twice', async () => {
+    await appendJournalEntry(move('run1', '<a@shop>'));
+    await undoActions({ runId: 'run1' });
+
+    const again = await undoActions({ runId: 'run1' });
+    expect(again.total).toBe(0);
+    expect(createImapConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports emails that are no longer where clearmail left them', async () => {
+    await appendJournalEntry(move('run1', '<gone@shop>'));
+
+    const summary = await undoActions({ runId: 'run1' });
+    expect(summary).toMatchObject({ total: 1, undone: 0, notFound: 1 });
+    expect(summary.results[0].status).toBe('not_found');
+    expect(client.messageMove).not.toHaveBeenCalled();
+  });
+
+  test('skips malformed journal lines', async () => {
+    await appendJournalEntry(move('run1', '<a@shop>'));
+    fs.appendFileSync(config.settings.journalFilePath, '{not json\n');
+    expect(await readJournal()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { validateAnalysis, closestCategory } = require('../analysisSchema');
+
+const CATEGORIES = ['Auto/News', 'Auto/Financial', 'Auto/Marketing', 'Auto/Social Updates'];
+
+function answer(overrides = {}) {
+  return {
+    meets_criteria: false,
+    category: 'Auto/News',
+    explanation: 'A newsletter',
+    confidence: 0.9,
+    urgency: 'low',
+    ...overrides,
+  };
+}
+
+describe('closestCategory', () => {
+  test.each([
+    ['auto/newz', 'Auto/News'],
+    ['News', 'Auto/News'],
+    ['Newsletters', 'Auto/News'],
+    ['finance', 'Auto/Financial'],
+    ['social_updates', 'Auto/Social Updates'],
+  ])('matches %s to %s', (category, expected) => {
+    expect(closestCategory(category, CATEGORIES)).toBe(expected);
+  });
+
+  test('returns null when nothing is close', () => {
+    expect(closestCategory('Travel', CATEGORIES)).toBeNull();
+  });
+});
+
+describe('validateAnalysis', () => {
+  test('accepts a valid answer', () => {
+    expect(validateAnalysis(answer(), CATEGORIES)).toEqual({ value: answer() });
+  });
+
+  test('snaps a near miss to the configured category', () => {
+    const { value } = validateAnalysis(answer({ category: 'Newsletters' }), CATEGORIES);
+    expect(value.category).toBe('Auto/News');
+  });
+
+  test('defaults a missing explanation to an empty string', () => {
+    const { value } = validateAnalysis(answer({ explanation: undefined }), CATEGORIES);
+    expect(value.explanation).toBe('');
+  });
+
+  test('rejects anything but a single object', () => {
+    expect(validateAnalysis([answer()], CATEGORIES).error).toMatch(/single JSON object/);
+    expect(validateAnalysis(null, CATEGORIES).error).toMatch(/single JSON object/);
+  });
+
+  test('lists every problem', () => {
+    const { error } = validateAnalysis(
+      answer({ meets_criteria: 'yes', category: 'Travel', explanation: 42 }),
+      CATEGORIES
+    );
+    expect(error).toMatch(/"meets_criteria" must be the boolean/);
+    expect(error).toMatch(/"category" must be exactly one of/);
+    expect(error).toMatch(/"explanation" must be a string/);
+  });
+
+  test('requires a confidence between 0 and 1, reading clear percentages as percent', () => {
+    expect(validateAnalysis(answer({ confidence: 85 }), CATEGORIES).value.confidence).toBe(0.85);
+    expect(validateAnalysis(answer({ confidence: 5 }), CATEGORIES).error).toMatch(
+      /"confidence" must be a number between 0 and 1/
+    );
+    expect(validateAnalysis(answer({ confidence: -1 }), CATEGORIES).error).toMatch(/"confidence"/);
+  });
+
+  test('treats a missing confidence as certain', () => {
+    expect(validateAnalysis(answer({ confidence: undefined }), CATEGORIES).value.confidence).toBe(
+      1
+    );
+  });
+
+  test('normalizes urgency and defaults it to normal', () => {
+    expect(validateAnalysis(answer({ urgency: ' HIGH ' }), CATEGORIES).value.urgency).toBe('high');
+    expect(validateAnalysis(answer({ urgency: undefined }), CATEGORIES).value.urgency).toBe(
+      'normal'
+    );
+    expect(validateAnalysis(answer({ urgency: 'urgent' }), CATEGORIES).error).toMatch(
+      /"urgency" must be one of/
+    );
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../config', () => ({
+  settings: {},
+  categoryFolderNames: ['Auto/News', 'Auto/Marketing'],
+  rules: { keep: '', reject: '' },
+}));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({ fixJSON: (content) => content }));
+jest.mock('../llmProviders', () => {
+  const chain = { providers: [{ name: 'openai', model: 'gpt-4o-mini' }], complete: jest.fn() };
+  return { createProviderChain: () => chain, chain };
+});
+jest.mock('../responseCache', () => {
+  const entries = new Map();
+  const cache = {
+    entries,
+    buildKey: (parts) => JSON.stringify(parts),
+    get: jest.fn(async (key) => entries.get(key) || null),
+    set: jest.fn(async (key, value) => entries.set(key, value)),
+  };
+  return { getResponseCache: jest.fn(() => cache) };
+});
+
+const config = require('../config');
+const { chain } = require('../llmProviders');
+const { getResponseCache } = require('../responseCache');
+const { analyzeEmail, EmailAnalyzer } = require('../analyzeEmail');
+
+function reply(content) {
+  return {
+    content: JSON.stringify({ confidence: 0.9, ...content }),
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+  };
+}
+
+describe('analyzeEmail', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chain.complete.mockReset();
+    getResponseCache().entries.clear();
+    config.settings = {};
+  });
+
+  test('returns the validated judgment', async () => {
+    chain.complete.mockResolvedValue(
+      reply({
+        meets_criteria: false,
+        category: 'newsletters',
+        explanation: 'A digest',
+        urgency: 'Low',
+      })
+    );
+
+    expect(await analyzeEmail('Weekly digest', 'news@example.com', 'Hi', '2024-06-03')).toEqual({
+      judgment: false,
+      category: 'Auto/News',
+      explanation: 'A digest',
+      confidence: 0.9,
+      urgency: 'low',
+      source: 'openai',
+    });
+  });
+
+  test('serves a repeated email from the cache', async () => {
+    chain.complete.mockResolvedValue(reply({ meets_criteria: true, category: 'Auto/News' }));
+    await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '');
+    expect((await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '')).judgment).toBe(true);
+    expect(chain.complete).toHaveBeenCalledTimes(1);
+
+    await analyzeEmail('Hi', 'friend@example.com', 'Dinner?', '');
+    expect(chain.complete).toHaveBeenCalledTimes(2);
+  });
+
+  test('uses the cache that is current at the time, which a config reload replaces', async () => {
+    const reloaded = { ...getResponseCache(), get: jest.fn(async () => null), set: jest.fn() };
+    getResponseCache.mockReturnValueOnce(reloaded);
+    chain.complete.mockResolvedValue(reply({ meets_criteria: true, category: 'Auto/News' }));
+
+    await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '');
+    expect(reloaded.set).toHaveBeenCalled();
+    expect(getResponseCache().set).not.toHaveBeenCalled();
+  });
+
+  test('keys the cache on the model, its server and the temperature', async () => {
+    chain.complete.mockResolvedValue(reply({ meets_criteria: true, category: 'Auto/News' }));
+    const [provider] = chain.providers;
+    const analyze = () => analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '');
+    try {
+      await analyze();
+      provider.url = 'http://localhost:11434/v1/chat/completions';
+      await analyze();
+      provider.temperature = 0;
+      await analyze();
+      provider.model = 'gpt-4o';
+      await analyze();
+    } finally {
+      chain.providers[0] = { name: 'openai', model: 'gpt-4o-mini' };
+    }
+
+    expect(chain.complete).toHaveBeenCalledTimes(4);
+  });
+
+  test('uses the cache it is given instead of the shared one', async () => {
+    const cache = { buildKey: () => 'key', get: jest.fn(async () => null), set: jest.fn() };
+    chain.complete.mockResolvedValue(reply({ meets_criteria: true, category: 'Auto/News' }));
+
+    await new EmailAnalyzer(config, { cache }).analyze('Hi', 'friend@example.com', 'Lunch?', '');
+    expect(cache.set).toHaveBeenCalledWith('key', expect.objectContaining({ judgment: true }));
+    expect(getResponseCache().set).not.toHaveBeenCalled();
+  });
+
+  test('does not cache invalid answers', async () => {
+    config.settings.maxRepairAttempts = 0;
+    chain.complete.mockResolvedValue({ content: 'not json', provider: 'openai' });
+    await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '');
+    expect(getResponseCache().set).not.toHaveBeenCalled();
+  });
+
+  test('tells the model where the email sits in its conversation', async () => {
+    chain.complete.mockResolvedValue(reply({ meets_criteria: true, category: 'Auto/News' }));
+    const thread = { isReply: true, isReplyToMe: true, threadLength: 3 };
+    await analyzeEmail('Re: Offer', 'friend@example.com', 'Deal', '', undefined, { thread });
+
+    expect(chain.complete.mock.calls[0][0][1].content).toMatch(
+      'Thread: a reply to an email I sent (message 3 of the conversation)\nBody: Deal'
+    );
+  });
+
+  test('shows the model its invalid answer and asks again', async () => {
+    chain.complete
+      .mockResolvedValueOnce(reply({ meets_criteria: 'no', category: 'Auto/News' }))
+      .mockResolvedValueOnce(reply({ meets_criteria: true, category: 'Auto/News' }));
+
+    expect((await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '')).judgment).toBe(true);
+    const messages = chain.complete.mock.calls[1][0];
+    expect(messages.map((message) => message.role)).toEqual([
+      'system',
+      'user',
+      'assistant',
+      'user',
+    ]);
+    expect(messages[3].content).toMatch(/"meets_criteria" must be the boolean/);
+  });
+
+  test('gives up after maxRepairAttempts', async () => {
+    config.settings.maxRepairAttempts = 2;
+    chain.complete.mockResolvedValue({ content: 'not json', provider: 'openai' });
+
+    expect((await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '')).judgment).toBe('unknown');
+    expect(chain.complete).toHaveBeenCalledTimes(3);
+  });
+
+  test('reports an unknown judgment when every provider failed', async () => {
+    chain.complete.mockRejectedValue(new Error('No LLM providers configured'));
+    expect((await analyzeEmail('Hi', 'friend@example.com', 'Lunch?', '')).judgment).toBe('unknown');
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const express = require('express');
+const request = require('supertest');
+
+function createApp() {
+  const { authenticate, requireScope } = require('../auth');
+  const app = express();
+  app.get('/status', authenticate, (req, res) => res.json({ key: req.apiKey }));
+  app.post('/run', authenticate, requireScope('run'), (req, res) => res.json({ started: true }));
+  return app;
+}
+
+describe('authenticate and requireScope', () => {
+  let app;
+
+  beforeEach(() => {
+    // Fresh modules each time, so rate limit windows don't carry over between tests
+    jest.resetModules();
+    process.env.TEST_RUN_KEY = 'run-secret';
+    const config = require('../config');
+    config.server = {
+      ...config.server,
+      apiKeys: [
+        { name: 'dashboard', key: 'read-secret', scope: 'read', rateLimit: 2 },
+        { name: 'cron', keyEnv: 'TEST_RUN_KEY', scope: 'run', rateLimit: 0 },
+        { name: 'unset', keyEnv: 'TEST_UNSET_KEY', scope: 'run' },
+      ],
+    };
+    app = createApp();
+  });
+
+  afterAll(() => {
+    delete process.env.TEST_RUN_KEY;
+  });
+
+  test('rejects a request without a key', async () => {
+    const response = await request(app).get('/status');
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toEqual({ error: 'Missing API key' });
+  });
+
+  test('rejects an unknown key', async () => {
+    const response = await request(app).get('/status').set('Authorization', 'Bearer nope');
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+    expect(response.body).toEqual({ error: 'Invalid API key' });
+  });
+
+  test('accepts a bearer token or X-API-Key, with keys from the environment', async () => {
+    const bearer = await request(app).get('/status').set('Authorization', 'Bearer read-secret');
+    expect(bearer.status).toBe(200);
+    expect(bearer.body.key).toEqual({ name: 'dashboard', scope: 'read' });
+
+    const header = await request(app).get('/status').set('X-API-Key', 'run-secret');
+    expect(header.body.key).toEqual({ name: 'cron', scope: 'run' });
+  });
+
+  test('leaves out keys whose environment variable is unset', () => {
+    const { getApiKeys } = require('../auth');
+    expect(getApiKeys().map((entry) => entry.name)).toEqual(['dashboard', 'cron']);
+  });
+
+  test('requires the run scope for run routes', async () => {
+    const read = await request(app).post('/run').set('X-API-Key', 'read-secret');
+    expect(read.status).toBe(403);
+    expect(read.body).toEqual({ error: 'API key needs the run scope' });
+
+    const run = await request(app).post('/run').set('X-API-Key', 'run-secret');
+    expect(run.status).toBe(200);
+  });
+
+  test('limits requests per key and minute', async () => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(app).get('/status').set('X-API-Key', 'read-secret')).status);
+    }
+    expect(statuses).toEqual([200, 200, 429]);
+
+    const limited = await request(app).get('/status').set('X-API-Key', 'read-secret');
+    expect(limited.headers['x-ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    // rateLimit: 0 means unlimited
+    for (let i = 0; i < 3; i++) {
+      expect((await request(app).get('/status').set('X-API-Key', 'run-secret')).status).toBe(200);
+    }
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({
+  createSmtpTransport: jest.fn(),
+  getSenderAddress: jest.fn(() => 'me@example.com'),
+}));
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { createSmtpTransport } = require('../utilities');
+const { getCategoryActions, forwardEmail, callWebhook } = require('../categoryActions');
+
+const ACCOUNT = { name: 'home' };
+const ANALYSIS = { judgment: false, category: 'Auto/Receipts', explanation: 'A receipt' };
+const EMAIL = {
+  messageId: '<r@shop.example.com>',
+  from: 'Shop <orders@shop.example.com>',
+  subject: 'Your order',
+};
+
+describe('getCategoryActions', () => {
+  test('returns null for a category without steps', () => {
+    expect(getCategoryActions({ categoryActions: {} }, ANALYSIS, 'Auto/Receipts')).toBeNull();
+    expect(getCategoryActions({}, ANALYSIS, 'Auto/Receipts')).toBeNull();
+  });
+
+  test("fills in the category's folder, label and flag lists", () => {
+    const account = {
+      categoryActions: {
+        'Auto/Receipts': [
+          { action: 'label' },
+          { action: 'copy' },
+          { action: 'add_flags', flags: '$Receipt' },
+          { action: 'move', folder: 'Receipts/2024' },
+        ],
+      },
+    };
+
+    expect(getCategoryActions(account, ANALYSIS, 'Auto/Receipts')).toEqual([
+      { action: 'label', label: 'Auto/Receipts' },
+      { action: 'copy', folder: 'Auto/Receipts' },
+      { action: 'add_flags', flags: ['$Receipt'] },
+      { action: 'move', folder: 'Receipts/2024' },
+    ]);
+  });
+});
+
+describe('forwardEmail', () => {
+  test('sends the original as an attachment from the account', async () => {
+    const sendMail = jest.fn(async () => ({ response: '250 ok' }));
+    createSmtpTransport.mockReturnValue({ sendMail });
+    const source = Buffer.from('Subject: Your order\r\n\r\nThanks');
+
+    await forwardEmail(
+      ACCOUNT,
+      { to: 'assistant@example.com' },
+      { emailData: EMAIL, analysis: ANALYSIS, source }
+    );
+
+    expect(sendMail).toHaveBeenCalledWith({
+      from: 'me@example.com',
+      to: 'assistant@example.com',
+      subject: 'Fwd: Your order',
+      text: 'Forwarded by clearmail (Auto/Receipts): A receipt',
+      attachments: [{ filename: 'forwarded.eml', content: source, contentType: 'message/rfc822' }],
+    });
+  });
+});
+
+describe('callWebhook', () => {
+  test('posts the decision with the configured headers', async () => {
+    axios.post.mockResolvedValue({ status: 204 });
+
+    await callWebhook(
+      ACCOUNT,
+      { url: 'https://example.com/hook', headers: { Authorization: 'Bearer x' } },
+      { uid: 7, emailData: EMAIL, analysis: ANALYSIS }
+    );
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://example.com/hook',
+      expect.objectContaining({
+        account: 'home',
+        uid: 7,
+        messageId: '<r@shop.example.com>',
+        category: 'Auto/Receipts',
+        judgment: false,
+      }),
+      { headers: { Authorization: 'Bearer x' }, timeout: 10000 }
+    );
+  });
+});
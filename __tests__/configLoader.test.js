@@ -0,0 +1,106 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../logger');
+const { ConfigError, getConfigPath, loadConfigFile } = require('../configLoader');
+
+const VALID = `settings:
+  batchSize: 5
+categoryFolderNames:
+  - Auto/News
+rules:
+  keep: personal
+  reject: newsletters
+`;
+
+describe('configLoader', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-config-'));
+  });
+
+  afterEach(() => {
+    delete process.env.CLEARMAIL_CONFIG;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function write(text) {
+    const filePath = path.join(directory, 'config.yml');
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  }
+
+  test('loads a valid config', () => {
+    expect(loadConfigFile(write(VALID)).settings.batchSize).toBe(5);
+  });
+
+  test('accepts the shipped config.yml', () => {
+    expect(() => loadConfigFile(path.join(__dirname, '..', 'config.yml'))).not.toThrow();
+  });
+
+  test('ships the features that change what happens to emails turned off', () => {
+    const { settings } = loadConfigFile(path.join(__dirname, '..', 'config.yml'));
+    expect(settings).toMatchObject({
+      flagUrgentEmails: false,
+      reviewConfidenceThreshold: 0,
+      lowConfidenceAction: 'keep',
+      learnFromCorrections: false,
+      useSenderHistory: false,
+      detectReplies: false,
+    });
+  });
+
+  test('lists every problem with its line', () => {
+    const filePath = write(VALID.replace('batchSize: 5', 'batchSize: 0\n  dryrun: true'));
+
+    let error;
+    try {
+      loadConfigFile(filePath);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems.map((problem) => problem.line)).toEqual([2, 3]);
+    expect(error.message).toBe(
+      `Invalid config in ${filePath}:\n` +
+        '  line 2: settings.batchSize must be at least 1, got 0\n' +
+        '  line 3: settings.dryrun unknown key (did you mean "dryRun"?)'
+    );
+  });
+
+  test('loads retired settings with a deprecation warning', () => {
+    const filePath = write(
+      VALID.replace('batchSize: 5', 'batchSize: 5\n  useTimestampFilter: true')
+    );
+
+    expect(loadConfigFile(filePath).settings.batchSize).toBe(5);
+    expect(logger.warn).toHaveBeenCalledWith(
+      `Deprecated config in ${filePath} line 3: settings.useTimestampFilter is no longer used ` +
+        'and can be removed, emails are tracked by UID in stateFilePath now'
+    );
+  });
+
+  test('reports YAML syntax errors with their line', () => {
+    const filePath = write(`${VALID}  - broken: [\n`);
+    expect(() => loadConfigFile(filePath)).toThrow(ConfigError);
+    try {
+      loadConfigFile(filePath);
+    } catch (error) {
+      expect(error.problems[0].line).toBeGreaterThan(7);
+    }
+  });
+
+  test('takes --config, then CLEARMAIL_CONFIG, then config.yml next to the code', () => {
+    expect(getConfigPath(['node', 'server.js'])).toBe(path.resolve(__dirname, '..', 'config.yml'));
+    process.env.CLEARMAIL_CONFIG = 'env.yml';
+    expect(getConfigPath(['node', 'server.js'])).toBe(path.resolve('env.yml'));
+    expect(getConfigPath(['node', 'server.js', '--config', 'flag.yml'])).toBe(
+      path.resolve('flag.yml')
+    );
+  });
+});
@@ -0,0 +1,131 @@
+const { validateConfig } = require('../configSchema');
+
+const TEXT = `settings:
+  myEmail: me@example.com
+  batchSize: many
+
+categoryFolderNames:
+  - Auto/News
+rules:
+  keep: personal
+  reject: newsletters
+accounts:
+  - name: home
+    host: imap.example.com
+  - name: work
+    hots: imap.work.example.com
+llm:
+  providers:
+    - type: openai
+    - type: carrier-pigeon
+`;
+
+function config(overrides = {}) {
+  return {
+    settings: { myEmail: 'me@example.com' },
+    categoryFolderNames: ['Auto/News'],
+    rules: { keep: 'personal', reject: 'newsletters' },
+    ...overrides,
+  };
+}
+
+describe('validateConfig', () => {
+  test('accepts a valid config, with optional keys left empty', () => {
+    expect(validateConfig(config())).toEqual([]);
+    expect(validateConfig(config({ filters: null, settings: { myName: null } }))).toEqual([]);
+  });
+
+  test('requires a mapping and the required sections', () => {
+    expect(validateConfig([])[0].message).toBe('config must be a YAML mapping');
+    expect(validateConfig({ settings: {} })).toEqual([
+      { path: 'categoryFolderNames', line: null, message: 'is required' },
+      { path: 'rules', line: null, message: 'is required' },
+    ]);
+  });
+
+  test('reports types and limits with their line', () => {
+    const problems = validateConfig(
+      config({ settings: { batchSize: 'many', maxEmailChars: 0 } }),
+      TEXT
+    );
+    expect(problems).toEqual([
+      { path: 'settings.batchSize', line: 3, message: 'must be integer, got string "many"' },
+      // Not in the text, so only the settings line is known
+      { path: 'settings.maxEmailChars', line: 1, message: 'must be at least 1, got 0' },
+    ]);
+  });
+
+  test('checks enums and list items', () => {
+    const [problem] = validateConfig(
+      config({ llm: { providers: [{ type: 'openai' }, { type: 'carrier-pigeon' }] } }),
+      TEXT
+    );
+    expect(problem).toEqual({
+      path: 'llm.providers[1].type',
+      line: 18,
+      message: 'must be one of openai, openai-compatible, anthropic, got "carrier-pigeon"',
+    });
+    expect(validateConfig(config({ categoryFolderNames: [] }))[0].message).toBe(
+      'needs at least 1 entry'
+    );
+  });
+
+  test('marks retired keys as deprecated instead of unknown', () => {
+    expect(validateConfig(config({ settings: { timestampFilePath: 'last.txt' } }))).toEqual([
+      {
+        path: 'settings.timestampFilePath',
+        line: null,
+        message:
+          'is no longer used and can be removed, emails are tracked by UID in stateFilePath now',
+        deprecated: true,
+      },
+    ]);
+  });
+
+  test('suggests the closest key for an unknown one', () => {
+    const [problem] = validateConfig(
+      config({ accounts: [{ name: 'home' }, { name: 'work', hots: 'imap.work.example.com' }] }),
+      TEXT
+    );
+    expect(problem).toEqual({
+      path: 'accounts[1].hots',
+      line: 14,
+      message: 'unknown key (did you mean "host"?)',
+    });
+    expect(validateConfig(config({ colour: 'blue' }))[0].message).toBe('unknown key');
+  });
+
+  test('rejects account names that are unsafe in file names or taken twice', () => {
+    const accounts = [
+      { name: 'home' },
+      { name: '../etc' },
+      { name: 'work/old' },
+      { name: 'home' },
+      // Named account5 by its position
+      {},
+      { name: 'account5' },
+    ];
+    expect(validateConfig(config({ accounts }))).toEqual([
+      {
+        path: 'accounts[1].name',
+        line: null,
+        message: 'must not contain "/", "\\" or "..", got "../etc"',
+      },
+      {
+        path: 'accounts[2].name',
+        line: null,
+        message: 'must not contain "/", "\\" or "..", got "work/old"',
+      },
+      {
+        path: 'accounts[3].name',
+        line: null,
+        message: 'must be unique, another account is already named "home"',
+      },
+      {
+        path: 'accounts[5].name',
+        line: null,
+        message: 'must be unique, another account is already named "account5"',
+      },
+    ]);
+  });
+});
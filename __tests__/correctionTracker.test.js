@@ -0,0 +1,219 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({ createImapConnection: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT = { name: 'default', categoryFolderNames: ['Auto/Marketing', 'Auto/News'] };
+
+// Each folder maps Message-ID -> flags, and a UID is the index of the message in its folder
+function createClient(folders) {
+  let current = null;
+  const messages = () => Object.entries(folders[current] || {});
+  const toMessage = (uid) => {
+    const [messageId, flags] = messages()[uid - 1];
+    return { uid, flags: new Set(flags), envelope: { messageId } };
+  };
+  return {
+    mailbox: { uidValidity: 7n },
+    list: jest.fn(async () =>
+      Object.keys(folders).map((folder) => ({
+        path: folder,
+        specialUse: folder === '[Gmail]/All Mail' ? '\\All' : undefined,
+      }))
+    ),
+    getMailboxLock: jest.fn(async (folder) => {
+      current = folder;
+      return { release: jest.fn() };
+    }),
+    search: jest.fn(async (query) => {
+      const wanted = (query.or || [query]).map(({ header }) => header['message-id']);
+      return messages()
+        .map(([messageId], index) => (wanted.includes(messageId) ? index + 1 : null))
+        .filter(Boolean);
+    }),
+    fetch: jest.fn(async function* (uids) {
+      for (const uid of uids.split(',').map(Number)) {
+        if (uid <= messages().length) {
+          yield toMessage(uid);
+        }
+      }
+    }),
+  };
+}
+
+function move(messageId, overrides = {}) {
+  return {
+    type: 'move',
+    runId: 'run1',
+    messageId,
+    from: 'Shop <news@shop.example.com>',
+    fromAddress: 'news@shop.example.com',
+    subject: 'Sale',
+    category: 'Auto/Marketing',
+    sourceFolder: 'INBOX',
+    destinationFolder: 'Auto/Marketing',
+    ...overrides,
+  };
+}
+
+describe('correctionTracker', () => {
+  let directory;
+  let config;
+  let appendJournalEntry;
+  let checkForCorrections;
+  let getCorrectionExamples;
+
+  beforeEach(() => {
+    // Corrections are cached per process, so every test starts from a fresh module
+    jest.resetModules();
+    config = require('../config');
+    ({ appendJournalEntry } = require('../actionJournal'));
+    ({ checkForCorrections, getCorrectionExamples } = require('../correctionTracker'));
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-corrections-'));
+    config.settings = {
+      learnFromCorrections: true,
+      journalFilePath: path.join(directory, 'actionJournal.jsonl'),
+      correctionsFilePath: path.join(directory, 'corrections.jsonl'),
+      senderHistoryFilePath: path.join(directory, 'senderHistory.json'),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('does nothing unless learnFromCorrections is on', async () => {
+    config.settings.learnFromCorrections = false;
+    await appendJournalEntry(move('<a@shop>'));
+    const client = createClient({ INBOX: { '<a@shop>': [] } });
+
+    expect(await checkForCorrections(client, ACCOUNT)).toEqual([]);
+    expect(client.getMailboxLock).not.toHaveBeenCalled();
+    expect(await getCorrectionExamples('default', 'news@shop.example.com')).toEqual([]);
+  });
+
+  test('records an email the user moved back to the inbox', async () => {
+    await appendJournalEntry(move('<a@shop>'));
+    const client = createClient({ INBOX: { '<a@shop>': [] } });
+
+    const [correction] = await checkForCorrections(client, ACCOUNT);
+    expect(correction).toMatchObject({
+      account: 'default',
+      messageId: '<a@shop>',
+      kind: 'moved_to_inbox',
+      correctedJudgment: true,
+      originalFolder: 'Auto/Marketing',
+      correctedFolder: 'INBOX',
+    });
+
+    const saved = fs.readFileSync(config.settings.correctionsFilePath, 'utf8').trim().split('\n');
+    expect(saved.map((line) => JSON.parse(line).messageId)).toEqual(['<a@shop>']);
+  });
+
+  test('records a starred or recategorized email, but not one left alone', async () => {
+    await appendJournalEntry(move('<a@shop>'));
+    expect(
+      await checkForCorrections(createClient({ 'Auto/Marketing': { '<a@shop>': [] } }), ACCOUNT, {
+        force: true,
+      })
+    ).toEqual([]);
+
+    const [starred] = await checkForCorrections(
+      createClient({ 'Auto/Marketing': { '<a@shop>': ['\\Flagged'] } }),
+      ACCOUNT,
+      { force: true }
+    );
+    expect(starred).toMatchObject({ kind: 'starred', correctedJudgment: true });
+
+    await appendJournalEntry(move('<b@shop>'));
+    const [recategorized] = await checkForCorrections(
+      createClient({ 'Auto/News': { '<b@shop>': [] } }),
+      ACCOUNT,
+      { force: true }
+    );
+    expect(recategorized).toMatchObject({
+      messageId: '<b@shop>',
+      kind: 'recategorized',
+      correctedJudgment: false,
+      correctedCategory: 'Auto/News',
+    });
+  });
+
+  test('records an archived Gmail email the user moved back to the inbox', async () => {
+    const archived = { category: '', destinationFolder: '[Gmail]/All Mail' };
+    await appendJournalEntry(move('<a@shop>', archived));
+    await appendJournalEntry(move('<b@shop>', archived));
+    // All Mail keeps showing the email after it is back in the INBOX
+    const client = createClient({
+      '[Gmail]/All Mail': { '<a@shop>': [], '<b@shop>': [] },
+      INBOX: { '<b@shop>': [] },
+    });
+
+    const corrections = await checkForCorrections(client, ACCOUNT);
+    expect(corrections).toEqual([
+      expect.objectContaining({
+        messageId: '<b@shop>',
+        kind: 'moved_to_inbox',
+        originalFolder: '[Gmail]/All Mail',
+        correctedFolder: 'INBOX',
+      }),
+    ]);
+  });
+
+  test('skips undone moves, known corrections and recent checks', async () => {
+    await appendJournalEntry(move('<a@shop>'));
+    await appendJournalEntry({ type: 'undo', undoneRunId: 'run1', messageId: '<a@shop>' });
+    await appendJournalEntry(move('<b@shop>'));
+    const client = createClient({ INBOX: { '<a@shop>': [], '<b@shop>': [] } });
+
+    expect((await checkForCorrections(client, ACCOUNT)).map((c) => c.messageId)).toEqual([
+      '<b@shop>',
+    ]);
+    // Within correctionCheckInterval
+    expect(await checkForCorrections(client, ACCOUNT)).toEqual([]);
+    expect(await checkForCorrections(client, ACCOUNT, { force: true })).toEqual([]);
+  });
+
+  test('searches each folder once and fetches emails found unchanged by UID', async () => {
+    await appendJournalEntry(move('<a@shop>'));
+    await appendJournalEntry(move('<b@shop>'));
+    await appendJournalEntry(move('<c@shop>', { destinationFolder: 'Auto/News' }));
+    const client = createClient({
+      'Auto/Marketing': { '<a@shop>': [], '<b@shop>': [] },
+      'Auto/News': { '<c@shop>': [] },
+    });
+
+    expect(await checkForCorrections(client, ACCOUNT)).toEqual([]);
+    expect(client.search).toHaveBeenCalledTimes(2);
+    expect(client.search.mock.calls[0][0].or).toHaveLength(2);
+
+    client.search.mockClear();
+    expect(await checkForCorrections(client, ACCOUNT, { force: true })).toEqual([]);
+    expect(client.search).not.toHaveBeenCalled();
+    expect(client.fetch).toHaveBeenLastCalledWith('1', { flags: true }, { uid: true });
+  });
+
+  test('prefers examples from the same sender, then the same domain', async () => {
+    const lines = [
+      { account: 'default', messageId: '1', fromAddress: 'a@other.com' },
+      { account: 'default', messageId: '2', fromAddress: 'deals@shop.example.com' },
+      { account: 'default', messageId: '3', fromAddress: 'news@shop.example.com' },
+      { account: 'work', messageId: '4', fromAddress: 'news@shop.example.com' },
+      { account: 'default', messageId: '5', fromAddress: 'b@other.com' },
+    ];
+    fs.writeFileSync(
+      config.settings.correctionsFilePath,
+      lines.map((line) => JSON.stringify(line)).join('\n')
+    );
+    config.settings.maxCorrectionExamples = 3;
+
+    const examples = await getCorrectionExamples('default', 'news@shop.example.com');
+    expect(examples.map((example) => example.messageId)).toEqual(['3', '2', '5']);
+  });
+});
@@ -0,0 +1,217 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({
+  ...jest.requireActual('../utilities'),
+  createImapConnection: jest.fn(),
+}));
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { createImapConnection } = require('../utilities');
+const { sendDigest, isDigest } = require('../digest');
+
+const ACCOUNT = { name: 'home', host: 'imap.example.com', auth: { user: 'me@example.com' } };
+
+// Just enough SMTP for nodemailer to hand over one message
+function createSmtpServer(messages) {
+  return net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+}
+
+function move(messageId, overrides = {}) {
+  return {
+    type: 'move',
+    runId: 'run-1',
+    account: 'home',
+    messageId,
+    from: 'Shop <news@shop.example.com>',
+    subject: `Subject of ${messageId}`,
+    category: 'Auto/News',
+    destinationFolder: 'Auto/News',
+    explanation: 'A newsletter',
+    timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    ...overrides,
+  };
+}
+
+describe('sendDigest', () => {
+  const messages = [];
+  let smtpServer;
+  let smtpPort;
+  let directory;
+
+  beforeAll(async () => {
+    smtpServer = createSmtpServer(messages);
+    smtpPort = await new Promise((resolve) =>
+      smtpServer.listen(0, '127.0.0.1', () => resolve(smtpServer.address().port))
+    );
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => smtpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    messages.length = 0;
+    jest.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-digest-'));
+    config.settings = {
+      journalFilePath: path.join(directory, 'actionJournal.jsonl'),
+      runLockPath: path.join(directory, 'clearmail.lock'),
+    };
+    config.digest = {
+      enabled: true,
+      delivery: 'smtp',
+      stateFilePath: path.join(directory, 'digestState.json'),
+    };
+    config.smtp = { host: '127.0.0.1', port: smtpPort, secure: false };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeJournal = (entries) =>
+    fs.writeFileSync(
+      config.settings.journalFilePath,
+      entries.map((entry) => `${JSON.stringify(entry)}\n`).join('')
+    );
+  const readState = () => JSON.parse(fs.readFileSync(config.digest.stateFilePath, 'utf8'));
+
+  test('sends what was moved since the last digest, grouped by category', async () => {
+    writeJournal([
+      move('<a@example.com>'),
+      move('<b@example.com>', { category: 'Auto/Marketing', destinationFolder: 'Auto/Marketing' }),
+      move('<c@example.com>'),
+      move('<old@example.com>', { timestamp: '2020-01-01T00:00:00.000Z' }),
+      move('<work@example.com>', { account: 'work' }),
+      move('<undone@example.com>'),
+      { type: 'undo', undoneRunId: 'run-1', messageId: '<undone@example.com>' },
+    ]);
+
+    expect(await sendDigest(ACCOUNT)).toEqual({ account: 'home', sent: true, total: 3 });
+    expect(messages).toHaveLength(1);
+    const [message] = messages;
+    expect(message).toMatch('Subject: clearmail digest: 3 filtered email(s)');
+    expect(message).toMatch('X-Clearmail-Digest: yes');
+    expect(message).toMatch('To: me@example.com');
+    expect(message).toMatch('Auto/News (2)');
+    expect(message).toMatch('Auto/Marketing (1)');
+    expect(message).not.toMatch('old@example.com');
+    expect(message).not.toMatch('undone@example.com');
+    expect(message).not.toMatch('work@example.com');
+    expect(Date.parse(readState().accounts.home.lastDigestAt)).toBeGreaterThan(Date.now() - 5000);
+  });
+
+  test('sends nothing when nothing was moved, but still moves the watermark', async () => {
+    writeJournal([move('<a@example.com>')]);
+    await sendDigest(ACCOUNT);
+
+    expect(await sendDigest(ACCOUNT)).toEqual({ account: 'home', sent: false, total: 0 });
+    expect(messages).toHaveLength(1);
+    expect(readState().accounts.home.lastDigestAt).toBeDefined();
+  });
+
+  test('leaves moves after the watermark it stores for the next digest', async () => {
+    const later = new Date(Date.now() + 60 * 1000).toISOString();
+    writeJournal([move('<a@example.com>'), move('<later@example.com>', { timestamp: later })]);
+
+    expect((await sendDigest(ACCOUNT)).total).toBe(1);
+    expect(messages[0]).not.toMatch('later@example.com');
+    expect(readState().accounts.home.lastDigestAt < later).toBe(true);
+  });
+
+  test('is sent once when several processes send it at the same time', async () => {
+    writeJournal([move('<a@example.com>')]);
+
+    const results = await Promise.all([sendDigest(ACCOUNT), sendDigest(ACCOUNT)]);
+    expect(results.map((result) => result.sent)).toEqual([true, false]);
+    expect(messages).toHaveLength(1);
+
+    // Another process holding the lock keeps it from being sent at all
+    config.settings.runLockTimeout = 0;
+    fs.writeFileSync(
+      path.join(directory, 'clearmail.home.lock'),
+      JSON.stringify({ token: 'other', pid: process.ppid, hostname: os.hostname() })
+    );
+    await expect(sendDigest(ACCOUNT)).rejects.toThrow('Timed out waiting for the run lock');
+    expect(messages).toHaveLength(1);
+  });
+
+  test('lists at most maxEntries emails and counts the rest', async () => {
+    config.digest.maxEntries = 2;
+    writeJournal([move('<a@example.com>'), move('<b@example.com>'), move('<c@example.com>')]);
+
+    expect((await sendDigest(ACCOUNT)).total).toBe(3);
+    expect(messages[0]).toMatch('And 1 more');
+    expect(messages[0]).not.toMatch('Subject of <a@example.com>');
+  });
+
+  test('appends the digest to the folder over IMAP by default', async () => {
+    const client = {
+      connect: jest.fn(async () => {}),
+      append: jest.fn(async () => {}),
+      logout: jest.fn(async () => {}),
+    };
+    createImapConnection.mockReturnValue(client);
+    config.digest.delivery = undefined;
+    config.digest.folder = 'Digests';
+    writeJournal([move('<a@example.com>')]);
+
+    const gmail = { ...ACCOUNT, host: 'imap.gmail.com' };
+    await sendDigest(gmail);
+
+    expect(messages).toHaveLength(0);
+    expect(client.append).toHaveBeenCalledWith('Digests', expect.any(Buffer), [], expect.any(Date));
+    const raw = client.append.mock.calls[0][1].toString();
+    expect(raw).toMatch('X-Clearmail-Digest: yes');
+    // Gmail opens the message straight from its Message-ID
+    expect(raw).toMatch('rfc822msgid');
+    expect(client.logout).toHaveBeenCalled();
+  });
+
+  test('recognizes only the digests it delivered itself', async () => {
+    writeJournal([move('<a@example.com>')]);
+    await sendDigest(ACCOUNT);
+    const [messageId] = readState().accounts.home.messageIds;
+    expect(messages[0]).toMatch(`Message-ID: ${messageId}`);
+
+    const headers = { 'x-clearmail-digest': 'yes' };
+    expect(await isDigest(ACCOUNT, { headers, messageId })).toBe(true);
+    expect(await isDigest({ name: 'work' }, { headers, messageId })).toBe(false);
+    expect(await isDigest(ACCOUNT, { headers, messageId: '<forged@example.com>' })).toBe(false);
+    expect(await isDigest(ACCOUNT, { headers: {}, messageId })).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { extractEmailData } = require('../emailContent');
+
+function raw({ subject = 'Hello', text, html }) {
+  return Buffer.from(
+    [
+      'Message-ID: <hello@example.com>',
+      'From: Shop <News@Shop.example.com>',
+      'To: me@example.com',
+      'Cc: Team <team@example.com>',
+      `Subject: ${subject}`,
+      'List-Id: Deals <deals.shop.example.com>',
+      'Authentication-Results: mx.example.com; spf=pass;',
+      '  dkim=pass',
+      'Authentication-Results: forged.example.com; dmarc=pass',
+      `Content-Type: ${html ? 'text/html' : 'text/plain'}; charset=utf-8`,
+      '',
+      html || text,
+    ].join('\r\n')
+  );
+}
+
+async function body(email, maxEmailChars = 2500) {
+  return (await extractEmailData(raw(email), [], { settings: { maxEmailChars } })).body;
+}
+
+describe('extractEmailData', () => {
+  test('extracts the fields filters and the model look at', async () => {
+    const data = await extractEmailData(raw({ text: 'Hi' }), ['\\Seen'], { settings: {} });
+    expect(data).toMatchObject({
+      messageId: '<hello@example.com>',
+      subject: 'Hello',
+      fromAddress: 'news@shop.example.com',
+      to: ['me@example.com'],
+      cc: ['team@example.com'],
+      recipients: ['me@example.com', 'team@example.com'],
+      // Only the topmost header comes from our own server
+      authenticationResults: 'mx.example.com; spf=pass; dkim=pass',
+      flags: ['\\Seen'],
+      body: 'Hi',
+    });
+    expect(data.headers['list-id']).toBe('Deals <deals.shop.example.com>');
+  });
+
+  test('converts HTML when there is no text part and summarizes its links', async () => {
+    const html = `<html><head><style>p { color: red }</style></head><body>
+      <p>Our <a href="https://www.shop.example.com/sale">summer sale</a> starts today.</p>
+      <a href="https://shop.example.com/unsubscribe">Unsubscribe</a>
+      <a href="https://twitter.com/shop">Follow us</a>
+      <div class="gmail_quote">An older message</div>
+    </body></html>`;
+    const text = await body({ html });
+    expect(text).toMatch(/^Our summer sale starts today\./);
+    expect(text).not.toMatch(/color: red|older message/);
+    expect(text).toMatch(/\n\nLinks: shop\.example\.com \(2\), twitter\.com$/);
+  });
+
+  test('replaces bare URLs with their domain', async () => {
+    expect(await body({ text: 'Track it at https://parcels.example.com/t/123?x=1 today' })).toBe(
+      'Track it at [parcels.example.com] today\n\nLinks: parcels.example.com'
+    );
+  });
+
+  test('drops the quoted history below a reply and the signature', async () => {
+    const text = [
+      'Sounds good, see you Tuesday.',
+      '',
+      '-- ',
+      'Alex',
+      '',
+      'On Mon, 3 Jun 2024 at 10:00, Sam <sam@example.com> wrote:',
+      '> Are we still on for Tuesday?',
+    ].join('\r\n');
+    expect(await body({ subject: 'Re: Tuesday', text })).toBe(
+      'Sounds good, see you Tuesday.\n[earlier messages removed]'
+    );
+  });
+
+  test('keeps a forwarded message whole', async () => {
+    const text = [
+      'FYI, see below.',
+      '',
+      '---------- Forwarded message ---------',
+      'From: Billing <billing@example.com>',
+      'Subject: Your invoice',
+      '',
+      'Your invoice for June is attached.',
+      '> quoted in the original',
+    ].join('\r\n');
+    const forwarded = await body({ subject: 'Fwd: Your invoice', text });
+    expect(forwarded).toMatch(/^FYI, see below\.\n\n-+ Forwarded message -+\n/);
+    expect(forwarded).toMatch(/Your invoice for June is attached\.\n> quoted in the original$/);
+  });
+
+  test("treats Outlook's header block as the forward under a Fwd: subject", async () => {
+    const text = [
+      'Can you look at this?',
+      '',
+      'From: Billing <billing@example.com>',
+      'Sent: Monday, June 3, 2024 10:00 AM',
+      'To: me@example.com',
+      'Subject: Your invoice',
+      '',
+      'Your invoice for June is attached.',
+    ].join('\r\n');
+    expect(await body({ subject: 'FW: Your invoice', text })).toMatch(
+      /^Can you look at this\?\n\nFrom: Billing.*\n[\s\S]*Your invoice for June is attached\.$/
+    );
+    expect(await body({ subject: 'RE: Your invoice', text })).toBe(
+      'Can you look at this?\n[earlier messages removed]'
+    );
+  });
+
+  test('replaces > quoted lines and mobile signatures', async () => {
+    const text = ['> Did you get it?', 'Yes, thanks!', '', 'Sent from my iPhone'].join('\r\n');
+    expect(await body({ text })).toBe('[quoted text removed]\nYes, thanks!');
+  });
+
+  test('keeps the start and the end of a long body within maxEmailChars', async () => {
+    const text = `${'a'.repeat(500)}${'b'.repeat(500)}`;
+    const truncated = await body({ text }, 200);
+    expect(truncated.length).toBeLessThanOrEqual(200);
+    expect(truncated).toMatch(/^a+\n\[\.\.\. \d+ characters omitted \.\.\.\]\nb+$/);
+
+    const [head, tail] = truncated.split(/\n\[.*\]\n/);
+    const omitted = Number(/(\d+) characters omitted/.exec(truncated)[1]);
+    expect(head.length + tail.length + omitted).toBe(text.length);
+    expect(head.length).toBeGreaterThan(tail.length);
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const EVALUATE = path.join(__dirname, '..', 'evaluate.js');
+
+function eml(subject, from) {
+  return [
+    `Message-ID: <${subject.replace(/\W/g, '')}@example.com>`,
+    `From: ${from}`,
+    'To: me@example.com',
+    `Subject: ${subject}`,
+    'Date: Mon, 3 Jun 2024 10:00:00 +0000',
+    '',
+    'Hello there.',
+  ].join('\r\n');
+}
+
+function configYaml(url, extraRule = '') {
+  return `settings:
+  maxRepairAttempts: 0
+categoryFolderNames:
+  - Auto/Marketing
+  - Auto/News
+rules:
+  keep: "${extraRule}"
+  reject: ""
+llm:
+  providers:
+    - name: local
+      type: openai-compatible
+      url: ${url}
+`;
+}
+
+// Runs the CLI from the directory, so config.yml, the logs and the reports all stay in it
+function evaluate(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [EVALUATE, ...args], { cwd, timeout: 20000 }, (error, stdout) =>
+      error ? reject(error) : resolve(stdout)
+    );
+  });
+}
+
+describe('evaluate.js', () => {
+  let directory;
+  let server;
+  let requests;
+
+  beforeAll(async () => {
+    // A chat completions endpoint that rejects sales unless the rules say to keep them
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        const prompt = JSON.parse(body).messages.at(-1).content;
+        requests.push(prompt);
+        const sale = prompt.includes('Subject: Summer sale') && !prompt.includes('KEEP SALES');
+        const answer = sale
+          ? {
+              meets_criteria: false,
+              category: 'Auto/Marketing',
+              explanation: 'A sale',
+              confidence: 0.9,
+            }
+          : {
+              meets_criteria: true,
+              category: 'Auto/News',
+              explanation: 'Personal',
+              confidence: 0.9,
+            };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(answer) } }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-evaluate-'));
+    const url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+    fs.writeFileSync(path.join(directory, 'config.yml'), configYaml(url));
+    fs.writeFileSync(path.join(directory, 'candidate.yml'), configYaml(url, 'KEEP SALES'));
+
+    fs.mkdirSync(path.join(directory, 'emails'));
+    const emails = {
+      'sale.eml': eml('Summer sale', 'Shop <news@shop.example.com>'),
+      'lunch.eml': eml('Lunch on Friday?', 'Friend <friend@example.com>'),
+      'unlabeled.eml': eml('Who knows', 'someone@example.com'),
+    };
+    for (const [file, source] of Object.entries(emails)) {
+      fs.writeFileSync(path.join(directory, 'emails', file), source);
+    }
+    fs.writeFileSync(
+      path.join(directory, 'labels.json'),
+      JSON.stringify({
+        'sale.eml': { keep: false, category: 'Auto/Marketing' },
+        'lunch.eml': { keep: true },
+      })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('scores a config against the labeled emails', async () => {
+    const stdout = await evaluate(directory, [
+      '--emails',
+      'emails',
+      '--labels',
+      'labels.json',
+      '--output',
+      'report.json',
+    ]);
+
+    expect(requests).toHaveLength(2);
+    expect(stdout).toMatch('Accuracy: 100.0% (keep/reject only: 100.0%) over 2 email(s)');
+    const [report] = JSON.parse(fs.readFileSync(path.join(directory, 'report.json'), 'utf8'));
+    expect(report).toMatchObject({
+      config: './config.yml',
+      total: 2,
+      accuracy: 1,
+      confusion: { Keep: { Keep: 1 }, 'Auto/Marketing': { 'Auto/Marketing': 1 } },
+      misclassified: [],
+    });
+  });
+
+  test('asks the model again on every run instead of using the response cache', async () => {
+    const args = ['--emails', 'emails', '--labels', 'labels.json'];
+    await evaluate(directory, args);
+    await evaluate(directory, args);
+
+    expect(requests).toHaveLength(4);
+    expect(fs.existsSync(path.join(directory, 'cache'))).toBe(false);
+  });
+
+  test('compares two configs email by email', async () => {
+    const stdout = await evaluate(directory, [
+      '--emails',
+      'emails',
+      '--labels',
+      'labels.json',
+      // The baseline is ./config.yml, whatever the order of the arguments
+      '--compare',
+      'candidate.yml',
+      '--output',
+      'report.json',
+    ]);
+
+    const [, candidate] = JSON.parse(fs.readFileSync(path.join(directory, 'report.json'), 'utf8'));
+    expect(candidate).toMatchObject({ accuracy: 0.5, judgmentAccuracy: 0.5 });
+    expect(candidate.misclassified.map((result) => result.file)).toEqual(['sale.eml']);
+    expect(stdout).toMatch('1 email(s) changed: 0 fixed, 1 broken');
+    expect(stdout).toMatch('- sale.eml: expected Auto/Marketing, Auto/Marketing -> Keep (broken)');
+  });
+});
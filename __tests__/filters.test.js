@@ -0,0 +1,117 @@
+jest.mock('../config', () => ({ settings: { rejectedFolderName: 'AI Rejects' } }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const config = require('../config');
+const { applyFilters, extractHeaders } = require('../filters');
+
+function email(overrides = {}) {
+  return {
+    fromAddress: 'news@shop.example.com',
+    subject: 'Big sale this weekend',
+    recipients: ['me@example.com'],
+    headers: { precedence: 'bulk' },
+    ...overrides,
+  };
+}
+
+describe('applyFilters', () => {
+  afterEach(() => {
+    delete config.filters;
+  });
+
+  test('returns null without filters or without a match', () => {
+    expect(applyFilters(email())).toBeNull();
+    config.filters = { alwaysKeep: ['friend@example.com'] };
+    expect(applyFilters(email())).toBeNull();
+  });
+
+  test('keeps senders on alwaysKeep, by address or domain', () => {
+    config.filters = { alwaysKeep: ['news@shop.example.com'] };
+    expect(applyFilters(email())).toMatchObject({ judgment: true, category: '', source: 'filter' });
+    config.filters = { alwaysKeep: ['@example.com'] };
+    expect(applyFilters(email()).judgment).toBe(true);
+  });
+
+  test("uses the account's filters and rejected folder", () => {
+    config.filters = { alwaysKeep: ['shop.example.com'] };
+    const account = { rejectedFolderName: 'Rejected', filters: { alwaysReject: ['example.com'] } };
+    expect(applyFilters(email(), account)).toMatchObject({ judgment: false, category: 'Rejected' });
+    expect(applyFilters(email(), { filters: undefined })).toBeNull();
+  });
+
+  test('does not match a domain by its suffix only', () => {
+    config.filters = { alwaysKeep: ['le.com'] };
+    expect(applyFilters(email())).toBeNull();
+  });
+
+  test('alwaysKeep wins over alwaysReject', () => {
+    config.filters = { alwaysKeep: ['shop.example.com'], alwaysReject: ['shop.example.com'] };
+    expect(applyFilters(email()).judgment).toBe(true);
+  });
+
+  test('rejects alwaysReject senders into alwaysRejectCategory or the rejected folder', () => {
+    config.filters = { alwaysReject: ['shop.example.com'], alwaysRejectCategory: 'Auto/Other' };
+    expect(applyFilters(email())).toMatchObject({ judgment: false, category: 'Auto/Other' });
+    config.filters = { alwaysReject: ['shop.example.com'] };
+    expect(applyFilters(email()).category).toBe('AI Rejects');
+  });
+
+  test('applies the first rule whose conditions all match', () => {
+    config.filters = {
+      rules: [
+        { name: 'Codes', subject: 'verification code', action: 'keep' },
+        { name: 'Bulk', headers: { Precedence: '^(bulk|list)$' }, category: 'Auto/News' },
+        { name: 'Everything from the shop', from: 'shop.example.com', action: 'keep' },
+      ],
+    };
+    expect(applyFilters(email())).toMatchObject({
+      judgment: false,
+      category: 'Auto/News',
+      explanation: 'Matched filter "Bulk"',
+    });
+    expect(applyFilters(email({ subject: 'Your verification code' })).judgment).toBe(true);
+  });
+
+  test('matches recipients with to', () => {
+    config.filters = { rules: [{ name: 'Team', to: 'team@example.com', action: 'keep' }] };
+    expect(applyFilters(email())).toBeNull();
+    expect(applyFilters(email({ recipients: ['team@example.com'] })).judgment).toBe(true);
+  });
+
+  test('matches header signals against a value or a list of values', () => {
+    config.filters = {
+      rules: [
+        { name: 'Lists', signals: { bulk: true, addressedTo: ['none', 'cc'] }, action: 'reject' },
+      ],
+    };
+    expect(applyFilters(email({ signals: { bulk: true, addressedTo: 'to' } }))).toBeNull();
+    expect(applyFilters(email({ signals: { bulk: true, addressedTo: 'cc' } })).judgment).toBe(
+      false
+    );
+  });
+
+  test('ignores rules without conditions, a valid action or a valid regex', () => {
+    config.filters = {
+      rules: [
+        { name: 'Nothing', action: 'reject' },
+        { name: 'No action', from: 'shop.example.com' },
+        { name: 'Broken', subject: '(', action: 'reject' },
+      ],
+    };
+    expect(applyFilters(email())).toBeNull();
+  });
+});
+
+describe('extractHeaders', () => {
+  test('unfolds values and joins repeated headers', () => {
+    expect(
+      extractHeaders([
+        { key: 'list-id', line: 'List-Id: Deals\r\n <deals.shop.example.com>' },
+        { key: 'received', line: 'Received: from a' },
+        { key: 'received', line: 'Received: from b' },
+      ])
+    ).toEqual({ 'list-id': 'Deals <deals.shop.example.com>', received: 'from a, from b' });
+  });
+});
@@ -0,0 +1,84 @@
+const { getHeaderSignals } = require('../headerSignals');
+
+const ACCOUNT = { name: 'home', auth: { user: 'me@example.com' } };
+
+function email(overrides = {}) {
+  return { headers: {}, to: ['me@example.com'], cc: [], bcc: [], ...overrides };
+}
+
+describe('getHeaderSignals', () => {
+  test('reports a personal email as such', () => {
+    expect(getHeaderSignals(email(), ACCOUNT)).toEqual({
+      listId: null,
+      listUnsubscribe: false,
+      precedence: null,
+      autoSubmitted: null,
+      bulk: false,
+      spf: 'none',
+      dkim: 'none',
+      dmarc: 'none',
+      authenticationFailed: false,
+      addressedTo: 'to',
+    });
+  });
+
+  test('treats list headers and bulk precedence as bulk', () => {
+    const list = getHeaderSignals(
+      email({ headers: { 'list-id': '<news.example.com>', 'list-unsubscribe': '<mailto:x@y>' } }),
+      ACCOUNT
+    );
+    expect(list).toMatchObject({ listId: '<news.example.com>', listUnsubscribe: true, bulk: true });
+
+    const precedence = getHeaderSignals(email({ headers: { precedence: ' Bulk ' } }), ACCOUNT);
+    expect(precedence).toMatchObject({ precedence: 'bulk', bulk: true });
+    expect(getHeaderSignals(email({ headers: { precedence: 'first-class' } }), ACCOUNT).bulk).toBe(
+      false
+    );
+  });
+
+  test('ignores Auto-Submitted: no', () => {
+    const auto = { 'auto-submitted': 'auto-generated' };
+    expect(getHeaderSignals(email({ headers: auto }), ACCOUNT).autoSubmitted).toBe(
+      'auto-generated'
+    );
+    const no = { 'auto-submitted': 'No' };
+    expect(getHeaderSignals(email({ headers: no }), ACCOUNT).autoSubmitted).toBeNull();
+  });
+
+  test('lets any passing result win for a method', () => {
+    const signals = getHeaderSignals(
+      email({
+        authenticationResults:
+          'mx.example.com; spf=softfail smtp.mailfrom=a.com; dkim=fail header.d=a.com; ' +
+          'dkim=pass header.d=b.com; dmarc=PASS',
+      }),
+      ACCOUNT
+    );
+    expect(signals).toMatchObject({
+      spf: 'softfail',
+      dkim: 'pass',
+      dmarc: 'pass',
+      authenticationFailed: false,
+    });
+  });
+
+  test.each([
+    ['dmarc=fail', true],
+    ['dkim=fail', true],
+    ['spf=fail', true],
+    ['spf=fail; dkim=pass', false],
+    ['spf=softfail', false],
+  ])('authentication %s failed: %p', (authenticationResults, failed) => {
+    expect(getHeaderSignals(email({ authenticationResults }), ACCOUNT).authenticationFailed).toBe(
+      failed
+    );
+  });
+
+  test('finds the field our address is in', () => {
+    expect(
+      getHeaderSignals(email({ to: ['team@example.com'], cc: ['me@example.com'] }), ACCOUNT)
+        .addressedTo
+    ).toBe('cc');
+    expect(getHeaderSignals(email({ to: ['team@example.com'] }), ACCOUNT).addressedTo).toBe('none');
+  });
+});
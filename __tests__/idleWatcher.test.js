@@ -0,0 +1,139 @@
+jest.mock('../config', () => ({
+  settings: { refreshInterval: 15 },
+}));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../processEmails', () => ({ processEmails: jest.fn() }));
+jest.mock('../utilities', () => ({ createImapConnection: jest.fn() }));
+
+const { EventEmitter } = require('events');
+const { processEmails } = require('../processEmails');
+const { createImapConnection } = require('../utilities');
+const { IdleWatcher } = require('../idleWatcher');
+
+const ACCOUNT = { name: 'home', isDefault: true };
+
+function createClient({ idle = true } = {}) {
+  const client = new EventEmitter();
+  Object.assign(client, {
+    usable: true,
+    capabilities: new Map(idle ? [['IDLE', true]] : []),
+    connect: jest.fn(async () => {}),
+    logout: jest.fn(async () => {}),
+    mailboxOpen: jest.fn(async () => ({ path: 'INBOX' })),
+  });
+  return client;
+}
+
+describe('IdleWatcher', () => {
+  let watcher;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    processEmails.mockResolvedValue({ statusCode: 200 });
+  });
+
+  afterEach(async () => {
+    await watcher.stop();
+    jest.useRealTimers();
+  });
+
+  test('catches up on connect and then processes only newly reported mail', async () => {
+    const client = createClient();
+    createImapConnection.mockReturnValue(client);
+    watcher = new IdleWatcher(ACCOUNT, { dryRun: true });
+    await watcher.start();
+
+    expect(client.mailboxOpen).toHaveBeenCalledWith('INBOX');
+    expect(processEmails).toHaveBeenCalledWith(null, {
+      account: ACCOUNT,
+      client,
+      dryRun: true,
+    });
+
+    // A burst of EXISTS is handled in one check after the debounce
+    client.emit('exists', { path: 'INBOX', count: 5, prevCount: 3 });
+    client.emit('exists', { path: 'INBOX', count: 6, prevCount: 5 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    // The checkpoint decides which emails are new
+    expect(processEmails).toHaveBeenCalledTimes(2);
+    expect(processEmails).toHaveBeenLastCalledWith(null, {
+      account: ACCOUNT,
+      client,
+      skipFolderVerification: true,
+      dryRun: true,
+      coalesce: true,
+    });
+  });
+
+  test('ignores EXISTS for other mailboxes or expunges', async () => {
+    const client = createClient();
+    createImapConnection.mockReturnValue(client);
+    watcher = new IdleWatcher(ACCOUNT);
+    await watcher.start();
+
+    client.emit('exists', { path: 'Archive', count: 5, prevCount: 3 });
+    client.emit('exists', { path: 'INBOX', count: 3, prevCount: 4 });
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(processEmails).toHaveBeenCalledTimes(1);
+  });
+
+  test('polls every refreshInterval when the server has no IDLE', async () => {
+    const client = createClient({ idle: false });
+    createImapConnection.mockReturnValue(client);
+    watcher = new IdleWatcher(ACCOUNT);
+    await watcher.start();
+
+    expect(client.logout).toHaveBeenCalled();
+    expect(processEmails).toHaveBeenCalledTimes(1);
+    expect(processEmails.mock.calls[0][1].client).toBeUndefined();
+
+    await jest.advanceTimersByTimeAsync(15000);
+    expect(processEmails).toHaveBeenCalledTimes(2);
+  });
+
+  test('reconnects with a growing delay after the connection closes or fails', async () => {
+    const first = createClient();
+    const failing = createClient();
+    failing.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+    const last = createClient();
+    createImapConnection
+      .mockReturnValueOnce(first)
+      .mockReturnValueOnce(failing)
+      .mockReturnValueOnce(last);
+    watcher = new IdleWatcher(ACCOUNT);
+    await watcher.start();
+
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+    first.emit('close');
+    await jest.advanceTimersByTimeAsync(999);
+    expect(createImapConnection).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(createImapConnection).toHaveBeenCalledTimes(2);
+
+    // The failed attempt doubles the delay
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(createImapConnection).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(createImapConnection).toHaveBeenCalledTimes(3);
+    expect(watcher.client).toBe(last);
+    expect(watcher.reconnectAttempts).toBe(0);
+    random.mockRestore();
+  });
+
+  test('stops reconnecting once stopped', async () => {
+    const client = createClient();
+    createImapConnection.mockReturnValue(client);
+    watcher = new IdleWatcher(ACCOUNT);
+    await watcher.start();
+
+    await watcher.stop();
+    client.emit('close');
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(createImapConnection).toHaveBeenCalledTimes(1);
+    expect(client.logout).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../processEmails', () => ({ processAllAccounts: jest.fn() }));
+
+const { processAllAccounts } = require('../processEmails');
+const { JobManager } = require('../jobManager');
+
+// A run that only finishes when the test says so
+function deferredRun() {
+  let finish;
+  const started = new Promise((resolve) => {
+    processAllAccounts.mockImplementationOnce((options) => {
+      resolve(options);
+      return new Promise((done) => {
+        finish = done;
+      });
+    });
+  });
+  return { started, finish: (result) => finish(result) };
+}
+
+describe('JobManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new JobManager();
+  });
+
+  test('runs a job in the background and keeps its result', async () => {
+    processAllAccounts.mockResolvedValue({ statusCode: 200, accounts: {} });
+    const job = manager.createJob({ account: 'work', dryRun: true, limit: 5 });
+    expect(manager.describe(job)).toMatchObject({ status: 'queued', startedAt: null });
+
+    await job.done;
+    expect(manager.describe(job)).toMatchObject({
+      status: 'completed',
+      result: { statusCode: 200 },
+    });
+    expect(processAllAccounts).toHaveBeenCalledWith(
+      expect.objectContaining({ accountName: 'work', dryRun: true, limit: 5, timestamp: null })
+    );
+    expect(manager.describe(job)).not.toHaveProperty('controller');
+  });
+
+  test('sums the progress of every account', async () => {
+    const run = deferredRun();
+    const job = manager.createJob();
+    const { onProgress } = await run.started;
+
+    onProgress('home', { found: 4, processed: 4, errors: 1, batch: 1, totalBatches: 1 });
+    onProgress('work', { found: 10, processed: 2, errors: 0, batch: 1, totalBatches: 5 });
+    expect(job.progress).toMatchObject({
+      found: 14,
+      processed: 6,
+      errors: 1,
+      currentBatch: { account: 'work', batch: 1, totalBatches: 5 },
+    });
+
+    run.finish({ statusCode: 200 });
+    await job.done;
+  });
+
+  test('runs jobs one at a time in order', async () => {
+    const first = deferredRun();
+    const firstJob = manager.createJob();
+    const secondJob = manager.createJob();
+    await first.started;
+
+    expect([firstJob.status, secondJob.status]).toEqual(['running', 'queued']);
+    processAllAccounts.mockResolvedValueOnce({ statusCode: 500 });
+    first.finish({ statusCode: 200 });
+    await secondJob.done;
+    expect([firstJob.status, secondJob.status]).toEqual(['completed', 'failed']);
+    expect(manager.list()).toEqual([secondJob, firstJob]);
+  });
+
+  test('drops a queued job and stops a running one after its batch', async () => {
+    const run = deferredRun();
+    const running = manager.createJob();
+    const queued = manager.createJob();
+    const { signal } = await run.started;
+
+    expect(manager.cancel(queued.id).status).toBe('cancelled');
+    expect(manager.cancel(running.id).status).toBe('cancelling');
+    expect(signal.aborted).toBe(true);
+
+    run.finish({ statusCode: 200 });
+    await queued.done;
+    expect(running.status).toBe('cancelled');
+    expect(processAllAccounts).toHaveBeenCalledTimes(1);
+    expect(manager.cancel('missing')).toBeNull();
+  });
+
+  test('records a run that threw', async () => {
+    processAllAccounts.mockRejectedValue(new Error('IMAP down'));
+    const job = manager.createJob();
+    await job.done;
+    expect(manager.describe(job)).toMatchObject({ status: 'failed', error: 'IMAP down' });
+  });
+});
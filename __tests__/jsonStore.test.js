@@ -0,0 +1,103 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../jsonStore');
+
+describe('JsonStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-store-'));
+    store = new JsonStore(() => path.join(directory, 'state.json'), { description: 'test state' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('starts empty without a file or with an unreadable one', async () => {
+    expect(await store.read()).toEqual({ accounts: {} });
+    fs.writeFileSync(path.join(directory, 'state.json'), '{broken');
+    expect(await store.read()).toEqual({ accounts: {} });
+  });
+
+  test('writes the whole contents without leaving a temporary file', async () => {
+    await store.write({ accounts: { home: 1 } });
+
+    expect(await store.read()).toEqual({ accounts: { home: 1 } });
+    expect(fs.readdirSync(directory)).toEqual(['state.json']);
+  });
+
+  test('runs concurrent updates one after the other', async () => {
+    const add = (name) =>
+      store.update((data) => {
+        data.accounts[name] = true;
+        return name;
+      });
+
+    expect(await Promise.all([add('home'), add('work'), add('club')])).toEqual([
+      'home',
+      'work',
+      'club',
+    ]);
+    expect(Object.keys((await store.read()).accounts)).toEqual(['home', 'work', 'club']);
+  });
+
+  test('keeps updates of separate processes from overwriting each other', async () => {
+    // Two stores on the same file stand in for two processes, they share nothing but the disk
+    const other = new JsonStore(() => path.join(directory, 'state.json'), {
+      description: 'test state',
+    });
+    const add = (target, name) =>
+      target.update(async (data) => {
+        data.accounts[name] = true;
+      });
+
+    await Promise.all(
+      ['a', 'b', 'c', 'd'].flatMap((name) => [add(store, name), add(other, `${name}2`)])
+    );
+
+    expect(Object.keys((await store.read()).accounts).sort()).toEqual([
+      'a',
+      'a2',
+      'b',
+      'b2',
+      'c',
+      'c2',
+      'd',
+      'd2',
+    ]);
+    expect(fs.readdirSync(directory)).toEqual(['state.json']);
+  });
+
+  test('waits for the lock of another process, and takes over one it left behind', async () => {
+    const lockPath = path.join(directory, 'state.json.lock');
+    fs.writeFileSync(lockPath, '12345');
+    let done = false;
+    const update = store
+      .update((data) => {
+        data.accounts.home = 1;
+      })
+      .then(() => {
+        done = true;
+      });
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(done).toBe(false);
+    fs.rmSync(lockPath);
+    await update;
+    expect(await store.read()).toEqual({ accounts: { home: 1 } });
+
+    fs.writeFileSync(lockPath, '12345');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, old, old);
+    await store.write({ accounts: { work: 1 } });
+    expect(await store.read()).toEqual({ accounts: { work: 1 } });
+    expect(fs.readdirSync(directory)).toEqual(['state.json']);
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonlLog } = require('../jsonlLog');
+
+describe('JsonlLog', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-jsonl-'));
+    filePath = path.join(directory, 'log.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('appends timestamped entries, one per line', async () => {
+    const log = new JsonlLog(() => filePath, { description: 'test log' });
+    const entry = await log.append({ type: 'move' });
+
+    expect(Date.parse(entry.timestamp)).not.toBeNaN();
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(`${JSON.stringify(entry)}\n`);
+    expect(await log.load()).toEqual([entry]);
+  });
+
+  test('skips malformed lines', async () => {
+    fs.writeFileSync(filePath, '{"a":1}\n{not json\n\n{"b":2}\n');
+    expect(await new JsonlLog(() => filePath, { description: 'test log' }).load()).toEqual([
+      { a: 1 },
+      { b: 2 },
+    ]);
+  });
+
+  test('reads the file again on every load unless cached', async () => {
+    const cached = new JsonlLog(() => filePath, { description: 'test log' });
+    const uncached = new JsonlLog(() => filePath, { description: 'test log', cache: false });
+    expect(await cached.load()).toEqual([]);
+
+    fs.appendFileSync(filePath, '{"from":"another process"}\n');
+    expect(await cached.load()).toEqual([]);
+    expect(await uncached.load()).toEqual([{ from: 'another process' }]);
+  });
+});
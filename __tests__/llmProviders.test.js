@@ -0,0 +1,179 @@
+jest.mock('../config', () => ({ settings: {}, openAI: { model: 'gpt-4o-mini' } }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({ executeOpenAIWithRetry: jest.fn() }));
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const config = require('../config');
+const { executeOpenAIWithRetry } = require('../utilities');
+const {
+  LLMProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  ProviderChain,
+  createProviderChain,
+} = require('../llmProviders');
+
+class FakeProvider extends LLMProvider {
+  constructor(options, answer) {
+    super(options);
+    this.answer = answer;
+  }
+
+  async request() {
+    return this.answer();
+  }
+}
+
+const MESSAGES = [
+  { role: 'system', content: 'Be strict' },
+  { role: 'user', content: 'Analyze this' },
+];
+
+describe('ProviderChain', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('answers with the first provider that succeeds', async () => {
+    const local = new FakeProvider({ name: 'local', model: 'llama' }, async () => {
+      throw new Error('ECONNREFUSED');
+    });
+    const openai = new FakeProvider({ name: 'openai', model: 'gpt' }, async () => '{"ok":true}');
+
+    expect(await new ProviderChain([local, openai]).complete(MESSAGES)).toEqual({
+      content: '{"ok":true}',
+      provider: 'openai',
+      model: 'gpt',
+    });
+  });
+
+  test('throws the last error once every provider failed', async () => {
+    const failing = (message) =>
+      new FakeProvider({ name: message }, async () => {
+        throw new Error(message);
+      });
+
+    await expect(
+      new ProviderChain([failing('first'), failing('second')]).complete([])
+    ).rejects.toThrow('second');
+    await expect(new ProviderChain([]).complete([])).rejects.toThrow('No LLM providers configured');
+  });
+
+  test('limits each provider to maxConcurrent requests', async () => {
+    let running = 0;
+    let peak = 0;
+    const provider = new FakeProvider({ name: 'slow', maxConcurrent: 2 }, async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise((resolve) => setImmediate(resolve));
+      running--;
+      return '{}';
+    });
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => provider.complete(MESSAGES)));
+    expect(peak).toBe(2);
+    expect(provider.active).toBe(0);
+  });
+});
+
+describe('createProviderChain', () => {
+  afterEach(() => {
+    config.settings = {};
+  });
+
+  test('builds the configured providers in order', () => {
+    const chain = createProviderChain({
+      settings: {},
+      llm: {
+        temperature: 0,
+        providers: [
+          {
+            name: 'local',
+            type: 'openai-compatible',
+            url: 'http://localhost:11434/v1/chat/completions',
+          },
+          { name: 'claude', type: 'anthropic', model: 'claude-haiku', temperature: 0.2 },
+        ],
+      },
+    });
+    expect(chain.providers.map((provider) => provider.constructor)).toEqual([
+      OpenAICompatibleProvider,
+      AnthropicProvider,
+    ]);
+    expect(chain.providers.map((provider) => provider.temperature)).toEqual([0, 0.2]);
+  });
+
+  test('falls back to the legacy useLocalLLM and openAI settings', () => {
+    expect(createProviderChain().providers[0]).toMatchObject({
+      name: 'openai',
+      model: 'gpt-4o-mini',
+    });
+    config.settings.useLocalLLM = true;
+    expect(createProviderChain().providers[0]).toBeInstanceOf(OpenAICompatibleProvider);
+  });
+
+  test('rejects unknown provider types', () => {
+    const appConfig = { settings: {}, llm: { providers: [{ type: 'carrier-pigeon' }] } };
+    expect(() => createProviderChain(appConfig)).toThrow(
+      'Unknown LLM provider type "carrier-pigeon"'
+    );
+  });
+});
+
+describe('AnthropicProvider', () => {
+  test('sends the system prompt separately and joins the text blocks', async () => {
+    axios.post.mockResolvedValue({
+      data: { content: [{ type: 'text', text: ' {"meets_criteria": true}' }] },
+    });
+    const provider = new AnthropicProvider({ name: 'claude', model: 'claude-haiku' });
+
+    expect(await provider.complete(MESSAGES)).toBe('{"meets_criteria": true}');
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(body).toMatchObject({
+      model: 'claude-haiku',
+      system: 'Be strict',
+      messages: [{ role: 'user', content: 'Analyze this' }],
+    });
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sends max_tokens only when maxTokens is set', async () => {
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: ' {} ' } }] } });
+
+    expect(await new OpenAICompatibleProvider({ name: 'local' }).complete(MESSAGES)).toBe('{}');
+    expect(axios.post.mock.calls[0][1]).not.toHaveProperty('max_tokens');
+
+    await new OpenAICompatibleProvider({ name: 'local', maxTokens: 512 }).complete(MESSAGES);
+    expect(axios.post.mock.calls[1][1]).toMatchObject({ max_tokens: 512, stream: false });
+  });
+});
+
+describe('OpenAIProvider', () => {
+  test('retries as configured, including not at all', async () => {
+    await new OpenAIProvider({ model: 'gpt-4o-mini' }).request([]);
+    await new OpenAIProvider({ model: 'gpt-4o-mini', retries: 0 }).request([]);
+
+    expect(executeOpenAIWithRetry.mock.calls.map((call) => call[1])).toEqual([4, 1]);
+  });
+
+  test('fails over at the rate limit instead of waiting when there is a next provider', () => {
+    const rateLimitRetries = (providers) =>
+      createProviderChain({ settings: {}, llm: { providers } }).providers.map(
+        (provider) => provider.rateLimitRetries
+      );
+    const openai = { type: 'openai', model: 'gpt-4o-mini' };
+
+    expect(rateLimitRetries([openai])).toEqual([10]);
+    expect(rateLimitRetries([openai, { ...openai, name: 'backup' }])).toEqual([0, 0]);
+    expect(rateLimitRetries([{ ...openai, rateLimitRetries: 2 }, openai])).toEqual([2, 0]);
+  });
+});
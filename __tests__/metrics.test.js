@@ -0,0 +1,70 @@
+const { metrics, renderMetrics, Counter, Gauge, Histogram } = require('../metrics');
+
+describe('Counter', () => {
+  test('counts per label combination and fills in missing labels', () => {
+    const counter = new Counter('test_total', 'Test counter', ['account', 'stage']);
+    counter.inc({ account: 'home', stage: 'fetch' });
+    counter.inc({ account: 'home', stage: 'fetch' }, 2);
+    counter.inc({ account: 'work' });
+    expect(counter.render()).toBe(
+      [
+        '# HELP test_total Test counter',
+        '# TYPE test_total counter',
+        'test_total{account="home",stage="fetch"} 3',
+        'test_total{account="work",stage=""} 1',
+      ].join('\n')
+    );
+  });
+
+  test('escapes label values', () => {
+    const counter = new Counter('test_total', 'Test counter', ['category']);
+    counter.inc({ category: 'say "hi"\\\nbye' });
+    expect(counter.render()).toMatch(/^test_total\{category="say \\"hi\\"\\\\\\nbye"\} 1$/m);
+  });
+
+  test('renders a metric without labels', () => {
+    const counter = new Counter('test_total', 'Test counter');
+    counter.inc();
+    expect(counter.render().split('\n')[2]).toBe('test_total 1');
+  });
+});
+
+describe('Gauge', () => {
+  test('keeps the last value set', () => {
+    const gauge = new Gauge('test_seconds', 'Test gauge', ['status']);
+    gauge.set({ status: 'completed' }, 10);
+    gauge.set({ status: 'completed' }, 20);
+    expect(gauge.render()).toMatch(
+      /# TYPE test_seconds gauge\ntest_seconds\{status="completed"\} 20$/
+    );
+  });
+});
+
+describe('Histogram', () => {
+  test('renders cumulative buckets, sum and count', () => {
+    const histogram = new Histogram('test_duration_seconds', 'Test histogram', ['model'], [1, 5]);
+    for (const value of [0.5, 2, 7]) {
+      histogram.observe({ model: 'gpt' }, value);
+    }
+    expect(histogram.render().split('\n').slice(1)).toEqual([
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{model="gpt",le="1"} 1',
+      'test_duration_seconds_bucket{model="gpt",le="5"} 2',
+      'test_duration_seconds_bucket{model="gpt",le="+Inf"} 3',
+      'test_duration_seconds_sum{model="gpt"} 9.5',
+      'test_duration_seconds_count{model="gpt"} 3',
+    ]);
+  });
+});
+
+describe('renderMetrics', () => {
+  test('renders every metric family, ending in a newline', () => {
+    metrics.emailsFound.inc({ account: 'home' }, 4);
+    const text = renderMetrics();
+    expect(text.endsWith('\n')).toBe(true);
+    for (const metric of Object.values(metrics)) {
+      expect(text).toContain(`# TYPE ${metric.name} ${metric.type}\n`);
+    }
+    expect(text).toContain('clearmail_emails_found_total{account="home"} 4\n');
+  });
+});
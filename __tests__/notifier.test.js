@@ -0,0 +1,161 @@
+jest.mock('../config', () => ({}));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../utilities', () => ({ sleep: jest.fn(async () => {}) }));
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT = { name: 'home' };
+const KEPT = { judgment: true, category: '', explanation: 'From a friend', urgency: 'high' };
+
+function email(overrides = {}) {
+  return {
+    messageId: '<lunch@example.com>',
+    from: 'Friend <friend@example.com>',
+    fromAddress: 'friend@example.com',
+    subject: 'Lunch on Friday?',
+    date: '2024-06-03T10:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status },
+  });
+}
+
+describe('notify', () => {
+  let directory;
+  let config;
+  let axios;
+  let notify;
+  let getNotificationLog;
+
+  beforeEach(() => {
+    // The log is cached per process, so every test starts from a fresh module
+    jest.resetModules();
+    config = require('../config');
+    axios = require('axios');
+    ({ notify, getNotificationLog } = require('../notifier'));
+    axios.post.mockResolvedValue({ status: 200 });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-notify-'));
+    config.notifications = {
+      enabled: true,
+      logFilePath: path.join(directory, 'notificationLog.jsonl'),
+      sinks: [{ name: 'hook', type: 'webhook', url: 'https://example.com/hook' }],
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('does nothing unless enabled or without a Message-ID', () => {
+    expect(notify(ACCOUNT, email({ messageId: null }), KEPT)).toBeNull();
+    config.notifications.enabled = false;
+    expect(notify(ACCOUNT, email(), KEPT)).toBeNull();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('sends kept emails by default and filters by category, sender and urgency', async () => {
+    config.notifications.sinks = [
+      { name: 'kept', url: 'https://example.com/kept' },
+      { name: 'rejected', url: 'https://example.com/rejected', when: { judgment: 'reject' } },
+      { name: 'bank', url: 'https://example.com/bank', when: { from: ['bank.example.com'] } },
+      { name: 'urgent', url: 'https://example.com/urgent', when: { urgency: 'high' } },
+      {
+        name: 'receipts',
+        url: 'https://example.com/receipts',
+        when: { judgment: 'any', categories: ['Auto/Receipts'] },
+      },
+    ];
+
+    await notify(ACCOUNT, email(), KEPT);
+
+    expect(axios.post.mock.calls.map(([url]) => url).sort()).toEqual([
+      'https://example.com/kept',
+      'https://example.com/urgent',
+    ]);
+  });
+
+  test('posts the templated title and message with every field to a webhook', async () => {
+    process.env.CLEARMAIL_TEST_TOKEN = 'secret';
+    config.notifications.sinks[0] = {
+      ...config.notifications.sinks[0],
+      title: '{{ from }} ({{urgency}})',
+      message: '{{subject}} {{nothing}}',
+      tokenEnv: 'CLEARMAIL_TEST_TOKEN',
+    };
+
+    await notify(ACCOUNT, email(), KEPT);
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://example.com/hook');
+    expect(body).toMatchObject({
+      title: 'Friend <friend@example.com> (high)',
+      message: 'Lunch on Friday?',
+      account: 'home',
+      judgment: 'kept',
+      messageId: '<lunch@example.com>',
+    });
+    expect(options).toEqual({ headers: { Authorization: 'Bearer secret' }, timeout: 10000 });
+    delete process.env.CLEARMAIL_TEST_TOKEN;
+  });
+
+  test('speaks the ntfy, Gotify and Slack formats', async () => {
+    config.notifications.sinks = [
+      { name: 'phone', type: 'ntfy', url: 'https://ntfy.sh/my-mail/' },
+      { name: 'gotify', type: 'gotify', url: 'https://gotify.example.com/message' },
+      { name: 'slack', type: 'slack', url: 'https://hooks.slack.com/services/x' },
+    ];
+
+    await notify(ACCOUNT, email(), KEPT);
+
+    const bodies = Object.fromEntries(axios.post.mock.calls.map(([url, body]) => [url, body]));
+    expect(bodies['https://ntfy.sh']).toMatchObject({
+      topic: 'my-mail',
+      priority: 5,
+      tags: ['email'],
+    });
+    expect(bodies['https://gotify.example.com/message']).toMatchObject({ priority: 8 });
+    expect(bodies['https://hooks.slack.com/services/x'].text).toBe(
+      '*Friend &lt;friend@example.com&gt;*\nLunch on Friday?\nFrom a friend'
+    );
+  });
+
+  test('tells each sink about a Message-ID once, across restarts', async () => {
+    await Promise.all([notify(ACCOUNT, email(), KEPT), notify(ACCOUNT, email(), KEPT)]);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    jest.resetModules();
+    require('../config').notifications = config.notifications;
+    const reloaded = require('../notifier');
+    await reloaded.notify(ACCOUNT, email(), KEPT);
+    expect(require('axios').post).not.toHaveBeenCalled();
+    expect(await reloaded.getNotificationLog('home')).toMatchObject([
+      { sink: 'hook', outcome: 'sent', status: 200, attempts: 1 },
+    ]);
+  });
+
+  test('retries server errors and logs what finally failed', async () => {
+    config.notifications.retries = 2;
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ status: 200 })
+      .mockRejectedValueOnce(httpError(400));
+
+    await notify(ACCOUNT, email(), KEPT);
+    await notify(ACCOUNT, email({ messageId: '<other@example.com>' }), KEPT);
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(await getNotificationLog()).toMatchObject([
+      { messageId: '<lunch@example.com>', outcome: 'sent', attempts: 2 },
+      { messageId: '<other@example.com>', outcome: 'failed', status: 400, attempts: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,462 @@
+jest.mock('../config', () => ({ settings: {}, categoryFolderNames: ['Auto/Marketing'] }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../analyzeEmail', () => ({ analyzeEmail: jest.fn() }));
+jest.mock('../utilities', () => ({
+  createImapConnection: jest.fn(),
+  saveDryRunReport: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { analyzeEmail } = require('../analyzeEmail');
+const { readJournal } = require('../actionJournal');
+const { metrics } = require('../metrics');
+const { getMailboxState, saveMailboxState } = require('../stateStore');
+const { createImapConnection, saveDryRunReport } = require('../utilities');
+const { processEmails, processAllAccounts } = require('../processEmails');
+
+function rawEmail(subject) {
+  return Buffer.from(
+    [
+      `Message-ID: <${subject.replace(/\W/g, '')}@shop.example.com>`,
+      'From: Shop <news@shop.example.com>',
+      'To: me@example.com',
+      `Subject: ${subject}`,
+      'Date: Mon, 3 Jun 2024 10:00:00 +0000',
+      '',
+      'Everything must go.',
+    ].join('\r\n')
+  );
+}
+
+// Current value of one series, e.g. sample(metrics.emailsFound, '{account="default"}')
+function sample(metric, labels) {
+  const line = metric
+    .render()
+    .split('\n')
+    .find((row) => row.startsWith(`${metric.name}${labels} `));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+// Just the part of imapflow's client the processor uses
+function createClient(messages, uidValidity = 7) {
+  return {
+    connect: jest.fn(),
+    logout: jest.fn(async () => {}),
+    mailboxOpen: jest.fn(async () => ({ path: 'INBOX', uidValidity })),
+    mailboxCreate: jest.fn(),
+    list: jest.fn(async () => []),
+    getMailboxLock: jest.fn(async () => ({ release: jest.fn() })),
+    fetch: jest.fn(async function* () {
+      yield* messages;
+    }),
+    messageMove: jest.fn(async () => true),
+    messageFlagsAdd: jest.fn(async () => true),
+    messageFlagsRemove: jest.fn(async () => true),
+  };
+}
+
+describe('processEmails', () => {
+  let client;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-process-'));
+    jest.clearAllMocks();
+    config.settings = {
+      dryRun: false,
+      verifyImapFolders: false,
+      processReadEmails: true,
+      sortIntoCategoryFolders: true,
+      markAllRejectedEmailsRead: true,
+      starAllKeptEmails: true,
+      maxEmailsToProcessAtOnce: 10,
+      batchSize: 10,
+      stateFilePath: path.join(directory, 'clearmailState.json'),
+      runLockPath: path.join(directory, 'clearmail.lock'),
+      journalFilePath: path.join(directory, 'actionJournal.jsonl'),
+    };
+    delete config.filters;
+    delete config.accounts;
+    delete config.categoryActions;
+    client = createClient([
+      { uid: 11, flags: new Set(), source: rawEmail('Summer sale') },
+      { uid: 12, flags: new Set(), source: rawEmail('Lunch on Friday?') },
+    ]);
+    createImapConnection.mockImplementation(() => client);
+    analyzeEmail.mockImplementation(async (subject) =>
+      subject === 'Summer sale'
+        ? { judgment: false, category: 'Auto/Marketing', explanation: 'A sale' }
+        : { judgment: true, category: '', explanation: 'A friend' }
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('moves rejected emails and stars kept ones', async () => {
+    const result = await processEmails(null);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.stats).toMatchObject({ processed: 2, errors: 0, totalFound: 2 });
+    expect(client.messageMove).toHaveBeenCalledWith(11, 'Auto/Marketing', expect.anything());
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith(11, ['\\Seen'], expect.anything());
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith(12, ['\\Flagged'], expect.anything());
+    expect(saveDryRunReport).not.toHaveBeenCalled();
+  });
+
+  test('journals every change under the run id', async () => {
+    const { runId } = await processEmails(null);
+
+    const entries = await readJournal();
+    expect(entries.every((entry) => entry.runId === runId)).toBe(true);
+    expect(
+      entries.map(({ type, uid, flags, destinationFolder }) => ({
+        type,
+        uid,
+        flags,
+        destinationFolder,
+      }))
+    ).toEqual(
+      expect.arrayContaining([
+        { type: 'flag', uid: 11, flags: ['\\Seen'], destinationFolder: undefined },
+        { type: 'move', uid: 11, flags: undefined, destinationFolder: 'Auto/Marketing' },
+        { type: 'flag', uid: 12, flags: ['\\Flagged'], destinationFolder: undefined },
+      ])
+    );
+    expect(entries).toHaveLength(3);
+    expect(entries[0]).toMatchObject({
+      sourceFolder: 'INBOX',
+      fromAddress: 'news@shop.example.com',
+    });
+  });
+
+  test('does not journal a flag the email already had', async () => {
+    client = createClient([{ uid: 12, flags: new Set(['\\Flagged']), source: rawEmail('Hi') }]);
+    await processEmails(null);
+
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith(12, ['\\Flagged'], expect.anything());
+    expect(await readJournal()).toEqual([]);
+  });
+
+  test('does not journal a flag the server did not store', async () => {
+    client.messageFlagsAdd.mockImplementation(async (uid, flags) => flags[0] !== '\\Flagged');
+    await processEmails(null);
+
+    expect((await readJournal()).some((entry) => entry.uid === 12)).toBe(false);
+  });
+
+  test('lets filters decide before the model is asked', async () => {
+    config.filters = { alwaysReject: ['shop.example.com'], alwaysRejectCategory: 'Auto/Marketing' };
+    await processEmails(null);
+
+    expect(analyzeEmail).not.toHaveBeenCalled();
+    expect(client.messageMove).toHaveBeenCalledWith(11, 'Auto/Marketing', expect.anything());
+    expect(client.messageMove).toHaveBeenCalledWith(12, 'Auto/Marketing', expect.anything());
+  });
+
+  test("runs a category's action steps in place of mark read and move", async () => {
+    client.messageCopy = jest.fn(async () => ({}));
+    client.list.mockResolvedValue([{ path: '[Gmail]/All Mail', specialUse: '\\All' }]);
+    config.categoryActions = {
+      'Auto/Marketing': [
+        { action: 'copy', folder: 'Deals' },
+        { action: 'add_flags', flags: '$Deal' },
+        { action: 'archive' },
+        { action: 'mark_read' },
+      ],
+    };
+    await processEmails(null);
+
+    expect(client.messageCopy).toHaveBeenCalledWith(11, 'Deals', { uid: true });
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith(11, ['$Deal'], { uid: true });
+    expect(client.messageMove).toHaveBeenCalledWith(11, '[Gmail]/All Mail', expect.anything());
+    // Nothing acts on the email once it was archived
+    expect(client.messageFlagsAdd).not.toHaveBeenCalledWith(11, ['\\Seen'], expect.anything());
+    expect((await readJournal()).filter((entry) => entry.uid === 11)).toMatchObject([
+      { type: 'copy', destinationFolder: 'Deals' },
+      { type: 'flag', flags: ['$Deal'] },
+      { type: 'move', destinationFolder: '[Gmail]/All Mail' },
+    ]);
+  });
+
+  test('does not repeat a copy a failed earlier attempt already made', async () => {
+    client.messageCopy = jest.fn(async () => ({}));
+    // The move and its retry after creating the folder both fail
+    client.messageMove
+      .mockRejectedValueOnce(new Error('Connection reset'))
+      .mockRejectedValueOnce(new Error('Connection reset'));
+    config.categoryActions = {
+      'Auto/Marketing': [{ action: 'copy', folder: 'Deals' }, { action: 'move' }],
+    };
+    await processEmails(null);
+
+    // The failed email is retried on the next run
+    await processEmails(null);
+    expect(client.messageCopy).toHaveBeenCalledTimes(1);
+    expect(client.messageMove).toHaveBeenLastCalledWith(11, 'Auto/Marketing', expect.anything());
+  });
+
+  test('records proposed actions in a dry run without touching the mailbox', async () => {
+    config.settings.dryRunReportPath = 'report.json';
+    const result = await processEmails(null, { dryRun: true });
+
+    expect(result).toMatchObject({ statusCode: 200, dryRun: true, reportPath: 'report.json' });
+    expect(client.messageMove).not.toHaveBeenCalled();
+    expect(client.messageFlagsAdd).not.toHaveBeenCalled();
+    expect(await getMailboxState('default', 'INBOX')).toBeNull();
+    expect(await readJournal()).toEqual([]);
+
+    const [report, reportPath] = saveDryRunReport.mock.calls[0];
+    expect(reportPath).toBe('report.json');
+    const byUid = Object.fromEntries(report.proposedActions.map((entry) => [entry.uid, entry]));
+    expect(byUid[11]).toMatchObject({
+      subject: 'Summer sale',
+      judgment: false,
+      actions: [{ action: 'mark_read' }, { action: 'move', folder: 'Auto/Marketing' }],
+    });
+    expect(byUid[12].actions).toEqual([{ action: 'flag' }]);
+  });
+
+  test('uses settings.dryRun unless the caller overrides it', async () => {
+    config.settings.dryRun = true;
+    expect((await processEmails(null)).dryRun).toBe(true);
+    expect(client.messageMove).not.toHaveBeenCalled();
+
+    expect((await processEmails(null, { dryRun: false })).dryRun).toBeUndefined();
+    expect(client.messageMove).toHaveBeenCalled();
+  });
+
+  test('reports progress and stops between batches once cancelled', async () => {
+    config.settings.batchSize = 1;
+    const controller = new AbortController();
+    const onProgress = jest.fn((progress) => progress.batch === 1 && controller.abort());
+
+    const result = await processEmails(null, { signal: controller.signal, onProgress });
+
+    expect(result.message).toBe('Email processing cancelled.');
+    expect(result.stats).toMatchObject({ processed: 1, totalFound: 2, cancelled: true });
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { found: 2, processed: 0, errors: 0, batch: 0, totalBatches: 2 },
+      { found: 2, processed: 1, errors: 0, batch: 1, totalBatches: 2 },
+    ]);
+    expect((await getMailboxState('default', 'INBOX')).lastUid).toBe(11);
+  });
+
+  test('processes another folder up to the given limit', async () => {
+    config.settings.batchSize = 1;
+    await processEmails(null, { folder: 'Archive', limit: 1 });
+
+    expect(client.getMailboxLock).toHaveBeenCalledWith('Archive');
+    expect(analyzeEmail).toHaveBeenCalledTimes(1);
+    expect((await readJournal())[0].sourceFolder).toBe('Archive');
+  });
+
+  test('reports a conflict while another process holds the run lock', async () => {
+    config.settings.runLockTimeout = 0;
+    fs.writeFileSync(
+      config.settings.runLockPath,
+      JSON.stringify({ token: 'other', pid: process.ppid, hostname: os.hostname() })
+    );
+
+    expect(await processEmails(null)).toMatchObject({ statusCode: 409 });
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  test('counts found and processed emails and the decisions made', async () => {
+    const account = '{account="default"}';
+    const rejected =
+      '{account="default",source="model",judgment="false",category="Auto/Marketing"}';
+    const before = [metrics.emailsFound, metrics.emailsProcessed].map((m) => sample(m, account));
+    const rejectedBefore = sample(metrics.decisions, rejected);
+    const startedAt = Math.floor(Date.now() / 1000);
+
+    await processEmails(null);
+
+    expect(sample(metrics.emailsFound, account)).toBe(before[0] + 2);
+    expect(sample(metrics.emailsProcessed, account)).toBe(before[1] + 2);
+    expect(sample(metrics.decisions, rejected)).toBe(rejectedBefore + 1);
+    expect(
+      sample(metrics.lastRunTimestamp, '{account="default",status="completed"}')
+    ).toBeGreaterThanOrEqual(startedAt);
+  });
+
+  test('counts a failed analysis as an error, not as processed', async () => {
+    const account = '{account="default"}';
+    const analyzeErrors = '{account="default",stage="analyze"}';
+    const before = [
+      sample(metrics.emailsProcessed, account),
+      sample(metrics.errors, analyzeErrors),
+    ];
+    analyzeEmail.mockResolvedValueOnce({ judgment: 'unknown', category: '', explanation: '' });
+
+    await processEmails(null);
+
+    expect(sample(metrics.emailsProcessed, account)).toBe(before[0] + 1);
+    expect(sample(metrics.errors, analyzeErrors)).toBe(before[1] + 1);
+  });
+
+  describe('confidence and urgency', () => {
+    beforeEach(() => {
+      config.settings.starAllKeptEmails = false;
+      config.settings.reviewConfidenceThreshold = 0.6;
+      analyzeEmail.mockImplementation(async (subject) =>
+        subject === 'Summer sale'
+          ? { judgment: false, category: 'Auto/Marketing', explanation: 'Maybe', confidence: 0.4 }
+          : { judgment: true, category: '', explanation: 'A friend', urgency: 'high' }
+      );
+    });
+
+    test('stars urgent emails when flagUrgentEmails is set', async () => {
+      await processEmails(null);
+      expect(client.messageFlagsAdd).not.toHaveBeenCalledWith(12, ['\\Flagged'], expect.anything());
+
+      // A fresh checkpoint, so the same emails are processed again
+      fs.rmSync(config.settings.stateFilePath);
+      config.settings.flagUrgentEmails = true;
+      await processEmails(null);
+      expect(client.messageFlagsAdd).toHaveBeenCalledWith(12, ['\\Flagged'], expect.anything());
+    });
+
+    test('moves an uncertain rejection unread into the review folder', async () => {
+      await processEmails(null);
+
+      expect(client.messageMove).toHaveBeenCalledWith(11, 'Auto/Review', expect.anything());
+      expect(client.messageFlagsAdd).not.toHaveBeenCalledWith(11, ['\\Seen'], expect.anything());
+      expect((await readJournal()).find((entry) => entry.uid === 11)).toMatchObject({
+        destinationFolder: 'Auto/Review',
+        confidence: 0.4,
+      });
+    });
+
+    test('leaves an uncertain rejection in the inbox with lowConfidenceAction keep', async () => {
+      config.settings.lowConfidenceAction = 'keep';
+      await processEmails(null);
+
+      expect(client.messageMove).not.toHaveBeenCalled();
+      expect(client.messageFlagsAdd).not.toHaveBeenCalledWith(11, ['\\Seen'], expect.anything());
+    });
+
+    test('sorts a confident rejection as usual', async () => {
+      config.settings.reviewConfidenceThreshold = 0.3;
+      await processEmails(null);
+
+      expect(client.messageMove).toHaveBeenCalledWith(11, 'Auto/Marketing', expect.anything());
+    });
+  });
+
+  describe('checkpoints', () => {
+    const uidCriteria = () => client.fetch.mock.calls.at(-1)[0];
+
+    test('saves the last processed UID and continues after it', async () => {
+      await processEmails(null);
+      expect(client.fetch.mock.calls[0][0]).toEqual({});
+      expect(await getMailboxState('default', 'INBOX')).toMatchObject({
+        uidValidity: '7',
+        lastUid: 12,
+        failedUids: {},
+      });
+
+      await processEmails(null);
+      expect(uidCriteria()).toEqual({ uid: '13:*' });
+      // "13:*" still returns the newest email, which the checkpoint already covers
+      expect(analyzeEmail).toHaveBeenCalledTimes(2);
+    });
+
+    test('retries failed emails until maxFailedRetries', async () => {
+      config.settings.maxFailedRetries = 2;
+      analyzeEmail.mockImplementation(async (subject) => {
+        if (subject === 'Summer sale') {
+          throw new Error('Model unavailable');
+        }
+        return { judgment: true, category: '', explanation: 'A friend' };
+      });
+
+      await processEmails(null);
+      expect(await getMailboxState('default', 'INBOX')).toMatchObject({
+        lastUid: 12,
+        failedUids: { 11: 1 },
+      });
+
+      await processEmails(null);
+      expect(uidCriteria()).toEqual({ uid: '13:*,11' });
+      expect((await getMailboxState('default', 'INBOX')).failedUids).toEqual({ 11: 2 });
+
+      await processEmails(null);
+      expect((await getMailboxState('default', 'INBOX')).failedUids).toEqual({});
+      expect(analyzeEmail.mock.calls.filter(([subject]) => subject === 'Summer sale')).toHaveLength(
+        3
+      );
+    });
+
+    test('stops the checkpoint at the first email a limited run did not reach', async () => {
+      config.settings.maxEmailsToProcessAtOnce = 1;
+      config.settings.batchSize = 1;
+      await processEmails(null);
+      expect((await getMailboxState('default', 'INBOX')).lastUid).toBe(11);
+    });
+
+    test('resyncs from initialSyncDays when UIDVALIDITY changed', async () => {
+      await saveMailboxState('default', 'INBOX', { uidValidity: '6', lastUid: 50, failedUids: {} });
+      config.settings.initialSyncDays = 3;
+      await processEmails(null);
+
+      expect(uidCriteria().since).toBeInstanceOf(Date);
+      expect(analyzeEmail).toHaveBeenCalledTimes(2);
+      expect(await getMailboxState('default', 'INBOX')).toMatchObject({
+        uidValidity: '7',
+        lastUid: 12,
+      });
+    });
+
+    test('searches by date and leaves the checkpoint alone for an explicit timestamp', async () => {
+      await processEmails('2024-06-01T00:00:00.000Z');
+      expect(uidCriteria()).toEqual({ since: new Date('2024-06-01T00:00:00.000Z') });
+      expect(await getMailboxState('default', 'INBOX')).toBeNull();
+    });
+  });
+
+  describe('processAllAccounts', () => {
+    beforeEach(() => {
+      config.accounts = [
+        { name: 'home', user: 'me@example.com', starAllKeptEmails: false },
+        { name: 'work', user: 'me@work.example.com' },
+      ];
+    });
+
+    test('runs every account on its own connection with its own settings', async () => {
+      const result = await processAllAccounts();
+
+      expect(result.statusCode).toBe(200);
+      expect(Object.keys(result.accounts)).toEqual(['home', 'work']);
+      expect(createImapConnection.mock.calls.map(([account]) => account.name)).toEqual([
+        'home',
+        'work',
+      ]);
+      expect((await getMailboxState('home', 'INBOX')).lastUid).toBe(12);
+      expect((await getMailboxState('work', 'INBOX')).lastUid).toBe(12);
+      // Only work stars kept emails
+      expect(client.messageFlagsAdd.mock.calls.filter(([uid]) => uid === 12)).toHaveLength(1);
+
+      const accounts = (await readJournal()).map((entry) => entry.account);
+      expect(new Set(accounts)).toEqual(new Set(['home', 'work']));
+    });
+
+    test('runs only the named account', async () => {
+      const result = await processAllAccounts({ accountName: 'work' });
+      expect(Object.keys(result.accounts)).toEqual(['work']);
+    });
+
+    test('reports an unknown account', async () => {
+      expect(await processAllAccounts({ accountName: 'nope' })).toEqual({
+        statusCode: 404,
+        message: 'Unknown account: nope',
+      });
+    });
+  });
+});
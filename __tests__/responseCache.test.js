@@ -0,0 +1,94 @@
+jest.mock('../config', () => ({}));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../responseCache');
+
+const KEEP = { judgment: true, category: '', explanation: 'A friend' };
+
+describe('ResponseCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-cache-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keys on the models, the messages and the configured rules and categories', () => {
+    const cache = new ResponseCache({ dir: directory });
+    const parts = { models: ['openai:gpt'], messages: [{ content: 'Hi' }], categories: ['A'] };
+
+    expect(cache.buildKey(parts)).toBe(cache.buildKey({ ...parts }));
+    expect(cache.buildKey(parts)).not.toBe(cache.buildKey({ ...parts, models: ['local:llama'] }));
+    expect(cache.buildKey(parts)).not.toBe(cache.buildKey({ ...parts, rules: { keep: 'x' } }));
+  });
+
+  test('stores answers on disk for the next process and counts hits and misses', async () => {
+    const cache = new ResponseCache({ dir: directory });
+    expect(await cache.get('a')).toBeNull();
+    await cache.set('a', KEEP);
+    expect(await cache.get('a')).toEqual(KEEP);
+
+    expect(await new ResponseCache({ dir: directory }).get('a')).toEqual(KEEP);
+    expect(await cache.stats()).toMatchObject({ entries: 1, hits: 1, misses: 1, writes: 1 });
+  });
+
+  test('expires entries after ttlHours', async () => {
+    jest.useFakeTimers({ now: new Date('2024-06-03T10:00:00Z'), doNotFake: ['setImmediate'] });
+    const cache = new ResponseCache({ dir: directory, ttlHours: 1 });
+    await cache.set('a', KEEP);
+
+    jest.setSystemTime(new Date('2024-06-03T11:00:01Z'));
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.stats()).toMatchObject({ entries: 0, expired: 1 });
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('evicts the least recently used entries beyond maxEntries', async () => {
+    const cache = new ResponseCache({ dir: directory, maxEntries: 2 });
+    await cache.set('a', KEEP);
+    await cache.set('b', KEEP);
+    await cache.get('a');
+    await cache.set('c', KEEP);
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).toEqual(KEEP);
+    expect((await cache.stats()).evictions).toBe(1);
+  });
+
+  test('purges every entry', async () => {
+    const cache = new ResponseCache({ dir: directory });
+    await cache.set('a', KEEP);
+    await cache.set('b', KEEP);
+
+    expect(await cache.purge()).toBe(2);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('does nothing when disabled', async () => {
+    const cache = new ResponseCache({ dir: directory, enabled: false });
+    await cache.set('a', KEEP);
+    expect(await cache.get('a')).toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('only indexes and cleans up its own entry files', async () => {
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'mine');
+    fs.writeFileSync(path.join(directory, 'settings.json'), '{}');
+    fs.mkdirSync(path.join(directory, 'abc.json'));
+    // A half-written entry, or one left by the old raw-string cache
+    fs.writeFileSync(path.join(directory, 'd41d8cd98f00b204e9800998ecf8427e.json'), '"raw"');
+
+    const cache = new ResponseCache({ dir: directory });
+    expect((await cache.stats()).entries).toBe(0);
+    expect(fs.readdirSync(directory).sort()).toEqual(['abc.json', 'notes.txt', 'settings.json']);
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const config = require('../config');
+const { runExclusive, RunLockTimeoutError } = require('../runCoordinator');
+
+const ACCOUNT = { name: 'default', isDefault: true };
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('runExclusive', () => {
+  let directory;
+  let lockPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-lock-'));
+    lockPath = path.join(directory, 'clearmail.lock');
+    config.settings = { runLockPath: lockPath, runLockTimeout: 0 };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // holder is the lock's owner, or the raw contents of a broken lock
+  function writeLock(holder, ageSeconds = 0) {
+    const contents =
+      typeof holder === 'string' ? holder : JSON.stringify({ token: 'other', ...holder });
+    fs.writeFileSync(lockPath, contents);
+    const then = new Date(Date.now() - ageSeconds * 1000);
+    fs.utimesSync(lockPath, then, then);
+  }
+
+  test('holds the lock file while the task runs and removes it afterwards', async () => {
+    const result = await runExclusive(ACCOUNT, async () => {
+      expect(JSON.parse(fs.readFileSync(lockPath, 'utf8'))).toMatchObject({
+        pid: process.pid,
+        hostname: os.hostname(),
+      });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('queues runs for the same account in this process', async () => {
+    const order = [];
+    const first = deferred();
+    const runs = [
+      runExclusive(ACCOUNT, async () => {
+        order.push('first');
+        await first.promise;
+        order.push('first done');
+      }),
+      runExclusive(ACCOUNT, async () => order.push('second')),
+    ];
+
+    await new Promise((resolve) => setImmediate(resolve));
+    first.resolve();
+    await Promise.all(runs);
+    expect(order).toEqual(['first', 'first done', 'second']);
+  });
+
+  test('joins a coalescing run that is still waiting', async () => {
+    const first = deferred();
+    const task = jest.fn(async () => 'checked');
+    const running = runExclusive(ACCOUNT, () => first.promise);
+    const queued = runExclusive(ACCOUNT, task, { coalesce: true });
+    const joined = runExclusive(ACCOUNT, task, { coalesce: true });
+
+    expect(joined).toBe(queued);
+    first.resolve();
+    await Promise.all([running, queued]);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up on a lock held by a live process after runLockTimeout', async () => {
+    writeLock({ pid: process.ppid, hostname: os.hostname(), acquiredAt: '2024-06-03T10:00:00Z' });
+    const task = jest.fn();
+
+    const run = runExclusive(ACCOUNT, task);
+    await expect(run).rejects.toThrow(RunLockTimeoutError);
+    await expect(run).rejects.toThrow(`held by pid ${process.ppid}`);
+    expect(task).not.toHaveBeenCalled();
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token).toBe('other');
+  });
+
+  test('takes over the lock of a process that died on this host', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLock({ pid, hostname: os.hostname() });
+
+    expect(await runExclusive(ACCOUNT, async () => 'ran')).toBe('ran');
+    // The stale lock was renamed away, nothing is left behind
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('takes over a lock that stopped heartbeating on another host', async () => {
+    config.settings.staleLockSeconds = 60;
+    writeLock({ pid: 1, hostname: 'elsewhere' }, 30);
+    await expect(runExclusive(ACCOUNT, async () => 'ran')).rejects.toThrow(RunLockTimeoutError);
+
+    writeLock({ pid: 1, hostname: 'elsewhere' }, 61);
+    expect(await runExclusive(ACCOUNT, async () => 'ran')).toBe('ran');
+  });
+
+  test.each([
+    ['empty', ''],
+    ['garbled', '{"token": "oth'],
+  ])(
+    'takes over an %s lock only once it is older than staleLockSeconds',
+    async (kind, contents) => {
+      config.settings.staleLockSeconds = 60;
+
+      // It may be a lock another process is still writing
+      writeLock(contents, 30);
+      await expect(runExclusive(ACCOUNT, async () => 'ran')).rejects.toThrow(
+        'Timed out waiting for the run lock of account default'
+      );
+      expect(fs.readFileSync(lockPath, 'utf8')).toBe(contents);
+
+      writeLock(contents, 61);
+      expect(await runExclusive(ACCOUNT, async () => 'ran')).toBe('ran');
+      expect(fs.readdirSync(directory)).toEqual([]);
+    }
+  );
+});
@@ -0,0 +1,104 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const {
+  recordDecision,
+  recordSenderCorrection,
+  lookupSender,
+  getSenderHistory,
+  resetSenderHistory,
+} = require('../senderHistory');
+
+const ACCOUNT = { name: 'default', categoryFolderNames: ['Auto/Marketing', 'Auto/News'] };
+const MARKETING = { judgment: false, category: 'Auto/Marketing' };
+
+async function recordTimes(count, fromAddress, analysis = MARKETING) {
+  for (let i = 0; i < count; i++) {
+    await recordDecision('default', fromAddress, analysis);
+  }
+}
+
+describe('senderHistory', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-history-'));
+    config.settings = {
+      useSenderHistory: true,
+      senderHistoryThreshold: 3,
+      senderHistoryFilePath: path.join(directory, 'senderHistory.json'),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('decides once the sender made the same decision threshold times in a row', async () => {
+    await recordTimes(2, 'news@shop.example.com');
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toBeNull();
+
+    await recordTimes(1, 'news@shop.example.com');
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toMatchObject({
+      judgment: false,
+      category: 'Auto/Marketing',
+      source: 'history',
+    });
+  });
+
+  test('falls back to the domain, except for freemail domains', async () => {
+    await recordTimes(3, 'news@shop.example.com');
+    expect((await lookupSender(ACCOUNT, 'deals@shop.example.com')).explanation).toMatch(
+      'shop.example.com'
+    );
+
+    await recordTimes(3, 'someone@gmail.com');
+    expect(await lookupSender(ACCOUNT, 'someone.else@gmail.com')).toBeNull();
+  });
+
+  test('a different decision or a correction resets the streak', async () => {
+    await recordTimes(2, 'news@shop.example.com');
+    await recordTimes(1, 'news@shop.example.com', { judgment: true, category: 'Auto/News' });
+    await recordTimes(2, 'news@shop.example.com');
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toBeNull();
+
+    await recordTimes(1, 'news@shop.example.com');
+    await recordSenderCorrection('default', 'news@shop.example.com');
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toBeNull();
+
+    const { default: history } = await getSenderHistory('default');
+    expect(history.addresses['news@shop.example.com']).toMatchObject({
+      total: 6,
+      corrections: 1,
+      streak: null,
+    });
+  });
+
+  test('ignores folders that are no longer configured', async () => {
+    await recordTimes(3, 'news@shop.example.com', { judgment: false, category: 'Auto/Old' });
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toBeNull();
+  });
+
+  test('does nothing unless useSenderHistory is on', async () => {
+    config.settings.useSenderHistory = false;
+    await recordTimes(3, 'news@shop.example.com');
+    expect(fs.existsSync(config.settings.senderHistoryFilePath)).toBe(false);
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).toBeNull();
+  });
+
+  test('forgets a sender or a whole account', async () => {
+    await recordTimes(3, 'news@shop.example.com');
+    expect(await resetSenderHistory('default', '@shop.example.com')).toBe(1);
+    expect(await lookupSender(ACCOUNT, 'deals@shop.example.com')).toBeNull();
+    expect(await lookupSender(ACCOUNT, 'news@shop.example.com')).not.toBeNull();
+
+    expect(await resetSenderHistory('default')).toBe(1);
+    expect(await getSenderHistory('default')).toEqual({ default: null });
+  });
+});
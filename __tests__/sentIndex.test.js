@@ -0,0 +1,130 @@
+jest.mock('../config', () => ({ settings: {} }));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT = { name: 'default' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function sent(uid, messageId, daysAgo = 1) {
+  return { uid, envelope: { messageId, date: new Date(Date.now() - daysAgo * DAY) } };
+}
+
+function createClient(messages, { uidValidity = 3, folders } = {}) {
+  return {
+    mailbox: { uidValidity },
+    list: jest.fn(
+      async () => folders || [{ path: 'INBOX' }, { path: 'Outbox/Sent', specialUse: '\\Sent' }]
+    ),
+    getMailboxLock: jest.fn(async () => ({ release: jest.fn() })),
+    fetch: jest.fn(async function* () {
+      yield* messages;
+    }),
+  };
+}
+
+describe('sentIndex', () => {
+  let directory;
+  let config;
+  let syncSentIndex;
+  let getThreadInfo;
+
+  beforeEach(() => {
+    // The index and the sync times are kept per process
+    jest.resetModules();
+    config = require('../config');
+    ({ syncSentIndex, getThreadInfo } = require('../sentIndex'));
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-sent-'));
+    config.settings = {
+      detectReplies: true,
+      sentIndexFilePath: path.join(directory, 'sentIndex.json'),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('does nothing unless detectReplies is on', async () => {
+    config.settings.detectReplies = false;
+    const client = createClient([]);
+    expect(await syncSentIndex(client, ACCOUNT)).toBeNull();
+    expect(client.list).not.toHaveBeenCalled();
+  });
+
+  test('indexes the folder flagged \\Sent and recognizes replies to it', async () => {
+    const client = createClient([sent(1, '<a@me>'), sent(2, '<b@me>')]);
+    expect(await syncSentIndex(client, ACCOUNT)).toEqual({ added: 2, total: 2 });
+    expect(client.getMailboxLock).toHaveBeenCalledWith('Outbox/Sent');
+
+    expect(
+      getThreadInfo(ACCOUNT, { inReplyTo: 'a@me', references: ['<x@them>', '<b@me>'] })
+    ).toEqual({
+      isReply: true,
+      isReplyToMe: true,
+      isAutoReply: false,
+      threadLength: 4,
+      sentByMeInThread: 2,
+    });
+    expect(getThreadInfo(ACCOUNT, { inReplyTo: '<x@them>' })).toMatchObject({
+      isReply: true,
+      isReplyToMe: false,
+    });
+    expect(getThreadInfo(ACCOUNT, {}).isReply).toBe(false);
+  });
+
+  test('recognizes automatic replies', async () => {
+    const thread = (headers) => getThreadInfo(ACCOUNT, { inReplyTo: '<a@me>', headers });
+    expect(thread({ 'auto-submitted': 'auto-replied' }).isAutoReply).toBe(true);
+    expect(thread({ 'auto-submitted': 'no' }).isAutoReply).toBe(false);
+    expect(thread({ precedence: 'auto_reply' }).isAutoReply).toBe(true);
+    expect(thread({ 'x-autoreply': 'yes' }).isAutoReply).toBe(true);
+  });
+
+  test('continues after the last indexed UID and rebuilds when UIDVALIDITY changes', async () => {
+    await syncSentIndex(createClient([sent(1, '<a@me>'), sent(2, '<b@me>')]), ACCOUNT);
+
+    const next = createClient([sent(2, '<b@me>'), sent(3, '<c@me>')]);
+    expect(await syncSentIndex(next, ACCOUNT, { force: true })).toEqual({ added: 1, total: 3 });
+    expect(next.fetch.mock.calls[0][0]).toEqual({ uid: '3:*' });
+
+    const rebuilt = createClient([sent(1, '<d@me>')], { uidValidity: 4 });
+    expect(await syncSentIndex(rebuilt, ACCOUNT, { force: true })).toEqual({ added: 1, total: 1 });
+    expect(rebuilt.fetch.mock.calls[0][0].since).toBeInstanceOf(Date);
+    expect(getThreadInfo(ACCOUNT, { inReplyTo: '<a@me>' }).isReplyToMe).toBe(false);
+  });
+
+  test('syncs at most once a minute unless forced', async () => {
+    await syncSentIndex(createClient([]), ACCOUNT);
+    const client = createClient([]);
+    expect(await syncSentIndex(client, ACCOUNT)).toBeNull();
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  test('forgets emails sent before sentIndexDays', async () => {
+    config.settings.sentIndexDays = 30;
+    await syncSentIndex(createClient([sent(1, '<old@me>', 40), sent(2, '<new@me>', 5)]), ACCOUNT);
+
+    expect(getThreadInfo(ACCOUNT, { inReplyTo: '<old@me>' }).isReplyToMe).toBe(false);
+    expect(getThreadInfo(ACCOUNT, { inReplyTo: '<new@me>' }).isReplyToMe).toBe(true);
+    const saved = JSON.parse(fs.readFileSync(config.settings.sentIndexFilePath, 'utf8'));
+    expect(Object.keys(saved.accounts.default.messageIds)).toEqual(['new@me']);
+  });
+
+  test('falls back to a conventional name or the configured sentFolderName', async () => {
+    const named = createClient([], { folders: [{ path: 'INBOX' }, { path: 'Sent Items' }] });
+    await syncSentIndex(named, ACCOUNT);
+    expect(named.getMailboxLock).toHaveBeenCalledWith('Sent Items');
+
+    const configured = createClient([]);
+    await syncSentIndex(configured, { name: 'work', sentFolderName: 'Gesendet' });
+    expect(configured.getMailboxLock).toHaveBeenCalledWith('Gesendet');
+
+    const none = createClient([], { folders: [{ path: 'INBOX' }] });
+    expect(await syncSentIndex(none, { name: 'other' })).toBeNull();
+  });
+});
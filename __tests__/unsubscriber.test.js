@@ -0,0 +1,266 @@
+jest.mock('../config', () => ({}));
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT = { name: 'home', auth: { user: 'me@example.com' } };
+const UNSUBSCRIBE = { judgment: false, category: 'Auto/Unsubscribe' };
+
+function email(headers, overrides = {}) {
+  return {
+    messageId: `<${Math.random()}@example.com>`,
+    fromAddress: 'news@shop.example.com',
+    subject: 'Weekly deals',
+    headers,
+    signals: {},
+    ...overrides,
+  };
+}
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port))
+  );
+}
+
+// Just enough SMTP for nodemailer to hand over one message
+function createSmtpServer(messages) {
+  return net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+}
+
+describe('enqueueUnsubscribe', () => {
+  const posts = [];
+  const messages = [];
+  let httpServer;
+  let smtpServer;
+  let httpPort;
+  let smtpPort;
+  let directory;
+  let config;
+  let enqueueUnsubscribe;
+  let getUnsubscribeLog;
+
+  beforeAll(async () => {
+    httpServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        posts.push({ method: req.method, url: req.url, body });
+        res.statusCode = req.url.startsWith('/broken') ? 500 : 200;
+        res.end('ok');
+      });
+    });
+    smtpServer = createSmtpServer(messages);
+    httpPort = await listen(httpServer);
+    smtpPort = await listen(smtpServer);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+    await new Promise((resolve) => smtpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    // The log is cached per process, so every test starts from a fresh module
+    jest.resetModules();
+    config = require('../config');
+    ({ enqueueUnsubscribe, getUnsubscribeLog } = require('../unsubscriber'));
+    posts.length = 0;
+    messages.length = 0;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clearmail-unsubscribe-'));
+    config.unsubscribe = {
+      enabled: true,
+      allowHttp: true,
+      // The local test server is a private address
+      allowDomains: ['127.0.0.1', 'shop.example.com'],
+      logFilePath: path.join(directory, 'unsubscribeLog.jsonl'),
+    };
+    config.smtp = { host: '127.0.0.1', port: smtpPort, secure: false };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const oneClick = (url, extra = {}) => ({
+    'list-unsubscribe': `<${url}>`,
+    'list-unsubscribe-post': 'List-Unsubscribe=One-Click',
+    ...extra,
+  });
+  const lastAttempt = async () => (await getUnsubscribeLog('home')).at(-1);
+
+  test('ignores other categories and does nothing unless enabled', () => {
+    const headers = oneClick(`http://127.0.0.1:${httpPort}/u`);
+    expect(enqueueUnsubscribe(ACCOUNT, email(headers), { ...UNSUBSCRIBE, judgment: true })).toBe(
+      null
+    );
+    expect(
+      enqueueUnsubscribe(ACCOUNT, email(headers), { judgment: false, category: 'Auto/News' })
+    ).toBe(null);
+    config.unsubscribe.enabled = false;
+    expect(enqueueUnsubscribe(ACCOUNT, email(headers), UNSUBSCRIBE)).toBe(null);
+  });
+
+  test('posts a one-click request once per list', async () => {
+    const headers = (id) =>
+      oneClick(`http://127.0.0.1:${httpPort}/unsubscribe?id=${id}`, {
+        'list-id': '<deals.shop.example.com>',
+      });
+    enqueueUnsubscribe(ACCOUNT, email(headers(1)), UNSUBSCRIBE);
+    await enqueueUnsubscribe(ACCOUNT, email(headers(2)), UNSUBSCRIBE);
+
+    expect(posts).toEqual([
+      { method: 'POST', url: '/unsubscribe?id=1', body: 'List-Unsubscribe=One-Click' },
+    ]);
+    const log = await getUnsubscribeLog('home');
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({
+      key: '<deals.shop.example.com>',
+      method: 'post',
+      outcome: 'unsubscribed',
+      status: 200,
+      contacted: true,
+    });
+    expect(fs.readFileSync(config.unsubscribe.logFilePath, 'utf8').trim().split('\n')).toHaveLength(
+      1
+    );
+  });
+
+  test('prefers a one-click POST over a mailto', async () => {
+    const headers = {
+      'list-unsubscribe': `<mailto:leave@shop.example.com>, <http://127.0.0.1:${httpPort}/u?id=1>`,
+      'list-unsubscribe-post': 'List-Unsubscribe=One-Click',
+    };
+    await enqueueUnsubscribe(ACCOUNT, email(headers), UNSUBSCRIBE);
+
+    expect(messages).toHaveLength(0);
+    expect(await lastAttempt()).toMatchObject({
+      method: 'post',
+      key: `http://127.0.0.1:${httpPort}/u`,
+    });
+  });
+
+  test('only posts over http when allowHttp is set', async () => {
+    config.unsubscribe.allowHttp = false;
+    await enqueueUnsubscribe(
+      ACCOUNT,
+      email(oneClick(`http://127.0.0.1:${httpPort}/u`)),
+      UNSUBSCRIBE
+    );
+
+    expect(posts).toHaveLength(0);
+    expect(await lastAttempt()).toMatchObject({
+      outcome: 'skipped',
+      reason: 'no one-click or mailto header',
+    });
+  });
+
+  test('never posts to a private address unless its domain is allowed', async () => {
+    config.unsubscribe.allowDomains = [];
+    await enqueueUnsubscribe(
+      ACCOUNT,
+      email(oneClick(`http://localhost:${httpPort}/u`)),
+      UNSUBSCRIBE
+    );
+
+    expect(posts).toHaveLength(0);
+    expect(await lastAttempt()).toMatchObject({
+      outcome: 'skipped',
+      reason: 'host resolves to a private address',
+    });
+  });
+
+  test('sends a mailto unsubscribe from the account', async () => {
+    const entry = email({
+      'list-unsubscribe':
+        '<https://shop.example.com/u>, <mailto:Leave@Shop.example.com?subject=remove%20me>',
+    });
+    await enqueueUnsubscribe(ACCOUNT, entry, UNSUBSCRIBE);
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatch(/^From: me@example\.com$/m);
+    expect(messages[0]).toMatch(/^To: leave@shop\.example\.com$/m);
+    expect(messages[0]).toMatch(/^Subject: remove me$/m);
+    expect(await lastAttempt()).toMatchObject({
+      key: 'mailto:leave@shop.example.com',
+      method: 'mailto',
+      outcome: 'unsubscribed',
+      contacted: true,
+    });
+  });
+
+  test('skips denied, unlisted and unauthenticated senders, logging each list once', async () => {
+    const headers = oneClick(`http://127.0.0.1:${httpPort}/u`);
+    config.unsubscribe.denyDomains = ['example.com'];
+    await enqueueUnsubscribe(ACCOUNT, email(headers), UNSUBSCRIBE);
+    await enqueueUnsubscribe(ACCOUNT, email(headers), UNSUBSCRIBE);
+    expect(await getUnsubscribeLog('home')).toHaveLength(1);
+    expect(await lastAttempt()).toMatchObject({
+      outcome: 'skipped',
+      reason: 'domain is on the deny list',
+    });
+
+    config.unsubscribe.denyDomains = [];
+    config.unsubscribe.allowDomains = ['other.com'];
+    await enqueueUnsubscribe(ACCOUNT, email(headers), UNSUBSCRIBE);
+    expect((await lastAttempt()).reason).toBe('domain is not on the allow list');
+
+    config.unsubscribe.allowDomains = ['@shop.example.com'];
+    const forged = email(headers, { signals: { authenticationFailed: true } });
+    await enqueueUnsubscribe(ACCOUNT, forged, UNSUBSCRIBE);
+    expect((await lastAttempt()).reason).toBe('sender failed authentication');
+    expect(posts).toHaveLength(0);
+  });
+
+  test('records failures, and retries a list only when nothing reached it', async () => {
+    await enqueueUnsubscribe(
+      ACCOUNT,
+      email(oneClick(`http://127.0.0.1:${httpPort}/broken`)),
+      UNSUBSCRIBE
+    );
+    expect(await lastAttempt()).toMatchObject({ outcome: 'failed', status: 500, contacted: true });
+
+    const unreachable = oneClick('http://127.0.0.1:1/u');
+    await enqueueUnsubscribe(ACCOUNT, email(unreachable), UNSUBSCRIBE);
+    await enqueueUnsubscribe(ACCOUNT, email(unreachable), UNSUBSCRIBE);
+    const log = await getUnsubscribeLog('home');
+    expect(log.slice(1).map((attempt) => [attempt.outcome, attempt.contacted])).toEqual([
+      ['failed', false],
+      ['failed', false],
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+const path = require('path');
+const config = require('./config');
+
+// Per-account overrides, anything not set on the account falls back to the top-level config
+const ACCOUNT_OVERRIDES = [
+  'sortIntoCategoryFolders',
+  'rejectedFolderName',
+  'markAllRejectedEmailsRead',
+  'starAllKeptEmails',
+  'flagUrgentEmails',
+  'reviewConfidenceThreshold',
+  'lowConfidenceAction',
+  'reviewFolderName',
+  'sentFolderName',
+];
+
+function resolveCredential(account, key) {
+  const envName = account[`${key}Env`];
+  if (envName) {
+    return process.env[envName];
+  }
+  return account[key];
+}
+
+function buildAccount(account, isDefault) {
+  const resolved = {
+    name: account.name,
+    isDefault,
+    host: account.host || process.env.IMAP_HOST || 'imap.gmail.com',
+    port: Number(account.port || process.env.IMAP_PORT || 993),
+    secure: account.secure !== undefined ? account.secure : true,
+    tls: account.tls,
+    auth: {
+      user: resolveCredential(account, 'user'),
+      pass: resolveCredential(account, 'password'),
+    },
+    categoryFolderNames: account.categoryFolderNames || config.categoryFolderNames,
+    categoryActions: account.categoryActions || config.categoryActions,
+    rules: { ...config.rules, ...account.rules },
+    filters: account.filters || config.filters,
+  };
+
+  for (const key of ACCOUNT_OVERRIDES) {
+    resolved[key] = account[key] !== undefined ? account[key] : config.settings[key];
+  }
+
+  return resolved;
+}
+
+/**
+ * All accounts to process. Without an accounts list in config.yml this is a single 'default'
+ * account built from the IMAP_* environment variables.
+ */
+function getAccounts() {
+  if (!Array.isArray(config.accounts) || config.accounts.length === 0) {
+    return [
+      buildAccount({ name: 'default', userEnv: 'IMAP_USER', passwordEnv: 'IMAP_PASSWORD' }, true),
+    ];
+  }
+
+  return config.accounts.map((account, index) =>
+    buildAccount({ ...account, name: account.name || `account${index + 1}` }, false)
+  );
+}
+
+function getAccount(name) {
+  return getAccounts().find((account) => account.name === name);
+}
+
+// Keep per-account files apart: dryRunReport.json becomes dryRunReport.work.json etc.
+function getAccountFilePath(filePath, account) {
+  if (!account || account.isDefault) {
+    return filePath;
+  }
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}.${account.name}${ext}`);
+}
+
+module.exports = { getAccounts, getAccount, getAccountFilePath };
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { JsonlLog } = require('./jsonlLog');
+const { createImapConnection } = require('./utilities');
+const { getAccounts } = require('./accounts');
+const { ONCE_ONLY_ACTIONS } = require('./categoryActions');
+const { logger } = require('./logger');
+
+// Read again every time, the undo command and server mode append to it from other processes
+const journal = new JsonlLog(() => config.settings.journalFilePath || 'actionJournal.jsonl', {
+  description: 'journal',
+  cache: false,
+});
+
+function extractAddress(sender) {
+  const match = /<([^>]+)>/.exec(sender || '');
+  return (match ? match[1] : sender || '').trim().toLowerCase();
+}
+
+// Append-only: entries are never rewritten, undoing a change adds an 'undo' entry instead
+async function appendJournalEntry(entry) {
+  await journal.append(entry);
+}
+
+async function readJournal() {
+  return journal.load();
+}
+
+function matchesSelection(entry, { runId, sender, account }) {
+  if (runId && entry.runId !== runId) {
+    return false;
+  }
+  if (account && (entry.account || 'default') !== account) {
+    return false;
+  }
+  if (sender) {
+    const wanted = sender.trim().toLowerCase();
+    const address = entry.fromAddress || extractAddress(entry.from);
+    // Match either the full address or the domain part
+    if (address !== wanted && !address.endsWith(`@${wanted.replace(/^@/, '')}`)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function getUndoneKeys(entries) {
+  return new Set(
+    entries
+      .filter((entry) => entry.type === 'undo')
+      .map((entry) => `${entry.undoneRunId}:${entry.messageId}`)
+  );
+}
+
+/**
+ * The copy, forward and webhook steps earlier runs completed for an email and that weren't
+ * undone, so an email retried after a later step failed doesn't repeat them.
+ */
+async function getCompletedSteps(accountName, messageId) {
+  if (!messageId) {
+    return [];
+  }
+  const entries = await readJournal();
+  const undone = getUndoneKeys(entries);
+  return entries.filter(
+    (entry) =>
+      ONCE_ONLY_ACTIONS.includes(entry.type) &&
+      entry.messageId === messageId &&
+      (entry.account || 'default') === accountName &&
+      !undone.has(`${entry.runId}:${entry.messageId}`)
+  );
+}
+
+function isStepCompleted(completedSteps, step) {
+  return completedSteps.some(
+    (entry) =>
+      entry.type === step.action &&
+      (step.action !== 'copy' || entry.destinationFolder === step.folder) &&
+      (step.action !== 'forward' || JSON.stringify(entry.to) === JSON.stringify(step.to)) &&
+      (step.action !== 'webhook' || entry.url === step.url)
+  );
+}
+
+// Collapse journal entries into one undo target per message: where it ended up, which flags
+// clearmail added or removed along the way and where it was copied to
+function buildUndoTargets(entries, selection) {
+  const undone = getUndoneKeys(entries);
+
+  const targets = new Map();
+  for (const entry of entries) {
+    if (!['move', 'flag', 'label', 'copy', 'unflag'].includes(entry.type)) {
+      continue;
+    }
+    if (!entry.messageId || !matchesSelection(entry, selection)) {
+      continue;
+    }
+    const key = `${entry.runId}:${entry.messageId}`;
+    if (undone.has(key)) {
+      continue;
+    }
+
+    if (!targets.has(key)) {
+      targets.set(key, {
+        runId: entry.runId,
+        account: entry.account || 'default',
+        messageId: entry.messageId,
+        from: entry.from,
+        fromAddress: entry.fromAddress,
+        subject: entry.subject,
+        originalFolder: entry.sourceFolder || 'INBOX',
+        currentFolder: entry.sourceFolder || 'INBOX',
+        flags: new Set(),
+        removedFlags: new Set(),
+        labels: new Set(),
+        copies: new Set(),
+      });
+    }
+
+    const target = targets.get(key);
+    if (entry.type === 'move') {
+      target.currentFolder = entry.destinationFolder;
+    } else if (entry.type === 'copy') {
+      target.copies.add(entry.destinationFolder);
+    } else if (entry.type === 'label') {
+      (entry.labels || []).forEach((label) => target.labels.add(label));
+    } else if (entry.type === 'unflag') {
+      (entry.flags || []).forEach((flag) => target.removedFlags.add(flag));
+    } else {
+      (entry.flags || []).forEach((flag) => target.flags.add(flag));
+    }
+  }
+
+  return Array.from(targets.values());
+}
+
+async function restoreMessage(client, target) {
+  const lock = await client.getMailboxLock(target.currentFolder);
+  try {
+    const uids = await client.search({ header: { 'message-id': target.messageId } }, { uid: true });
+    if (!uids || uids.length === 0) {
+      return { status: 'not_found' };
+    }
+
+    // Flags are plain IMAP flags, only Gmail labels go through X-GM-LABELS
+    if (target.flags.size > 0) {
+      await client.messageFlagsRemove(uids, Array.from(target.flags), { uid: true });
+    }
+    if (target.removedFlags.size > 0) {
+      await client.messageFlagsAdd(uids, Array.from(target.removedFlags), { uid: true });
+    }
+
+    if (target.labels.size > 0) {
+      await client.messageFlagsRemove(uids, Array.from(target.labels), {
+        uid: true,
+        useLabels: true,
+      });
+    }
+
+    if (target.currentFolder !== target.originalFolder) {
+      await client.messageMove(uids, target.originalFolder, { uid: true, useLabels: true });
+    }
+
+    return { status: 'undone', uids };
+  } finally {
+    lock.release();
+  }
+}
+
+// A copy is a message of its own, undoing it deletes it. Returns whether one was found
+async function deleteCopy(client, messageId, folder) {
+  const lock = await client.getMailboxLock(folder);
+  try {
+    const uids = await client.search({ header: { 'message-id': messageId } }, { uid: true });
+    if (!uids || uids.length === 0) {
+      return false;
+    }
+    await client.messageDelete(uids, { uid: true });
+    return true;
+  } finally {
+    lock.release();
+  }
+}
+
+async function undoTarget(client, target) {
+  const result = await restoreMessage(client, target);
+  result.copiesRemoved = [];
+  for (const folder of target.copies) {
+    // Never a folder the email itself is in, that would delete the original
+    if (folder === target.currentFolder || folder === target.originalFolder) {
+      continue;
+    }
+    if (await deleteCopy(client, target.messageId, folder)) {
+      result.copiesRemoved.push(folder);
+    }
+  }
+  return result;
+}
+
+async function undoAccountTargets(account, targets, undoRunId, summary) {
+  const client = createImapConnection(account);
+  try {
+    await client.connect();
+
+    for (const target of targets) {
+      const result = {
+        runId: target.runId,
+        account: target.account,
+        messageId: target.messageId,
+        subject: target.subject,
+        from: target.from,
+        folder: target.currentFolder,
+      };
+
+      try {
+        const { status, copiesRemoved } = await undoTarget(client, target);
+        result.status = status;
+        result.copiesRemoved = copiesRemoved;
+
+        if (status === 'undone') {
+          summary.undone++;
+          await appendJournalEntry({
+            type: 'undo',
+            runId: undoRunId,
+            undoneRunId: target.runId,
+            account: target.account,
+            messageId: target.messageId,
+            from: target.from,
+            fromAddress: target.fromAddress,
+            subject: target.subject,
+            sourceFolder: target.currentFolder,
+            destinationFolder: target.originalFolder,
+            flagsRemoved: Array.from(target.flags),
+            flagsRestored: Array.from(target.removedFlags),
+            labelsRemoved: Array.from(target.labels),
+            copiesRemoved,
+          });
+          logger.info(`Restored email ${target.messageId} to ${target.originalFolder}`, {
+            account: target.account,
+            from: target.currentFolder,
+            flagsRemoved: Array.from(target.flags),
+            flagsRestored: Array.from(target.removedFlags),
+            labelsRemoved: Array.from(target.labels),
+            copiesRemoved,
+          });
+        } else {
+          summary.notFound++;
+          logger.warn(`Could not find email ${target.messageId} in ${target.currentFolder}`);
+        }
+      } catch (error) {
+        summary.errors++;
+        result.status = 'error';
+        result.error = error.message;
+        logger.error(`Failed to undo changes for email ${target.messageId}:`, {
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+
+      summary.results.push(result);
+    }
+  } finally {
+    await client.logout().catch(() => {});
+  }
+}
+
+/**
+ * Reverse the moves, flag changes and copies recorded in the journal, either for a whole run or
+ * for every change made to mail from one sender (address or domain), optionally for one account.
+ */
+async function undoActions({ runId, sender, account } = {}) {
+  if (!runId && !sender) {
+    throw new Error('Undo requires a runId or a sender');
+  }
+
+  const entries = await readJournal();
+  const targets = buildUndoTargets(entries, { runId, sender, account });
+  const undoRunId = crypto.randomUUID();
+
+  logger.info(`Undoing ${targets.length} journaled email change(s)`, {
+    runId,
+    sender,
+    account,
+    undoRunId,
+  });
+
+  const summary = {
+    undoRunId,
+    total: targets.length,
+    undone: 0,
+    notFound: 0,
+    errors: 0,
+    results: [],
+  };
+
+  const accounts = getAccounts();
+  for (const account of accounts) {
+    const accountTargets = targets.filter((target) => target.account === account.name);
+    if (accountTargets.length > 0) {
+      await undoAccountTargets(account, accountTargets, undoRunId, summary);
+    }
+  }
+
+  const unknown = targets.filter(
+    (target) => !accounts.some((account) => account.name === target.account)
+  );
+  for (const target of unknown) {
+    summary.errors++;
+    summary.results.push({
+      runId: target.runId,
+      account: target.account,
+      messageId: target.messageId,
+      status: 'error',
+      error: `Account ${target.account} is no longer configured`,
+    });
+  }
+
+  logger.info('Undo completed', {
+    undone: summary.undone,
+    notFound: summary.notFound,
+    errors: summary.errors,
+  });
+  return summary;
+}
+
+module.exports = {
+  appendJournalEntry,
+  readJournal,
+  getCompletedSteps,
+  isStepCompleted,
+  undoActions,
+};
@@ -0,0 +1,142 @@
+// Validation for the JSON the model returns, so a bad answer never reaches messageMove
+const { logger } = require('./logger');
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+const URGENCY_LEVELS = ['low', 'normal', 'high'];
+// Above this a confidence is read as percent. 1.5 or a 5 out of 10 are sent back to the model
+// instead of becoming 0.015 or 0.05
+const MIN_PERCENT_CONFIDENCE = 10;
+
+function normalizeCategory(category) {
+  return category.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Finds the configured category closest to what the model answered, e.g. "auto/newz", "News" or
+ * "Newsletters" -> "Auto/News". Returns null if nothing is close enough to be a plausible typo.
+ */
+function closestCategory(category, categories) {
+  const wanted = normalizeCategory(category);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of categories) {
+    const normalized = normalizeCategory(candidate);
+    // Models often drop the folder prefix, so compare against the last path segment too
+    const leaf = normalizeCategory(candidate.split('/').pop());
+    // ...and treat "newsletters" / "finance" as meaning "News" / "Financial"
+    const sharesStem =
+      Math.min(wanted.length, leaf.length) >= 4 &&
+      (wanted.startsWith(leaf) || leaf.startsWith(wanted.slice(0, -1)));
+    const distance = sharesStem
+      ? 0
+      : Math.min(levenshtein(wanted, normalized), levenshtein(wanted, leaf));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  const maxDistance = Math.max(2, Math.floor(wanted.length * 0.3));
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Checks a parsed model response against the expected schema:
+ * { meets_criteria: boolean, category: one of categories, explanation: string,
+ *   confidence: number from 0 to 1 (1 when missing), urgency: 'low' | 'normal' | 'high' }
+ * Returns { value } with the category snapped to the configured name, or { error } describing
+ * what is wrong so it can be sent back to the model.
+ */
+function validateAnalysis(parsed, categories) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { error: 'The response must be a single JSON object.' };
+  }
+
+  const errors = [];
+  if (typeof parsed.meets_criteria !== 'boolean') {
+    errors.push(
+      `"meets_criteria" must be the boolean true or false, got ${JSON.stringify(parsed.meets_criteria)}.`
+    );
+  }
+
+  let category = null;
+  if (typeof parsed.category !== 'string' || parsed.category.trim() === '') {
+    errors.push(`"category" must be a string, got ${JSON.stringify(parsed.category)}.`);
+  } else {
+    category = categories.includes(parsed.category)
+      ? parsed.category
+      : closestCategory(parsed.category, categories);
+    if (!category) {
+      errors.push(
+        `"category" must be exactly one of ${JSON.stringify(categories)}, got ${JSON.stringify(parsed.category)}.`
+      );
+    }
+  }
+
+  if (parsed.explanation !== undefined && typeof parsed.explanation !== 'string') {
+    errors.push('"explanation" must be a string.');
+  }
+
+  // Models sometimes answer in percent, 85 means 0.85
+  let confidence = parsed.confidence;
+  if (confidence === undefined || confidence === null) {
+    // Older prompts and small models leave it out, which shouldn't hold every email back
+    logger.warn('The model gave no confidence, treating the answer as certain', {
+      category: parsed.category,
+    });
+    confidence = 1;
+  } else if (
+    typeof confidence === 'number' &&
+    confidence > MIN_PERCENT_CONFIDENCE &&
+    confidence <= 100
+  ) {
+    confidence /= 100;
+  }
+  if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+    errors.push(
+      `"confidence" must be a number between 0 and 1, got ${JSON.stringify(parsed.confidence)}.`
+    );
+  }
+
+  const urgency =
+    parsed.urgency === undefined ? 'normal' : String(parsed.urgency).trim().toLowerCase();
+  if (!URGENCY_LEVELS.includes(urgency)) {
+    errors.push(
+      `"urgency" must be one of ${JSON.stringify(URGENCY_LEVELS)}, got ${JSON.stringify(parsed.urgency)}.`
+    );
+  }
+
+  if (errors.length > 0) {
+    return { error: errors.join(' ') };
+  }
+
+  return {
+    value: {
+      meets_criteria: parsed.meets_criteria,
+      category,
+      explanation: parsed.explanation || '',
+      confidence,
+      urgency,
+    },
+  };
+}
+
+module.exports = { validateAnalysis, closestCategory, levenshtein };
@@ -1,100 +1,52 @@
-const { executeOpenAIWithRetry, fixJSON } = require('./utilities');
-const axios = require('axios');
+const { fixJSON } = require('./utilities');
+const { validateAnalysis } = require('./analysisSchema');
+const { createProviderChain } = require('./llmProviders');
+const { getCorrectionExamples } = require('./correctionTracker');
+const { getResponseCache } = require('./responseCache');
 const config = require('./config');
-const { logger } = require('./server');
-const crypto = require('crypto');
-const fs = require('fs').promises;
-const path = require('path');
-
-async function ensureCacheDir() {
-  const cacheDir = path.join(__dirname, 'cache');
-  try {
-    await fs.mkdir(cacheDir, { recursive: true });
-  } catch (error) {
-    logger.error('Error creating cache directory:', error);
-  }
-  return cacheDir;
-}
+const { onConfigReload } = require('./configLoader');
+const { logger } = require('./logger');
 
-function createPromptHash(prompt, params) {
-  const content = JSON.stringify({ prompt, params });
-  return crypto.createHash('md5').update(content).digest('hex');
-}
+// Shared by every provider so they all get the same instructions
+const SYSTEM_PROMPT = `You are an email analysis assistant for Diwank Singh Tomer. 
+Your task is to:
+1. Identify solicitation emails using defined patterns
+2. Categorize emails into appropriate folders
+3. Determine if emails need immediate attention
+Always respond with valid JSON and be particularly strict about filtering solicitations.`;
 
 class EmailAnalyzer {
-  constructor() {
+  // appConfig defaults to config.yml, evaluate.js passes in the configs it compares and a cache
+  // of its own. Without one the shared response cache is looked up every time, a config reload
+  // replaces it
+  constructor(appConfig = config, { cache } = {}) {
+    this.config = appConfig;
     this.defaultAnalysis = {
       judgment: 'unknown',
       category: '',
       explanation: '',
     };
-    this.requestPool = {
-      openai: new Map(),
-      local: new Map(),
-      maxConcurrent: 3,
-    };
-  }
-
-  async waitForAvailableSlot(type) {
-    const pool = this.requestPool[type];
-
-    // Clean up completed requests
-    for (const [id, request] of pool.entries()) {
-      if (request.status !== 'pending') {
-        pool.delete(id);
-      }
-    }
-
-    while (pool.size >= this.requestPool.maxConcurrent) {
-      const pending = Array.from(pool.values());
-      try {
-        await Promise.race(pending.map(r => r.promise));
-      } catch (error) {
-        logger.error('Request failed while waiting for slot:', error);
-      }
-      // Clean up again
-      for (const [id, request] of pool.entries()) {
-        if (request.status !== 'pending') {
-          pool.delete(id);
-        }
-      }
-    }
-  }
-
-  async addToPool(type, promise) {
-    const id = Date.now() + Math.random();
-    const request = {
-      promise,
-      status: 'pending',
-    };
-    
-    this.requestPool[type].set(id, request);
-    
-    try {
-      const result = await promise;
-      request.status = 'completed';
-      return result;
-    } catch (error) {
-      request.status = 'failed';
-      throw error;
-    } finally {
-      this.requestPool[type].delete(id);
-    }
+    this.providers = createProviderChain(appConfig);
+    this.getCache = cache ? () => cache : getResponseCache;
   }
 
-  buildPrompt(emailSubject, emailSender, emailBody) {
+  buildPrompt(emailSubject, emailSender, emailBody, account, corrections = [], context = {}) {
     logger.debug('Building analysis prompt', {
       subject: emailSubject,
       sender: emailSender,
       bodyLength: emailBody.length,
     });
 
-    const categoriesList = config.categoryFolderNames;
-    return `You are an email analysis assistant. Your task is to analyze the email and return a JSON object with exactly three fields: meets_criteria (boolean), category (string), and explanation (string).
+    const categoriesList = account ? account.categoryFolderNames : this.config.categoryFolderNames;
+    const rules = account ? account.rules : this.config.rules;
+    return `You are an email analysis assistant. Your task is to analyze the email and return a JSON object with exactly five fields: meets_criteria (boolean), category (string), explanation (string), confidence (number) and urgency (string).
 
 CRITICAL: You must ONLY output a valid JSON object. No other text, no markdown, no explanations outside the JSON.
 Example of correct response:
-{"meets_criteria": true, "category": "Auto/News", "explanation": "Direct business communication about project status"}
+{"meets_criteria": true, "category": "Auto/News", "explanation": "Direct business communication about project status", "confidence": 0.9, "urgency": "normal"}
+
+confidence: how sure you are of meets_criteria, from 0 (a guess) to 1 (certain). Use a low value when the email could reasonably go either way.
+urgency: "high" if the email needs a reply or action within a day, "low" if it never needs any, otherwise "normal".
 
 Categories (choose exactly one):
 ${JSON.stringify(categoriesList)}
@@ -104,7 +56,7 @@ Criteria for meets_criteria=true (keep in primary inbox):
 - Important updates from known services
 - Relevant industry insights
 - Financial updates from known institutions
-${config.rules.keep}
+${rules.keep}
 
 Criteria for meets_criteria=false (move to category folder):
 - Marketing emails from known services
@@ -117,134 +69,63 @@ Criteria for meets_criteria=false (move to category folder):
   * Metrics boasting ("250k+ students," "15k+ subscribers")
   * Generic collaboration requests
   * External profile links
-${config.rules.reject}
-
+${rules.reject}
+${this.formatCorrections(corrections)}
 Email to analyze:
 Subject: ${emailSubject}
 From: ${emailSender}
-Body: ${emailBody}`;
+${this.formatThread(context.thread)}${this.formatSignals(context.signals)}Body: ${emailBody}`;
   }
 
-  async analyzeWithOpenAI(prompt) {
-    await this.waitForAvailableSlot('openai');
-    logger.debug('Processing OpenAI request');
-    const startTime = Date.now();
-
-    const openAIParams = {
-      model: config.openAI.model,
-      temperature: 0.7,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content: `You are an email analysis assistant for Diwank Singh Tomer. 
-Your task is to:
-1. Identify solicitation emails using defined patterns
-2. Categorize emails into appropriate folders
-3. Determine if emails need immediate attention
-Always respond with valid JSON and be particularly strict about filtering solicitations.`,
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    };
-
-    // Generate hash for caching
-    const promptHash = createPromptHash(prompt, openAIParams);
-    const cacheDir = await ensureCacheDir();
-    const cacheFile = path.join(cacheDir, `${promptHash}.json`);
-
-    // Try to read from cache first
-    try {
-      const cached = await fs.readFile(cacheFile, 'utf-8');
-      const cachedData = JSON.parse(cached);
-      logger.debug('Cache hit', { promptHash });
-      return cachedData;
-    } catch (error) {
-      // Cache miss or error reading cache, proceed with API call
-      logger.debug('Cache miss', { promptHash });
+  // What the headers say about the sender, one line each (see headerSignals.js)
+  formatSignals(signals) {
+    if (!signals) {
+      return '';
     }
 
-    const requestPromise = (async () => {
-      try {
-        const result = await executeOpenAIWithRetry(openAIParams);
-        const duration = Date.now() - startTime;
-        logger.debug('OpenAI response received', { duration: `${duration}ms` });
-
-        // Cache the result
-        try {
-          await fs.writeFile(cacheFile, result);
-          logger.debug('Cached response', { promptHash });
-        } catch (cacheError) {
-          logger.error('Error caching response:', cacheError);
-        }
-
-        // Remove this promise from the pool once completed
-        this.requestPool.openai.delete(requestPromise);
-
-        return fixJSON(result);
-      } catch (error) {
-        logger.error('OpenAI request failed:', error);
-        // Remove this promise from the pool on error
-        this.requestPool.openai.delete(requestPromise);
-        throw error;
-      }
-    })();
-
-    // Add the promise to the pool with a unique key
-    const requestId = Date.now() + Math.random();
-    this.requestPool.openai.set(requestId, requestPromise);
-    return requestPromise;
+    const lines = [];
+    if (signals.bulk) {
+      const details = [
+        signals.listId && `List-Id ${signals.listId}`,
+        signals.listUnsubscribe && 'has List-Unsubscribe',
+        signals.precedence && `Precedence ${signals.precedence}`,
+      ].filter(Boolean);
+      lines.push(`- Sent to a mailing list or in bulk (${details.join(', ')})`);
+    }
+    if (signals.autoSubmitted) {
+      lines.push(`- Sent automatically (Auto-Submitted: ${signals.autoSubmitted})`);
+    }
+    const results = `SPF ${signals.spf}, DKIM ${signals.dkim}, DMARC ${signals.dmarc}`;
+    lines.push(
+      signals.authenticationFailed
+        ? `- Sender authentication FAILED (${results}): the sender may be forged, do not treat it as a personal email`
+        : `- Sender authentication: ${results}`
+    );
+    if (signals.addressedTo) {
+      const addressed = {
+        to: 'in To',
+        cc: 'in Cc',
+        bcc: 'in Bcc',
+        none: 'not among the recipients (sent to a list or as a hidden copy)',
+      };
+      lines.push(`- My address is ${addressed[signals.addressedTo]}`);
+    }
+    return `Header signals:\n${lines.join('\n')}\n`;
   }
 
-  async analyzeWithLocalLLM(prompt) {
-    await this.waitForAvailableSlot('local');
-    logger.debug('Sending request to local LLM');
-    const startTime = Date.now();
-
-    const localParams = {
-      messages: [
-        {
-          role: 'system',
-          content: `You are an email analysis assistant for Diwank Singh Tomer.
-Your task is to identify solicitations and categorize emails appropriately.`,
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: -1,
-      stream: false,
-    };
-
-    const requestPromise = (async () => {
-      try {
-        const response = await axios.post(config.localLLM.postURL, localParams, {
-          headers: { 'Content-Type': 'application/json' },
-        });
-        const duration = Date.now() - startTime;
-        logger.debug('Local LLM response received', { duration: `${duration}ms` });
-        
-        // Remove this promise from the pool once completed
-        this.requestPool.local.delete(requestPromise);
-        
-        return fixJSON(response.data.choices[0].message.content.trim());
-      } catch (error) {
-        logger.error('Local LLM request failed:', error);
-        // Remove this promise from the pool on error
-        this.requestPool.local.delete(requestPromise);
-        throw error;
-      }
-    })();
-
-    // Add the promise to the pool with a unique key
-    const requestId = Date.now() + Math.random();
-    this.requestPool.local.set(requestId, requestPromise);
-    return requestPromise;
+  // Where the email sits in its conversation, from the sent index (see sentIndex.js)
+  formatThread(thread) {
+    if (!thread || !thread.isReply) {
+      return '';
+    }
+    if (thread.isReplyToMe) {
+      return `Thread: a reply to an email I sent (message ${thread.threadLength} of the conversation)\n`;
+    }
+    const mine =
+      thread.sentByMeInThread > 0
+        ? `I sent ${thread.sentByMeInThread} of the earlier messages`
+        : 'I have not written in this conversation';
+    return `Thread: a reply in a conversation of ${thread.threadLength} messages, ${mine}\n`;
   }
 
   logAnalysisResults(emailSender, emailDate, emailSubject, emailBody, analysis) {
@@ -257,6 +138,8 @@ Your task is to identify solicitations and categorize emails appropriately.`,
       truncatedBody,
       category: analysis.category,
       meetsCriteria: analysis.judgment,
+      confidence: analysis.confidence,
+      urgency: analysis.urgency,
       explanation: analysis.explanation,
       bodyLength: emailBody.length,
     });
@@ -270,7 +153,51 @@ Your task is to identify solicitations and categorize emails appropriately.`,
     }
   }
 
-  async analyze(emailSubject, emailSender, emailBody, emailDate) {
+  // Emails the user moved after clearmail sorted them, shown to the model as examples to follow
+  formatCorrections(corrections) {
+    if (corrections.length === 0) {
+      return '';
+    }
+
+    const examples = corrections.map((correction) => {
+      const expected = {
+        meets_criteria: correction.correctedJudgment,
+        category: correction.correctedCategory || correction.originalCategory,
+      };
+      const action =
+        correction.kind === 'recategorized'
+          ? `the user moved it to ${correction.correctedFolder}`
+          : correction.kind === 'starred'
+            ? 'the user starred it'
+            : 'the user moved it back to the inbox';
+      return `- From: ${correction.from}
+  Subject: ${correction.subject}
+  Previously sorted into ${correction.originalFolder}, but ${action}. Correct answer: ${JSON.stringify(expected)}`;
+    });
+
+    return `
+Past corrections by the user. Emails like these must be judged the same way:
+${examples.join('\n')}
+`;
+  }
+
+  parseResult(result, categories) {
+    let parsedResult;
+    try {
+      parsedResult = JSON.parse(result);
+    } catch (parseError) {
+      return { error: `The response is not valid JSON (${parseError.message}).` };
+    }
+
+    const { value, error } = validateAnalysis(parsedResult, categories);
+    if (value && value.category !== parsedResult.category) {
+      logger.info(`Matched category "${parsedResult.category}" to "${value.category}"`);
+    }
+    return { value, error };
+  }
+
+  // context carries what is known beyond the email itself, e.g. { thread } from getThreadInfo
+  async analyze(emailSubject, emailSender, emailBody, emailDate, account, context = {}) {
     const startTime = Date.now();
     logger.info('Starting email analysis', {
       subject: emailSubject,
@@ -279,60 +206,109 @@ Your task is to identify solicitations and categorize emails appropriately.`,
     });
 
     try {
-      const prompt = this.buildPrompt(emailSubject, emailSender, emailBody);
-      const result = !config.settings.useLocalLLM
-        ? await this.analyzeWithOpenAI(prompt)
-        : await this.analyzeWithLocalLLM(prompt);
+      const senderAddress = (/<([^>]+)>/.exec(emailSender)?.[1] || emailSender || '').toLowerCase();
+      const corrections = this.config.settings.learnFromCorrections
+        ? await getCorrectionExamples(account?.name, senderAddress)
+        : [];
+      const prompt = this.buildPrompt(
+        emailSubject,
+        emailSender,
+        emailBody,
+        account,
+        corrections,
+        context
+      );
+      const categories = account ? account.categoryFolderNames : this.config.categoryFolderNames;
+      const maxRepairAttempts = this.config.settings.maxRepairAttempts ?? 1;
+      const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt },
+      ];
+
+      // Only validated answers are cached, keyed on everything that shapes them: the providers
+      // (model, server and temperature), the prompt and the configured rules and categories
+      const cache = this.getCache();
+      const cacheKey = cache.buildKey({
+        models: this.providers.providers.map((provider) => ({
+          name: provider.name,
+          model: provider.model,
+          url: provider.url,
+          temperature: provider.temperature,
+        })),
+        messages,
+        categories,
+        rules: account ? account.rules : this.config.rules,
+      });
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        logger.info('Analysis served from cache', {
+          duration: `${Date.now() - startTime}ms`,
+          category: cached.category,
+          judgment: cached.judgment,
+        });
+        this.logAnalysisResults(emailSender, emailDate, emailSubject, emailBody, cached);
+        return cached;
+      }
 
-      try {
-        logger.debug(`Raw analysis result<${typeof result}>`, {
+      for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+        const { content, provider, model } = await this.providers.complete(messages);
+        const result = fixJSON(content);
+        logger.debug('Raw analysis result', {
           result,
-          resultType: typeof result,
-          resultLength: typeof result === 'string' ? result.length : 
-                       (result && typeof result === 'object') ? JSON.stringify(result).length : 0
+          attempt,
+          resultLength: result.length,
         });
 
-        // Handle case where result is already an object
-        const parsedResult = typeof result === 'object' ? result : JSON.parse(result);
-        logger.debug('Successfully parsed result:', {
-          parsedResult,
-          hasRequiredFields: {
-            meets_criteria: 'meets_criteria' in parsedResult,
-            category: 'category' in parsedResult,
-            explanation: 'explanation' in parsedResult,
-          },
-        });
+        const { value, error } = this.parseResult(result, categories);
+        if (value) {
+          const analysis = {
+            judgment: value.meets_criteria,
+            category: value.category,
+            explanation: value.explanation,
+            confidence: value.confidence,
+            urgency: value.urgency,
+            source: provider,
+          };
+
+          const duration = Date.now() - startTime;
+          logger.info('Analysis completed', {
+            duration: `${duration}ms`,
+            provider,
+            model,
+            repairAttempts: attempt,
+            category: analysis.category,
+            judgment: analysis.judgment,
+            confidence: analysis.confidence,
+          });
+
+          this.logAnalysisResults(emailSender, emailDate, emailSubject, emailBody, analysis);
+          await cache.set(cacheKey, analysis);
+          return analysis;
+        }
 
-        const analysis = {
-          judgment: parsedResult.meets_criteria,
-          category: parsedResult.category,
-          explanation: parsedResult.explanation,
-        };
-
-        const duration = Date.now() - startTime;
-        logger.info('Analysis completed', {
-          duration: `${duration}ms`,
-          category: analysis.category,
-          judgment: analysis.judgment,
+        logger.warn(`Invalid analysis result: ${error}`, {
+          subject: emailSubject,
+          provider,
+          attempt,
+          snippet: result.substring(0, 200),
         });
 
-        this.logAnalysisResults(emailSender, emailDate, emailSubject, emailBody, analysis);
-        return analysis;
-      } catch (parseError) {
-        logger.error(`Error parsing JSON result: ${parseError.message} === ${result}`, {
-          error: parseError.message,
-          errorName: parseError.name,
-          result,
-          resultType: typeof result,
-          resultLength: result ? result.length : 0,
-          // Safely handle the snippet extraction
-          snippet:
-            typeof result === 'string'
-              ? result.substring(0, 200)
-              : JSON.stringify(result).substring(0, 200),
-        });
-        return this.defaultAnalysis;
+        // Show the model its own answer and what was wrong with it, then ask again
+        messages.push(
+          { role: 'assistant', content },
+          {
+            role: 'user',
+            content: `Your previous response was invalid: ${error}\nRespond again with ONLY the corrected JSON object.`,
+          }
+        );
       }
+
+      logger.error('No valid analysis after repair attempts, leaving email unprocessed', {
+        subject: emailSubject,
+        sender: emailSender,
+        maxRepairAttempts,
+      });
+      return this.defaultAnalysis;
     } catch (error) {
       logger.error(`Error analyzing email: ${error.message}`, {
         subject: emailSubject,
@@ -347,8 +323,13 @@ Your task is to identify solicitations and categorize emails appropriately.`,
 // Use a singleton instance for better resource management
 const analyzer = new EmailAnalyzer();
 
-async function analyzeEmail(emailSubject, emailSender, emailBody, emailDate) {
-  return analyzer.analyze(emailSubject, emailSender, emailBody, emailDate);
+// Providers are built from the config, so pick up new models or endpoints after a reload
+onConfigReload(() => {
+  analyzer.providers = createProviderChain(config);
+});
+
+async function analyzeEmail(emailSubject, emailSender, emailBody, emailDate, account, context) {
+  return analyzer.analyze(emailSubject, emailSender, emailBody, emailDate, account, context);
 }
 
-module.exports = { analyzeEmail };
+module.exports = { analyzeEmail, EmailAnalyzer };
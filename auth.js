@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { logger } = require('./logger');
+
+const SCOPES = ['read', 'run'];
+const DEFAULT_RATE_LIMIT = 60;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Requests counted per key in the current one minute window
+const rateWindows = new Map();
+
+function resolveKey(entry) {
+  if (entry.keyEnv) {
+    return process.env[entry.keyEnv];
+  }
+  return entry.key;
+}
+
+// The configured keys, read on every request so a config reload or new env value applies at once
+function getApiKeys() {
+  return (config.server?.apiKeys || [])
+    .map((entry, index) => ({
+      name: entry.name || `key${index + 1}`,
+      scope: entry.scope || 'read',
+      rateLimit: entry.rateLimit ?? DEFAULT_RATE_LIMIT,
+      secret: resolveKey(entry),
+    }))
+    .filter((entry) => entry.secret);
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Compare hashes so the comparison takes the same time whatever the key length
+function findApiKey(presented) {
+  const presentedHash = hash(presented);
+  return getApiKeys().find((entry) => crypto.timingSafeEqual(presentedHash, hash(entry.secret)));
+}
+
+// Authorization: Bearer <key>, or X-API-Key: <key>
+function getPresentedKey(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+  }
+  return req.get('x-api-key') || null;
+}
+
+function rejectRequest(req, res, status, reason, meta = {}) {
+  logger.warn(`Rejected API request: ${reason}`, {
+    ip: req.ip,
+    method: req.method,
+    path: req.path,
+    ...meta,
+  });
+  res.status(status).json({ error: reason });
+}
+
+// Fixed one minute window per key. Returns false once the key used up its requests
+function consumeRateLimit(apiKey, res) {
+  if (!apiKey.rateLimit) {
+    return true;
+  }
+
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.name);
+  if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW_MS) {
+    window = { startedAt: now, count: 0 };
+    rateWindows.set(apiKey.name, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.ceil((window.startedAt + RATE_LIMIT_WINDOW_MS - now) / 1000);
+  res.set('X-RateLimit-Limit', String(apiKey.rateLimit));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimit - window.count)));
+  if (window.count > apiKey.rateLimit) {
+    res.set('Retry-After', String(resetSeconds));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Middleware for every protected route: the request needs a configured API key, and the key
+ * must not be over its rate limit. The key's name and scope are available as req.apiKey.
+ */
+function authenticate(req, res, next) {
+  const presented = getPresentedKey(req);
+  if (!presented) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return rejectRequest(req, res, 401, 'Missing API key');
+  }
+
+  const apiKey = findApiKey(presented);
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return rejectRequest(req, res, 401, 'Invalid API key');
+  }
+
+  if (!consumeRateLimit(apiKey, res)) {
+    return rejectRequest(req, res, 429, 'Rate limit exceeded', { key: apiKey.name });
+  }
+
+  req.apiKey = { name: apiKey.name, scope: apiKey.scope };
+  next();
+}
+
+// Read keys can only look; run keys can also start, cancel and undo runs and change stored data
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (SCOPES.indexOf(req.apiKey?.scope) < SCOPES.indexOf(scope)) {
+      return rejectRequest(req, res, 403, `API key needs the ${scope} scope`, {
+        key: req.apiKey?.name,
+      });
+    }
+    next();
+  };
+}
+
+// Options for the cors middleware. Only the origins listed in server.corsOrigins may call the
+// API from a browser, '*' allows any origin
+const corsOptions = {
+  origin: (origin, callback) => {
+    const allowed = config.server?.corsOrigins || [];
+    callback(null, allowed.includes('*') || allowed.includes(origin));
+  },
+  allowedHeaders: ['Authorization', 'X-API-Key', 'Content-Type'],
+};
+
+module.exports = { authenticate, requireScope, corsOptions, getApiKeys };
@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { createSmtpTransport, getSenderAddress } = require('./utilities');
+const { logger } = require('./logger');
+
+// These take the email out of the folder being processed, nothing can act on it afterwards
+const MOVING_ACTIONS = ['move', 'archive'];
+// These only need what was already read from the email
+const DETACHED_ACTIONS = ['forward', 'webhook'];
+// Running these twice leaves a second copy or sends twice, a retried email skips them when done
+const ONCE_ONLY_ACTIONS = ['copy', 'forward', 'webhook'];
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * The ordered steps categoryActions configures for a rejected email's category, or null to use
+ * the default mark read and move. A move, copy or label without a folder or label uses the
+ * category's own folder, add_flags and remove_flags accept a single flag or a list.
+ */
+function getCategoryActions(account, analysis, defaultFolder) {
+  const steps = account.categoryActions?.[analysis.category];
+  if (!Array.isArray(steps)) {
+    return null;
+  }
+
+  return steps.map((step) => {
+    const normalized = { ...step };
+    if (['move', 'copy'].includes(step.action)) {
+      normalized.folder = step.folder || defaultFolder;
+    } else if (step.action === 'label') {
+      normalized.label = step.label || analysis.category;
+    } else if (['add_flags', 'remove_flags'].includes(step.action)) {
+      normalized.flags = [].concat(step.flags || []);
+    }
+    return normalized;
+  });
+}
+
+// Sent from the account's address, with the original attached untouched
+async function forwardEmail(account, step, { emailData, analysis, source }) {
+  const info = await createSmtpTransport(account).sendMail({
+    from: getSenderAddress(account),
+    to: step.to,
+    subject: `Fwd: ${emailData.subject || '(no subject)'}`,
+    text: `Forwarded by clearmail (${analysis.category}): ${analysis.explanation}`,
+    attachments: source
+      ? [{ filename: 'forwarded.eml', content: source, contentType: 'message/rfc822' }]
+      : [],
+  });
+  logger.info(`Forwarded email ${emailData.messageId} to ${step.to}`, { status: info.response });
+}
+
+async function callWebhook(account, step, { uid, emailData, analysis }) {
+  const response = await axios.post(
+    step.url,
+    {
+      account: account.name,
+      uid,
+      messageId: emailData.messageId,
+      from: emailData.from,
+      subject: emailData.subject,
+      date: emailData.date,
+      judgment: analysis.judgment,
+      category: analysis.category,
+      explanation: analysis.explanation,
+      confidence: analysis.confidence,
+    },
+    {
+      headers: step.headers || {},
+      timeout: step.timeout || DEFAULT_WEBHOOK_TIMEOUT_MS,
+    }
+  );
+  logger.info(`Webhook called for email ${emailData.messageId}`, {
+    url: step.url,
+    status: response.status,
+  });
+}
+
+module.exports = {
+  MOVING_ACTIONS,
+  DETACHED_ACTIONS,
+  ONCE_ONLY_ACTIONS,
+  getCategoryActions,
+  forwardEmail,
+  callWebhook,
+};
@@ -1,7 +1,16 @@
-const fs = require('fs');
-const yaml = require('js-yaml');
+require('dotenv').config();
+const { ConfigError, getConfigPath, loadConfigFile } = require('./configLoader');
+const { logger } = require('./logger');
 
-const configFile = fs.readFileSync('./config.yml', 'utf8');
-const config = yaml.load(configFile);
+let config;
+try {
+  config = loadConfigFile(getConfigPath());
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  logger.error(error.message);
+  process.exit(1);
+}
 
 module.exports = config;
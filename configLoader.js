@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const yaml = require('js-yaml');
+const { validateConfig } = require('./configSchema');
+const { logger } = require('./logger');
+
+const RELOAD_CHECK_INTERVAL_MS = 2000;
+
+const configEvents = new EventEmitter();
+
+class ConfigError extends Error {
+  constructor(filePath, problems) {
+    const details = problems
+      .map((problem) => {
+        const location = problem.line ? `line ${problem.line}: ` : '';
+        const where = problem.path ? `${problem.path} ` : '';
+        return `  ${location}${where}${problem.message}`;
+      })
+      .join('\n');
+    super(`Invalid config in ${filePath}:\n${details}`);
+    this.name = 'ConfigError';
+    this.filePath = filePath;
+    this.problems = problems;
+  }
+}
+
+// --config <path> on the command line, then CLEARMAIL_CONFIG, then the config.yml next to the code
+function getConfigPath(argv = process.argv) {
+  const flagIndex = argv.indexOf('--config');
+  const configPath =
+    (flagIndex !== -1 && argv[flagIndex + 1]) ||
+    process.env.CLEARMAIL_CONFIG ||
+    path.join(__dirname, 'config.yml');
+  return path.resolve(configPath);
+}
+
+// Reads, parses and validates a config file, throwing a ConfigError that lists every problem
+function loadConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  let config;
+  try {
+    config = yaml.load(text, { filename: filePath });
+  } catch (error) {
+    if (error.name !== 'YAMLException') {
+      throw error;
+    }
+    throw new ConfigError(filePath, [
+      { line: error.mark ? error.mark.line + 1 : null, message: error.reason || error.message },
+    ]);
+  }
+
+  const problems = validateConfig(config, text);
+  for (const problem of problems.filter((problem) => problem.deprecated)) {
+    const location = problem.line ? ` line ${problem.line}` : '';
+    logger.warn(`Deprecated config in ${filePath}${location}: ${problem.path} ${problem.message}`);
+  }
+  const errors = problems.filter((problem) => !problem.deprecated);
+  if (errors.length > 0) {
+    throw new ConfigError(filePath, errors);
+  }
+  return config;
+}
+
+// Swap the contents in place so every module holding the exported object sees the new values
+function replaceConfig(target, next) {
+  for (const key of Object.keys(target)) {
+    if (!(key in next)) {
+      delete target[key];
+    }
+  }
+  Object.assign(target, next);
+}
+
+/**
+ * Reloads the config whenever the file changes. The new file is validated first; if it is
+ * invalid the running config is kept and the problems are logged. Listeners registered with
+ * onConfigReload are called after every successful reload with the previous config.
+ */
+function watchConfig(config, filePath) {
+  fs.watchFile(filePath, { interval: RELOAD_CHECK_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    let next;
+    try {
+      next = loadConfigFile(filePath);
+    } catch (error) {
+      logger.error(`Config change ignored, keeping the running config. ${error.message}`);
+      return;
+    }
+
+    const before = JSON.parse(JSON.stringify(config));
+    replaceConfig(config, next);
+    logger.info(`Reloaded config from ${filePath}`);
+    configEvents.emit('reload', config, before);
+  });
+  logger.info(`Watching ${filePath} for changes`);
+
+  return () => fs.unwatchFile(filePath);
+}
+
+function onConfigReload(listener) {
+  configEvents.on('reload', listener);
+}
+
+module.exports = { ConfigError, getConfigPath, loadConfigFile, watchConfig, onConfigReload };
@@ -0,0 +1,537 @@
+const { levenshtein } = require('./analysisSchema');
+
+// Schema for config.yml. Every object lists its known keys so typos are reported instead of
+// silently falling back to defaults. Optional keys may also be left empty (null) in the YAML.
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const positiveInteger = { type: 'integer', min: 1 };
+const nonNegativeInteger = { type: 'integer', min: 0 };
+const nonNegativeNumber = { type: 'number', min: 0 };
+const stringList = { type: 'array', items: string };
+const confidenceThreshold = { type: 'number', min: 0, max: 1 };
+const lowConfidenceAction = { type: 'string', enum: ['review', 'keep'] };
+const addressList = { type: ['string', 'array'], items: string };
+
+const rulesSchema = {
+  type: 'object',
+  properties: { keep: string, reject: string },
+};
+
+const signalValue = { type: ['string', 'array'], items: string };
+const signalsSchema = {
+  type: 'object',
+  properties: {
+    bulk: boolean,
+    listUnsubscribe: boolean,
+    listId: signalValue,
+    precedence: signalValue,
+    autoSubmitted: signalValue,
+    spf: signalValue,
+    dkim: signalValue,
+    dmarc: signalValue,
+    authenticationFailed: boolean,
+    addressedTo: signalValue,
+  },
+};
+
+const filtersSchema = {
+  type: 'object',
+  properties: {
+    alwaysKeep: stringList,
+    alwaysReject: stringList,
+    alwaysRejectCategory: string,
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: string,
+          from: addressList,
+          to: addressList,
+          subject: string,
+          headers: { type: 'object', additionalProperties: string },
+          signals: signalsSchema,
+          action: { type: 'string', enum: ['keep', 'reject'] },
+          category: string,
+        },
+      },
+    },
+  },
+};
+
+// Category folder name -> the steps run, in order, for an email rejected into it
+const categoryActionsSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['action'],
+      properties: {
+        action: {
+          type: 'string',
+          enum: [
+            'move',
+            'copy',
+            'label',
+            'flag',
+            'mark_read',
+            'add_flags',
+            'remove_flags',
+            'archive',
+            'forward',
+            'webhook',
+          ],
+        },
+        folder: string,
+        label: string,
+        flags: addressList,
+        to: string,
+        url: string,
+        headers: { type: 'object', additionalProperties: string },
+        timeout: positiveInteger,
+      },
+    },
+  },
+};
+
+const accountSchema = {
+  type: 'object',
+  properties: {
+    name: string,
+    host: string,
+    port: positiveInteger,
+    secure: boolean,
+    tls: { type: 'object', additionalProperties: true },
+    user: string,
+    userEnv: string,
+    password: string,
+    passwordEnv: string,
+    sortIntoCategoryFolders: boolean,
+    rejectedFolderName: string,
+    sentFolderName: string,
+    markAllRejectedEmailsRead: boolean,
+    starAllKeptEmails: boolean,
+    flagUrgentEmails: boolean,
+    reviewConfidenceThreshold: confidenceThreshold,
+    lowConfidenceAction,
+    reviewFolderName: string,
+    categoryFolderNames: stringList,
+    categoryActions: categoryActionsSchema,
+    rules: rulesSchema,
+    filters: filtersSchema,
+  },
+};
+
+const providerSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    name: string,
+    type: { type: 'string', enum: ['openai', 'openai-compatible', 'anthropic'] },
+    model: string,
+    url: string,
+    apiKeyEnv: string,
+    timeout: positiveInteger,
+    maxConcurrent: positiveInteger,
+    retries: nonNegativeInteger,
+    rateLimitRetries: nonNegativeInteger,
+    maxTokens: positiveInteger,
+    temperature: nonNegativeNumber,
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['settings', 'categoryFolderNames', 'rules'],
+  properties: {
+    settings: {
+      type: 'object',
+      // Keys earlier versions used, accepted with a warning so old config files still load
+      retired: {
+        useTimestampFilter: 'emails are tracked by UID in stateFilePath now',
+        timestampFilePath: 'emails are tracked by UID in stateFilePath now',
+      },
+      properties: {
+        myName: string,
+        myEmail: string,
+        useLocalLLM: boolean,
+        verifyImapFolders: boolean,
+        maxEmailChars: positiveInteger,
+        maxEmailsToProcessAtOnce: positiveInteger,
+        batchSize: positiveInteger,
+        refreshInterval: { type: 'number', min: 1 },
+        useIdle: boolean,
+        processReadEmails: boolean,
+        stateFilePath: string,
+        maxFailedRetries: nonNegativeInteger,
+        initialSyncDays: nonNegativeNumber,
+        maxRepairAttempts: nonNegativeInteger,
+        learnFromCorrections: boolean,
+        correctionsFilePath: string,
+        correctionLookbackDays: nonNegativeNumber,
+        correctionCheckInterval: nonNegativeNumber,
+        maxCorrectionExamples: nonNegativeInteger,
+        useSenderHistory: boolean,
+        senderHistoryThreshold: positiveInteger,
+        senderHistoryFilePath: string,
+        detectReplies: boolean,
+        alwaysKeepRepliesToMe: boolean,
+        sentFolderName: string,
+        sentIndexDays: nonNegativeNumber,
+        sentIndexFilePath: string,
+        sortIntoCategoryFolders: boolean,
+        rejectedFolderName: string,
+        markAllRejectedEmailsRead: boolean,
+        starAllKeptEmails: boolean,
+        flagUrgentEmails: boolean,
+        reviewConfidenceThreshold: confidenceThreshold,
+        lowConfidenceAction,
+        reviewFolderName: string,
+        dryRun: boolean,
+        dryRunReportPath: string,
+        journalFilePath: string,
+        runLockPath: string,
+        runLockTimeout: nonNegativeNumber,
+        staleLockSeconds: { type: 'number', min: 1 },
+        reloadConfigOnChange: boolean,
+        runAsServerOrScript: { type: 'string', enum: ['server', 'script'] },
+        portNumber: positiveInteger,
+      },
+    },
+    server: {
+      type: 'object',
+      properties: {
+        corsOrigins: stringList,
+        apiKeys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: string,
+              key: string,
+              keyEnv: string,
+              scope: { type: 'string', enum: ['read', 'run'] },
+              rateLimit: nonNegativeInteger,
+            },
+          },
+        },
+      },
+    },
+    localLLM: { type: 'object', properties: { postURL: string } },
+    accounts: { type: 'array', items: accountSchema },
+    openAI: { type: 'object', properties: { model: string } },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        dir: string,
+        ttlHours: nonNegativeNumber,
+        maxEntries: positiveInteger,
+        maxBytes: positiveInteger,
+      },
+    },
+    llm: {
+      type: 'object',
+      properties: {
+        temperature: nonNegativeNumber,
+        providers: { type: 'array', items: providerSchema },
+      },
+    },
+    unsubscribe: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        category: string,
+        logFilePath: string,
+        allowDomains: stringList,
+        denyDomains: stringList,
+        timeout: positiveInteger,
+        allowHttp: boolean,
+      },
+    },
+    digest: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        time: string,
+        delivery: { type: 'string', enum: ['append', 'smtp'] },
+        folder: string,
+        summarize: boolean,
+        maxEntries: positiveInteger,
+        stateFilePath: string,
+      },
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        logFilePath: string,
+        retries: nonNegativeInteger,
+        retryDelay: nonNegativeInteger,
+        timeout: positiveInteger,
+        sinks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type', 'url'],
+            properties: {
+              name: string,
+              type: { type: 'string', enum: ['webhook', 'ntfy', 'gotify', 'slack'] },
+              url: string,
+              tokenEnv: string,
+              headers: { type: 'object', additionalProperties: string },
+              title: string,
+              message: string,
+              retries: nonNegativeInteger,
+              timeout: positiveInteger,
+              when: {
+                type: 'object',
+                properties: {
+                  judgment: { type: 'string', enum: ['keep', 'reject', 'any'] },
+                  categories: { type: ['string', 'array'], items: string },
+                  from: addressList,
+                  urgency: { type: ['string', 'array'], items: string },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    smtp: {
+      type: 'object',
+      properties: {
+        host: string,
+        port: positiveInteger,
+        secure: boolean,
+        userEnv: string,
+        passwordEnv: string,
+        from: string,
+        timeout: positiveInteger,
+      },
+    },
+    categoryFolderNames: { ...stringList, minItems: 1 },
+    categoryActions: categoryActionsSchema,
+    filters: filtersSchema,
+    rules: rulesSchema,
+  },
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function formatPath(segments) {
+  return segments
+    .map((segment, index) =>
+      typeof segment === 'number' ? `[${segment}]` : index === 0 ? segment : `.${segment}`
+    )
+    .join('');
+}
+
+function suggestKey(key, known) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+function validateValue(value, schema, segments, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some((type) => matchesType(value, type))) {
+    errors.push({
+      path: segments,
+      message: `must be ${types.join(' or ')}, got ${typeOf(value)} ${JSON.stringify(value)}`,
+    });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: segments,
+      message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`,
+    });
+  }
+  if (schema.min !== undefined && typeof value === 'number' && value < schema.min) {
+    errors.push({ path: segments, message: `must be at least ${schema.min}, got ${value}` });
+  }
+  if (schema.max !== undefined && typeof value === 'number' && value > schema.max) {
+    errors.push({ path: segments, message: `must be at most ${schema.max}, got ${value}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: segments, message: `needs at least ${schema.minItems} entry` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateValue(item, schema.items, [...segments, index], errors)
+      );
+    }
+  } else if (typeOf(value) === 'object') {
+    validateObject(value, schema, segments, errors);
+  }
+}
+
+function validateObject(value, schema, segments, errors) {
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push({ path: [...segments, key], message: 'is required' });
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const childSchema = schema.properties?.[key];
+    if (childSchema) {
+      if (child !== null) {
+        validateValue(child, childSchema, [...segments, key], errors);
+      }
+    } else if (schema.retired?.[key]) {
+      errors.push({
+        path: [...segments, key],
+        message: `is no longer used and can be removed, ${schema.retired[key]}`,
+        deprecated: true,
+      });
+    } else if (schema.additionalProperties === true) {
+      continue;
+    } else if (schema.additionalProperties) {
+      validateValue(child, schema.additionalProperties, [...segments, key], errors);
+    } else {
+      const suggestion = suggestKey(key, Object.keys(schema.properties || {}));
+      errors.push({
+        path: [...segments, key],
+        message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+      });
+    }
+  }
+}
+
+/**
+ * Best effort line lookup for a path like settings.batchSize or accounts[1].host in the YAML
+ * text, by following indentation. Returns the line of the deepest segment that was found.
+ */
+function findLine(text, segments) {
+  const lines = text.split('\n');
+  let start = 0;
+  let parentIndent = -1;
+  let found = null;
+
+  for (const segment of segments) {
+    let match = null;
+    let itemCount = -1;
+    let itemIndent = null;
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim() || line.trim().startsWith('#')) {
+        continue;
+      }
+      const indent = line.length - line.trimStart().length;
+      // Left the parent block (the first line of a list item shares its line with the key)
+      if (indent <= parentIndent && !(i === start && found !== null)) {
+        break;
+      }
+
+      if (typeof segment === 'number') {
+        const isItem = line.trimStart().startsWith('- ') || line.trim() === '-';
+        // Only count items of this list, not of lists nested inside them
+        if (isItem && (itemIndent === null || indent === itemIndent)) {
+          itemIndent = indent;
+          itemCount++;
+          if (itemCount === segment) {
+            match = { line: i, indent };
+            break;
+          }
+        }
+      } else {
+        const keyMatch = /^(\s*)(-\s+)?(['"]?)([^'":#]+)\3\s*:/.exec(line);
+        const keyIndent = keyMatch ? keyMatch[1].length + (keyMatch[2] || '').length : -1;
+        if (keyMatch && keyMatch[4].trim() === segment && keyIndent > parentIndent) {
+          match = { line: i, indent: keyIndent };
+          break;
+        }
+      }
+    }
+
+    if (!match) {
+      break;
+    }
+    found = match.line + 1;
+    start = match.line;
+    parentIndent = match.indent;
+  }
+  return found;
+}
+
+// Account names go into file names (dryRunReport.work.json, clearmail.work.lock), so they can't
+// leave the directory, and two accounts sharing one would share their checkpoint and lock
+function validateAccountNames(accounts, errors) {
+  const seen = new Set();
+  accounts.forEach((account, index) => {
+    if (
+      typeOf(account) !== 'object' ||
+      (account.name != null && typeof account.name !== 'string')
+    ) {
+      return;
+    }
+    // getAccounts names an account without one after its position
+    const name = account.name || `account${index + 1}`;
+    const segments = account.name ? ['accounts', index, 'name'] : ['accounts', index];
+    if (/[/\\]/.test(name) || name.includes('..')) {
+      errors.push({
+        path: segments,
+        message: `must not contain "/", "\\" or "..", got ${JSON.stringify(name)}`,
+      });
+    } else if (seen.has(name)) {
+      errors.push({
+        path: segments,
+        message: `must be unique, another account is already named ${JSON.stringify(name)}`,
+      });
+    }
+    seen.add(name);
+  });
+}
+
+/**
+ * Validates a parsed config against CONFIG_SCHEMA. Returns a list of
+ * { path, line, message } errors, empty if the config is valid. Retired keys come back with
+ * deprecated: true and don't make the config invalid.
+ */
+function validateConfig(config, text = '') {
+  const errors = [];
+  if (typeOf(config) !== 'object') {
+    return [{ path: '', line: null, message: 'config must be a YAML mapping' }];
+  }
+  validateObject(config, CONFIG_SCHEMA, [], errors);
+  if (Array.isArray(config.accounts)) {
+    validateAccountNames(config.accounts, errors);
+  }
+  return errors.map((error) => ({
+    path: formatPath(error.path),
+    line: findLine(text, error.path),
+    message: error.message,
+    ...(error.deprecated && { deprecated: true }),
+  }));
+}
+
+module.exports = { validateConfig };
@@ -0,0 +1,321 @@
+const config = require('./config');
+const { readJournal } = require('./actionJournal');
+const { JsonlLog } = require('./jsonlLog');
+const { recordSenderCorrection } = require('./senderHistory');
+const { logger } = require('./logger');
+
+const DEFAULT_LOOKBACK_DAYS = 14;
+const DEFAULT_CHECK_INTERVAL = 3600; // seconds
+const DEFAULT_MAX_EXAMPLES = 5;
+
+const SEARCH_CHUNK_SIZE = 50;
+
+const correctionLog = new JsonlLog(
+  () => config.settings.correctionsFilePath || 'corrections.jsonl',
+  { description: 'correction' }
+);
+const lastChecked = new Map();
+// Per account, where each moved email was last found unchanged: Message-ID -> folder and UID
+const confirmedUnchanged = new Map();
+
+function getDomain(address) {
+  return (address || '').split('@').pop();
+}
+
+// Latest move clearmail made for each message of the account within the lookback window,
+// minus anything already undone or already recorded as a correction
+function buildMoveTargets(entries, account, known) {
+  const lookbackDays = config.settings.correctionLookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+  const since = Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
+  const undone = new Set(
+    entries
+      .filter((entry) => entry.type === 'undo')
+      .map((entry) => `${entry.undoneRunId}:${entry.messageId}`)
+  );
+
+  const targets = new Map();
+  for (const entry of entries) {
+    if (entry.type !== 'move' || !entry.messageId) {
+      continue;
+    }
+    if ((entry.account || 'default') !== account.name || Date.parse(entry.timestamp) < since) {
+      continue;
+    }
+    if (undone.has(`${entry.runId}:${entry.messageId}`) || known.has(entry.messageId)) {
+      continue;
+    }
+    targets.set(entry.messageId, entry);
+  }
+  return Array.from(targets.values());
+}
+
+/**
+ * Which of the messages are in the folder, by Message-ID, with their UID and flags. Messages
+ * seen there unchanged before are fetched by UID, the rest are looked up with one OR'd
+ * Message-ID search per chunk instead of a search each.
+ */
+async function findMessages(client, folder, messageIds, seen) {
+  const found = new Map();
+  const lock = await client.getMailboxLock(folder);
+  try {
+    const uidValidity = String(client.mailbox.uidValidity);
+    const byUid = new Map();
+    for (const messageId of messageIds) {
+      const last = seen.get(messageId);
+      if (last && last.folder === folder && last.uidValidity === uidValidity) {
+        byUid.set(last.uid, messageId);
+      }
+    }
+    if (byUid.size > 0) {
+      const uids = Array.from(byUid.keys()).join(',');
+      for await (const message of client.fetch(uids, { flags: true }, { uid: true })) {
+        found.set(byUid.get(message.uid), { uid: message.uid, flags: message.flags });
+      }
+    }
+
+    // A message no longer at its known UID was moved away, it can't be elsewhere in this folder
+    const known = new Set(byUid.values());
+    const rest = messageIds.filter((messageId) => !known.has(messageId));
+    for (let i = 0; i < rest.length; i += SEARCH_CHUNK_SIZE) {
+      const chunk = rest.slice(i, i + SEARCH_CHUNK_SIZE);
+      const queries = chunk.map((messageId) => ({ header: { 'message-id': messageId } }));
+      const uids = await client.search(queries.length === 1 ? queries[0] : { or: queries }, {
+        uid: true,
+      });
+      if (!uids || uids.length === 0) {
+        continue;
+      }
+      const query = { flags: true, envelope: true };
+      for await (const message of client.fetch(uids.join(','), query, { uid: true })) {
+        const messageId = message.envelope?.messageId;
+        if (chunk.includes(messageId)) {
+          found.set(messageId, { uid: message.uid, flags: message.flags });
+        }
+      }
+    }
+    return { found, uidValidity };
+  } finally {
+    lock.release();
+  }
+}
+
+// Gmail's All Mail holds every message, those in the INBOX too, so an archived email the user moved
+// back is still found where clearmail put it
+async function findAllMailFolders(client) {
+  try {
+    const folders = await client.list();
+    return new Set(
+      folders.filter((folder) => folder.specialUse === '\\All').map((folder) => folder.path)
+    );
+  } catch (error) {
+    logger.error('Failed to list folders for corrections:', { error: error.message });
+    return new Set();
+  }
+}
+
+function groupByFolder(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    groups.set(entry.destinationFolder, [...(groups.get(entry.destinationFolder) || []), entry]);
+  }
+  return groups;
+}
+
+/**
+ * Where are the messages now, compared to where clearmail put them? Returns the corrections by
+ * Message-ID. Messages still unstarred where they were put are remembered in `seen`, so the next
+ * check fetches them by UID.
+ */
+async function detectCorrections(client, account, entries, seen) {
+  const detected = new Map();
+  const allMailFolders = await findAllMailFolders(client);
+  let missing = [];
+  // Found unchanged in All Mail, which says nothing about whether they are in the INBOX as well
+  const inAllMail = [];
+
+  for (const [folder, folderEntries] of groupByFolder(entries)) {
+    let result;
+    try {
+      result = await findMessages(
+        client,
+        folder,
+        folderEntries.map((entry) => entry.messageId),
+        seen
+      );
+    } catch (error) {
+      // Not knowing where they are is not the same as them being gone
+      logger.error(`Failed to check ${folder} for corrections:`, { error: error.message });
+      continue;
+    }
+
+    for (const entry of folderEntries) {
+      const message = result.found.get(entry.messageId);
+      if (!message) {
+        seen.delete(entry.messageId);
+        missing.push(entry);
+      } else if (message.flags.has('\\Flagged')) {
+        detected.set(entry.messageId, {
+          kind: 'starred',
+          correctedJudgment: true,
+          correctedFolder: folder,
+        });
+      } else {
+        seen.set(entry.messageId, { folder, uid: message.uid, uidValidity: result.uidValidity });
+        if (allMailFolders.has(folder)) {
+          inAllMail.push(entry);
+        }
+      }
+    }
+  }
+
+  const candidates = [
+    { folder: 'INBOX', correction: { kind: 'moved_to_inbox', correctedJudgment: true } },
+    ...account.categoryFolderNames.map((folder) => ({
+      folder,
+      correction: { kind: 'recategorized', correctedJudgment: false, correctedCategory: folder },
+    })),
+  ];
+  for (const { folder, correction } of candidates) {
+    const wanted = [...missing, ...(folder === 'INBOX' ? inAllMail : [])].filter(
+      (entry) => entry.destinationFolder !== folder
+    );
+    if (wanted.length === 0) {
+      continue;
+    }
+    try {
+      const { found } = await findMessages(
+        client,
+        folder,
+        wanted.map((entry) => entry.messageId),
+        seen
+      );
+      for (const entry of wanted.filter((entry) => found.has(entry.messageId))) {
+        detected.set(entry.messageId, { ...correction, correctedFolder: folder });
+        seen.delete(entry.messageId);
+      }
+      missing = missing.filter((entry) => !detected.has(entry.messageId));
+    } catch (error) {
+      logger.error(`Failed to check ${folder} for corrections:`, { error: error.message });
+    }
+  }
+
+  // Whatever is still missing was deleted or archived, which doesn't tell us whether the
+  // decision was wrong
+  return detected;
+}
+
+/**
+ * Compares the journaled moves of one account with where those emails are now. An email the user
+ * dragged back to the INBOX, starred, or moved to another category folder is recorded as a
+ * correction. Checks run at most every correctionCheckInterval seconds per account.
+ */
+async function checkForCorrections(client, account, { force = false } = {}) {
+  if (!config.settings.learnFromCorrections) {
+    return [];
+  }
+
+  const interval = config.settings.correctionCheckInterval ?? DEFAULT_CHECK_INTERVAL;
+  const previous = lastChecked.get(account.name);
+  if (!force && previous && Date.now() - previous < interval * 1000) {
+    return [];
+  }
+  lastChecked.set(account.name, Date.now());
+
+  const known = new Set(
+    (await correctionLog.load())
+      .filter((correction) => correction.account === account.name)
+      .map((correction) => correction.messageId)
+  );
+  const targets = buildMoveTargets(await readJournal(), account, known);
+  logger.debug(`Checking ${targets.length} moved email(s) for corrections`, {
+    account: account.name,
+  });
+
+  // Emails that dropped out of the lookback window or were corrected are forgotten
+  const previousSeen = confirmedUnchanged.get(account.name) || new Map();
+  const seen = new Map(
+    targets
+      .filter((entry) => previousSeen.has(entry.messageId))
+      .map((entry) => [entry.messageId, previousSeen.get(entry.messageId)])
+  );
+  confirmedUnchanged.set(account.name, seen);
+  const detected = await detectCorrections(client, account, targets, seen);
+
+  const found = [];
+  for (const entry of targets) {
+    try {
+      const correction = detected.get(entry.messageId);
+      if (!correction) {
+        continue;
+      }
+
+      found.push(
+        await correctionLog.append({
+          account: account.name,
+          messageId: entry.messageId,
+          runId: entry.runId,
+          from: entry.from,
+          fromAddress: entry.fromAddress,
+          subject: entry.subject,
+          originalCategory: entry.category,
+          originalFolder: entry.destinationFolder,
+          ...correction,
+        })
+      );
+      // A corrected sender has to earn its history shortcut again
+      await recordSenderCorrection(account.name, entry.fromAddress);
+      logger.info(`Learned correction for email ${entry.messageId}`, {
+        account: account.name,
+        kind: correction.kind,
+        from: entry.fromAddress,
+        originalFolder: entry.destinationFolder,
+        correctedFolder: correction.correctedFolder,
+      });
+    } catch (error) {
+      logger.error(`Failed to check email ${entry.messageId} for corrections:`, {
+        error: error.message,
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * The corrections most relevant to an email from this sender: same address first, then same
+ * domain, then the most recent ones for the account.
+ */
+async function getCorrectionExamples(accountName, fromAddress) {
+  if (!config.settings.learnFromCorrections) {
+    return [];
+  }
+
+  const maxExamples = config.settings.maxCorrectionExamples ?? DEFAULT_MAX_EXAMPLES;
+  const address = (fromAddress || '').toLowerCase();
+  const domain = getDomain(address);
+
+  const relevance = (correction) => {
+    if (address && correction.fromAddress === address) {
+      return 2;
+    }
+    if (domain && getDomain(correction.fromAddress) === domain) {
+      return 1;
+    }
+    return 0;
+  };
+
+  return (await correctionLog.load())
+    .filter((correction) => (correction.account || 'default') === (accountName || 'default'))
+    .map((correction, index) => ({ correction, index, score: relevance(correction) }))
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .slice(0, maxExamples)
+    .map(({ correction }) => correction);
+}
+
+async function getCorrections(accountName) {
+  return (await correctionLog.load()).filter(
+    (correction) => !accountName || correction.account === accountName
+  );
+}
+
+module.exports = { checkForCorrections, getCorrectionExamples, getCorrections };
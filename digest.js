@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const config = require('./config');
+const { onConfigReload } = require('./configLoader');
+const { readJournal } = require('./actionJournal');
+const { JsonStore } = require('./jsonStore');
+const { getAccounts } = require('./accounts');
+const { runExclusive } = require('./runCoordinator');
+const { createProviderChain } = require('./llmProviders');
+const { extractEmailData } = require('./emailContent');
+const { createImapConnection, createSmtpTransport, getSenderAddress } = require('./utilities');
+const { logger } = require('./logger');
+
+const DEFAULT_TIME = '08:00';
+const DEFAULT_MAX_ENTRIES = 300;
+// The first digest of an account covers the day before it
+const FIRST_DIGEST_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+// Marks the digest itself, so processing never sorts it away
+const DIGEST_HEADER = 'X-Clearmail-Digest';
+// Message-IDs of the latest digests per account, the ones processing recognizes as its own
+const MAX_REMEMBERED_DIGESTS = 30;
+
+const SUMMARY_PROMPT = `Summarize the email below in one short line of at most 20 words, saying what it is about.
+Reply with the line only.`;
+
+let timer = null;
+
+function getSettings() {
+  return config.digest || {};
+}
+
+const store = new JsonStore(() => getSettings().stateFilePath || 'digestState.json', {
+  description: 'the digest state',
+});
+
+async function saveDigestState(accountName, lastDigestAt, messageId = null) {
+  await store.update((state) => {
+    const messageIds = state.accounts?.[accountName]?.messageIds || [];
+    if (messageId) {
+      messageIds.push(messageId);
+    }
+    state.accounts = {
+      ...state.accounts,
+      [accountName]: { lastDigestAt, messageIds: messageIds.slice(-MAX_REMEMBERED_DIGESTS) },
+    };
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Every email clearmail moved out of the inbox after `since` and up to `until` that hasn't been
+// undone. Moves journaled while the digest is built wait for the next one
+function collectEntries(journal, accountName, since, until) {
+  const undone = new Set(
+    journal
+      .filter((entry) => entry.type === 'undo')
+      .map((entry) => `${entry.undoneRunId}:${entry.messageId}`)
+  );
+  return journal.filter(
+    (entry) =>
+      entry.type === 'move' &&
+      (entry.account || 'default') === accountName &&
+      entry.timestamp > since &&
+      entry.timestamp <= until &&
+      !undone.has(`${entry.runId}:${entry.messageId}`)
+  );
+}
+
+function groupByCategory(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const category = entry.category || entry.destinationFolder || 'Other';
+    groups.set(category, [...(groups.get(category) || []), entry]);
+  }
+  return Array.from(groups.entries()).sort((a, b) => b[1].length - a[1].length);
+}
+
+// Gmail can open a message straight from its Message-ID, other providers get the ID to search for
+function getRescueLink(account, messageId) {
+  if (!messageId || !/gmail|googlemail/i.test(account.host || '')) {
+    return null;
+  }
+  const id = messageId.replace(/^<|>$/g, '');
+  return `https://mail.google.com/mail/u/0/#search/rfc822msgid%3A${encodeURIComponent(id)}`;
+}
+
+// One line per email from the model, when digest.summarize is on. Failures just leave it out
+async function summarizeEntries(account, entries) {
+  const providers = createProviderChain();
+  const client = createImapConnection(account);
+  const summaries = new Map();
+  try {
+    await client.connect();
+    for (const entry of entries) {
+      try {
+        const lock = await client.getMailboxLock(entry.destinationFolder);
+        let source;
+        try {
+          const uids = await client.search(
+            { header: { 'message-id': entry.messageId } },
+            { uid: true }
+          );
+          if (uids && uids.length > 0) {
+            source = (await client.fetchOne(uids[0], { source: true }, { uid: true }))?.source;
+          }
+        } finally {
+          lock.release();
+        }
+        if (!source) {
+          continue;
+        }
+
+        const emailData = await extractEmailData(source);
+        const { content } = await providers.complete([
+          { role: 'system', content: SUMMARY_PROMPT },
+          {
+            role: 'user',
+            content: `Subject: ${emailData.subject}\nFrom: ${emailData.from}\nBody: ${emailData.body}`,
+          },
+        ]);
+        summaries.set(entry.messageId, content.split('\n')[0].trim());
+      } catch (error) {
+        logger.warn(`Could not summarize email ${entry.messageId} for the digest`, {
+          error: error.message,
+        });
+      }
+    }
+  } finally {
+    await client.logout().catch(() => {});
+  }
+  return summaries;
+}
+
+function renderDigest(account, groups, summaries, omitted) {
+  const total = groups.reduce((sum, [, entries]) => sum + entries.length, 0);
+  const sections = groups.map(([category, entries]) => {
+    const rows = entries.map((entry) => {
+      const link = getRescueLink(account, entry.messageId);
+      const subject = link
+        ? `<a href="${escapeHtml(link)}">${escapeHtml(entry.subject || '(no subject)')}</a>`
+        : escapeHtml(entry.subject || '(no subject)');
+      const summary = summaries.get(entry.messageId);
+      return `<tr>
+  <td style="padding:4px 8px;vertical-align:top">${escapeHtml(entry.from)}</td>
+  <td style="padding:4px 8px;vertical-align:top">${subject}${
+    summary ? `<br><span style="color:#555">${escapeHtml(summary)}</span>` : ''
+  }<br><span style="color:#888;font-size:12px">${escapeHtml(entry.explanation)} &middot; ${escapeHtml(entry.messageId)}</span></td>
+</tr>`;
+    });
+    return `<h3>${escapeHtml(category)} (${entries.length})</h3>
+<table style="border-collapse:collapse;font-size:14px">
+${rows.join('\n')}
+</table>`;
+  });
+
+  const more = omitted > 0 ? `<p>And ${omitted} more, see the action journal.</p>` : '';
+  const html = `<html><body style="font-family:sans-serif">
+<p>clearmail filtered ${total + omitted} email(s) out of your inbox since the last digest. To rescue one, open it from the link or search for its Message-ID, and move it back to the inbox; clearmail learns from the correction.</p>
+${sections.join('\n')}
+${more}
+</body></html>`;
+
+  const text = groups
+    .map(
+      ([category, entries]) =>
+        `${category} (${entries.length})\n${entries
+          .map(
+            (entry) =>
+              `- ${entry.from}: ${entry.subject || '(no subject)'}\n  ${
+                summaries.get(entry.messageId) || entry.explanation
+              }\n  ${entry.messageId}`
+          )
+          .join('\n')}`
+    )
+    .join('\n\n');
+
+  return { html, text, total: total + omitted };
+}
+
+// Returns the digest's Message-ID
+async function deliverDigest(account, message) {
+  const settings = getSettings();
+  const address = getSenderAddress(account);
+  const mail = {
+    from: `clearmail <${address}>`,
+    to: address,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    messageId: `<${crypto.randomUUID()}@clearmail>`,
+    headers: { [DIGEST_HEADER]: 'yes' },
+  };
+
+  if (settings.delivery === 'smtp') {
+    await createSmtpTransport(account).sendMail(mail);
+    return mail.messageId;
+  }
+
+  // Placed straight into the inbox (or digest.folder) as an unread email
+  const raw = await new MailComposer(mail).compile().build();
+  const client = createImapConnection(account);
+  try {
+    await client.connect();
+    await client.append(settings.folder || 'INBOX', raw, [], new Date());
+  } finally {
+    await client.logout().catch(() => {});
+  }
+  return mail.messageId;
+}
+
+/**
+ * Builds and delivers the digest of everything clearmail moved for the account since the last
+ * digest, grouped by category. Nothing is sent when nothing was moved. Holds the account's run
+ * lock, so when several processes send it at digest.time only the first finds anything new.
+ */
+function sendDigest(account) {
+  return runExclusive(account, () => buildAndDeliverDigest(account));
+}
+
+async function buildAndDeliverDigest(account) {
+  const settings = getSettings();
+  const state = await store.read();
+  const since =
+    state.accounts?.[account.name]?.lastDigestAt ||
+    new Date(Date.now() - FIRST_DIGEST_LOOKBACK_MS).toISOString();
+  const until = new Date().toISOString();
+
+  const entries = collectEntries(await readJournal(), account.name, since, until);
+  if (entries.length === 0) {
+    logger.info(`Nothing filtered since the last digest for account ${account.name}`);
+    await saveDigestState(account.name, until);
+    return { account: account.name, sent: false, total: 0 };
+  }
+
+  const maxEntries = settings.maxEntries || DEFAULT_MAX_ENTRIES;
+  const listed = entries.slice(-maxEntries);
+  const summaries = settings.summarize ? await summarizeEntries(account, listed) : new Map();
+  const { html, text, total } = renderDigest(
+    account,
+    groupByCategory(listed),
+    summaries,
+    entries.length - listed.length
+  );
+
+  const subject = `clearmail digest: ${total} filtered email(s)`;
+  const messageId = await deliverDigest(account, { subject, html, text });
+  await saveDigestState(account.name, until, messageId);
+  logger.info(`Digest of ${total} email(s) delivered for account ${account.name}`, {
+    delivery: settings.delivery || 'append',
+  });
+  return { account: account.name, sent: true, total };
+}
+
+async function sendAllDigests() {
+  const results = [];
+  for (const account of getAccounts()) {
+    try {
+      results.push(await sendDigest(account));
+    } catch (error) {
+      logger.error(`Failed to send the digest for account ${account.name}:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      results.push({ account: account.name, sent: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+// Milliseconds until the next "HH:MM" in local time, or null when it isn't one
+function msUntil(time) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time).trim());
+  if (!match) {
+    return null;
+  }
+  const next = new Date();
+  next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  if (next <= new Date()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - Date.now();
+}
+
+function scheduleNextDigest() {
+  clearTimeout(timer);
+  timer = null;
+  if (!getSettings().enabled) {
+    return;
+  }
+
+  const time = getSettings().time || DEFAULT_TIME;
+  const delay = msUntil(time);
+  if (delay === null) {
+    logger.error(`Invalid digest.time "${time}", expected HH:MM. No digest will be sent`);
+    return;
+  }
+  timer = setTimeout(async () => {
+    await sendAllDigests();
+    scheduleNextDigest();
+  }, delay);
+  logger.info(`Next digest at ${time}`);
+}
+
+// Sends the digest every day at digest.time, following config reloads
+function startDigestSchedule() {
+  scheduleNextDigest();
+  onConfigReload((next, before) => {
+    if (JSON.stringify(next.digest) !== JSON.stringify(before.digest)) {
+      scheduleNextDigest();
+    }
+  });
+}
+
+// Anyone can send the header to get an email past sorting, so it only counts on a digest
+// clearmail delivered itself
+async function isDigest(account, emailData) {
+  if (!emailData.headers?.[DIGEST_HEADER.toLowerCase()] || !emailData.messageId) {
+    return false;
+  }
+  const state = await store.read();
+  return (state.accounts?.[account.name]?.messageIds || []).includes(emailData.messageId);
+}
+
+module.exports = { sendDigest, sendAllDigests, startDigestSchedule, isDigest };
@@ -0,0 +1,232 @@
+const { simpleParser } = require('mailparser');
+const { convert } = require('html-to-text');
+const config = require('./config');
+const { extractHeaders } = require('./filters');
+
+// HTML beyond this is not converted at all, a newsletter's text is never anywhere near it
+const MAX_HTML_LENGTH = 500000;
+const MAX_LINK_DOMAINS = 10;
+// Share of a truncated body taken from the start, the rest comes from the end
+const TRUNCATE_HEAD_RATIO = 0.7;
+
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'style', format: 'skip' },
+    { selector: 'script', format: 'skip' },
+    { selector: 'head', format: 'skip' },
+    // Quoted history as Gmail, Apple Mail and Outlook on the web mark it up
+    { selector: 'div.gmail_quote', format: 'skip' },
+    { selector: 'blockquote[type=cite]', format: 'skip' },
+    { selector: 'div#appendonsend', format: 'skip' },
+  ],
+};
+
+// Outlook starts a quoted reply and a forwarded message with the same header block
+const HEADER_BLOCK_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/im,
+  /^_{10,}\s*\n+From: /m,
+  /^From: .+\n(Sent|Date): .+\n(To|Subject): /m,
+];
+// The line that starts the quoted message in a reply, everything from it on is dropped
+const REPLY_HEADER_PATTERNS = [/^On .{1,200}(\n.{0,100})?wrote:\s*$/m, ...HEADER_BLOCK_PATTERNS];
+// Everything from these on is the forwarded message itself and is kept as it is
+const FORWARD_MARKER = /^(-{2,}\s*Forwarded message\s*-{2,}|Begin forwarded message:)\s*$/im;
+const FORWARD_SUBJECT = /^\s*fwd?\s*:/i;
+const SIGNATURE_DELIMITER = /^-- ?$/m;
+const MOBILE_SIGNATURE = /^Sent from my .{1,40}$|^Get Outlook for .{1,20}$/gim;
+// Preheader padding newsletters use to hide text in the inbox preview
+const INVISIBLE_CHARACTERS = /[\u200b-\u200f\u00ad\u2060\ufeff]|\u034f/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/gi;
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// "Links: shop.example.com (12), twitter.com (2)", most linked domains first
+function summarizeLinks(urls) {
+  const counts = new Map();
+  for (const domain of urls.map(getDomain).filter(Boolean)) {
+    counts.set(domain, (counts.get(domain) || 0) + 1);
+  }
+  if (counts.size === 0) {
+    return '';
+  }
+
+  const domains = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  const listed = domains
+    .slice(0, MAX_LINK_DOMAINS)
+    .map(([domain, count]) => (count > 1 ? `${domain} (${count})` : domain));
+  const more =
+    domains.length > MAX_LINK_DOMAINS ? `, ${domains.length - MAX_LINK_DOMAINS} more` : '';
+  return `Links: ${listed.join(', ')}${more}`;
+}
+
+function htmlToText(html) {
+  const limited = html.length > MAX_HTML_LENGTH ? html.substring(0, MAX_HTML_LENGTH) : html;
+  const urls = Array.from(limited.matchAll(/href\s*=\s*["']?(https?:\/\/[^"'\s>]+)/gi)).map(
+    (match) => match[1]
+  );
+  return { text: convert(limited, HTML_TO_TEXT_OPTIONS), urls };
+}
+
+// Where the forwarded message starts, or -1. For a Fwd: subject without a marker line, Outlook's
+// header block is the start of the forwarded message rather than of a quoted reply
+function findForwardStart(text, subject) {
+  const marker = FORWARD_MARKER.exec(text);
+  if (marker) {
+    return marker.index;
+  }
+  if (!FORWARD_SUBJECT.test(subject || '')) {
+    return -1;
+  }
+  const blocks = HEADER_BLOCK_PATTERNS.map((pattern) => pattern.exec(text))
+    .filter(Boolean)
+    .map((match) => match.index);
+  return blocks.length > 0 ? Math.min(...blocks) : -1;
+}
+
+/**
+ * Drops the quoted message below a reply and any remaining "> " quoted lines, then the
+ * signature. Nothing is dropped when it would leave the body empty, e.g. for a bare forward.
+ * A forwarded message is kept whole, only the text written above it is stripped.
+ */
+function stripQuotedText(text, subject = '') {
+  const forwardStart = findForwardStart(text, subject);
+  let stripped = forwardStart === -1 ? text : text.substring(0, forwardStart);
+  const forwarded = forwardStart === -1 ? '' : text.substring(forwardStart);
+  let removedHistory = '';
+
+  const replyStarts = REPLY_HEADER_PATTERNS.map((pattern) => pattern.exec(stripped))
+    .filter((match) => match && stripped.substring(0, match.index).trim())
+    .map((match) => match.index);
+  if (replyStarts.length > 0) {
+    stripped = stripped.substring(0, Math.min(...replyStarts));
+    removedHistory = '\n[earlier messages removed]';
+  }
+
+  stripped = stripped.replace(/(^>.*(\n|$))+/gm, '[quoted text removed]\n');
+
+  const signature = SIGNATURE_DELIMITER.exec(stripped);
+  if (signature && stripped.substring(0, signature.index).trim()) {
+    stripped = stripped.substring(0, signature.index);
+  }
+  stripped = `${stripped.replace(MOBILE_SIGNATURE, '').trimEnd()}${removedHistory}`;
+  return forwarded ? `${stripped}\n\n${forwarded}`.trim() : stripped;
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Keeps the start and the end of a long body, where greetings, asks and unsubscribe footers are
+function truncateMiddle(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const longestMarker = `\n[... ${text.length} characters omitted ...]\n`;
+  const available = Math.max(0, maxChars - longestMarker.length);
+  const marker = `\n[... ${text.length - available} characters omitted ...]\n`;
+  const head = Math.ceil(available * TRUNCATE_HEAD_RATIO);
+  const tail = available - head;
+  return `${text.substring(0, head)}${marker}${tail > 0 ? text.substring(text.length - tail) : ''}`;
+}
+
+/**
+ * The body as the model sees it: plain text (converted from HTML when there is no text part),
+ * without quoted history, signatures or raw URLs, followed by a summary of the linked domains,
+ * all within maxChars.
+ */
+function buildBody(email, maxChars) {
+  let text = email.text || '';
+  let urls = [];
+  if (!text.trim() && email.html) {
+    ({ text, urls } = htmlToText(email.html));
+  }
+
+  urls = urls.concat(text.match(URL_PATTERN) || []);
+  // A bare link says little beyond where it goes, keep only the domain
+  text = text.replace(URL_PATTERN, (url) => `[${getDomain(url) || 'link'}]`);
+  text = normalizeWhitespace(stripQuotedText(text, email.subject));
+
+  const links = summarizeLinks(urls);
+  if (!links) {
+    return truncateMiddle(text, maxChars);
+  }
+  const body = truncateMiddle(text, Math.max(0, maxChars - links.length - 2));
+  return `${body}\n\n${links}`.trim();
+}
+
+// Lowercase addresses of an address header, which mailparser gives as one object or a list
+function getAddresses(field) {
+  return (Array.isArray(field) ? field : [field])
+    .flatMap((entry) => entry?.value || [])
+    .map((recipient) => (recipient.address || '').toLowerCase())
+    .filter(Boolean);
+}
+
+function getTopmostHeader(headerLines = [], key) {
+  const header = headerLines.find((headerLine) => headerLine.key === key);
+  if (!header) {
+    return null;
+  }
+  return header.line
+    .substring(header.line.indexOf(':') + 1)
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parses a raw message into the fields filters and the model look at. Shared by processEmails and
+ * the offline evaluation so both see exactly the same input.
+ */
+async function extractEmailData(source, flags = [], appConfig = config) {
+  // Parse email content with size limits
+  const email = await simpleParser(source, {
+    skipHtmlToText: true, // HTML is converted by buildBody, only when there is no text part
+    skipImageLinks: true, // Skip image link processing
+    skipTextToHtml: true, // Skip text to HTML conversion
+    skipTextLinks: true, // Skip text link processing
+  });
+
+  // Extract only needed fields and clean up
+  const emailData = {
+    messageId: email.messageId,
+    subject: email.subject,
+    from: email.from?.text || '',
+    fromAddress: email.from?.value?.[0]?.address?.toLowerCase(),
+    date: email.date,
+    inReplyTo: email.inReplyTo,
+    references: [].concat(email.references || []),
+    to: getAddresses(email.to),
+    cc: getAddresses(email.cc),
+    bcc: getAddresses(email.bcc),
+    recipients: [email.to, email.cc, email.bcc].flatMap(getAddresses),
+    headers: extractHeaders(email.headerLines),
+    // Only the topmost one was added by our own server, lower ones could be forged by the sender
+    authenticationResults: getTopmostHeader(email.headerLines, 'authentication-results'),
+    flags,
+    body: buildBody(email, appConfig.settings.maxEmailChars || 2500),
+  };
+
+  // Clear references to full email object
+  email.attachments = [];
+  email.html = null;
+  email.textAsHtml = null;
+  email.text = null;
+
+  return emailData;
+}
+
+module.exports = { extractEmailData };
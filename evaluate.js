@@ -0,0 +1,243 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { EmailAnalyzer } = require('./analyzeEmail');
+const { loadConfigFile } = require('./configLoader');
+const { extractEmailData } = require('./emailContent');
+const { getHeaderSignals } = require('./headerSignals');
+const { logger } = require('./logger');
+const { ResponseCache } = require('./responseCache');
+
+// Usage: node evaluate.js --emails <dir of .eml files> --labels <labels.json>
+//          [--config config.yml] [--compare other-config.yml] [--output report.json]
+//
+// labels.json maps each file name to what should happen to it:
+//   { "invoice.eml": { "keep": true }, "promo.eml": { "keep": false, "category": "Auto/Marketing" } }
+function parseArgs(argv) {
+  const args = {};
+  let baseline = './config.yml';
+  let compare = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--emails') {
+      args.emailsDir = argv[++i];
+    } else if (argv[i] === '--labels') {
+      args.labelsFile = argv[++i];
+    } else if (argv[i] === '--config') {
+      baseline = argv[++i];
+    } else if (argv[i] === '--compare') {
+      compare = argv[++i];
+    } else if (argv[i] === '--output') {
+      args.outputFile = argv[++i];
+    }
+  }
+  // The baseline always comes first, --compare on its own is compared against ./config.yml
+  args.configs = compare ? [baseline, compare] : [baseline];
+  return args;
+}
+
+async function loadCorpus(emailsDir, labelsFile) {
+  const labels = JSON.parse(await fs.readFile(labelsFile, 'utf8'));
+  const files = (await fs.readdir(emailsDir)).filter((file) => file.endsWith('.eml')).sort();
+
+  const unlabeled = files.filter((file) => !labels[file]);
+  if (unlabeled.length > 0) {
+    logger.warn(`Skipping ${unlabeled.length} .eml file(s) without a label`, {
+      files: unlabeled.slice(0, 10),
+    });
+  }
+
+  return Promise.all(
+    files
+      .filter((file) => labels[file])
+      .map(async (file) => ({
+        file,
+        label: labels[file],
+        source: await fs.readFile(path.join(emailsDir, file)),
+      }))
+  );
+}
+
+// "Keep" for kept emails, otherwise the category (or just "Reject" if the label has none)
+function outcome(keep, category) {
+  if (keep === 'unknown') {
+    return 'Unknown';
+  }
+  return keep ? 'Keep' : category || 'Reject';
+}
+
+function isCorrect(label, analysis) {
+  if (analysis.judgment !== label.keep) {
+    return false;
+  }
+  return label.keep || !label.category || analysis.category === label.category;
+}
+
+async function evaluateConfig(configPath, corpus) {
+  const appConfig = loadConfigFile(path.resolve(configPath));
+  // Every config is asked afresh, cached answers from live runs or earlier evaluations would skew
+  // the numbers (and an evaluation's answers have no place in the live cache either)
+  const analyzer = new EmailAnalyzer(appConfig, { cache: new ResponseCache({ enabled: false }) });
+  const account = {
+    name: 'evaluation',
+    categoryFolderNames: appConfig.categoryFolderNames,
+    rules: appConfig.rules,
+  };
+
+  logger.info(`Evaluating ${corpus.length} email(s) with ${configPath}`);
+  const results = [];
+  for (const { file, label, source } of corpus) {
+    const emailData = await extractEmailData(source, [], appConfig);
+    const analysis = await analyzer.analyze(
+      emailData.subject,
+      emailData.from,
+      emailData.body,
+      emailData.date,
+      account,
+      { signals: getHeaderSignals(emailData, account) }
+    );
+    results.push({
+      file,
+      subject: emailData.subject,
+      from: emailData.from,
+      expected: outcome(label.keep, label.category),
+      predicted: outcome(analysis.judgment, label.category ? analysis.category : null),
+      correct: isCorrect(label, analysis),
+      judgmentCorrect: analysis.judgment === label.keep,
+      confidence: analysis.confidence,
+      explanation: analysis.explanation,
+    });
+  }
+
+  return summarize(configPath, results);
+}
+
+function summarize(configPath, results) {
+  const confusion = {};
+  for (const result of results) {
+    confusion[result.expected] = confusion[result.expected] || {};
+    confusion[result.expected][result.predicted] =
+      (confusion[result.expected][result.predicted] || 0) + 1;
+  }
+
+  const count = (predicate) => results.filter(predicate).length;
+  return {
+    config: configPath,
+    total: results.length,
+    accuracy: results.length ? count((result) => result.correct) / results.length : 0,
+    judgmentAccuracy: results.length
+      ? count((result) => result.judgmentCorrect) / results.length
+      : 0,
+    confusion,
+    misclassified: results.filter((result) => !result.correct),
+    results,
+  };
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => String(row[column]).length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => String(cell).padEnd(widths[column]))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
+
+function formatConfusion(report) {
+  const labels = Array.from(
+    new Set([
+      ...Object.keys(report.confusion),
+      ...Object.values(report.confusion).flatMap((row) => Object.keys(row)),
+    ])
+  ).sort();
+  const rows = [['expected \\ predicted', ...labels]];
+  for (const expected of labels.filter((label) => report.confusion[label])) {
+    rows.push([expected, ...labels.map((predicted) => report.confusion[expected][predicted] || 0)]);
+  }
+  return formatTable(rows);
+}
+
+function formatReport(report) {
+  const lines = [
+    `== ${report.config}`,
+    `Accuracy: ${percent(report.accuracy)} (keep/reject only: ${percent(report.judgmentAccuracy)}) over ${report.total} email(s)`,
+    '',
+    formatConfusion(report),
+    '',
+    `Misclassified (${report.misclassified.length}):`,
+    ...report.misclassified.map(
+      (result) =>
+        `- ${result.file}: expected ${result.expected}, got ${result.predicted}\n` +
+        `  ${result.from} | ${result.subject}\n` +
+        `  ${result.explanation}`
+    ),
+  ];
+  return lines.join('\n');
+}
+
+// Side by side: overall numbers plus every email the two configs disagree on
+function formatComparison([baseline, candidate]) {
+  const rows = [
+    ['', baseline.config, candidate.config],
+    ['accuracy', percent(baseline.accuracy), percent(candidate.accuracy)],
+    ['keep/reject', percent(baseline.judgmentAccuracy), percent(candidate.judgmentAccuracy)],
+    ['misclassified', baseline.misclassified.length, candidate.misclassified.length],
+  ];
+
+  const changed = baseline.results
+    .map((result, index) => [result, candidate.results[index]])
+    .filter(([a, b]) => a.predicted !== b.predicted);
+  const fixed = changed.filter(([a, b]) => !a.correct && b.correct).length;
+  const broken = changed.filter(([a, b]) => a.correct && !b.correct).length;
+
+  return [
+    '== Comparison',
+    formatTable(rows),
+    '',
+    `${changed.length} email(s) changed: ${fixed} fixed, ${broken} broken`,
+    ...changed.map(
+      ([a, b]) =>
+        `- ${a.file}: expected ${a.expected}, ${a.predicted} -> ${b.predicted}${b.correct ? ' (fixed)' : a.correct ? ' (broken)' : ''}`
+    ),
+  ].join('\n');
+}
+
+async function main() {
+  const { emailsDir, labelsFile, configs, outputFile } = parseArgs(process.argv.slice(2));
+  if (!emailsDir || !labelsFile) {
+    logger.error(
+      'Usage: node evaluate.js --emails <dir> --labels <labels.json> [--config <config.yml>] [--compare <other.yml>] [--output <report.json>]'
+    );
+    process.exit(1);
+  }
+
+  const corpus = await loadCorpus(emailsDir, labelsFile);
+  const reports = [];
+  for (const configPath of configs) {
+    reports.push(await evaluateConfig(configPath, corpus));
+  }
+
+  const output = reports.map(formatReport);
+  if (reports.length === 2) {
+    output.push(formatComparison(reports));
+  }
+  process.stdout.write(`\n${output.join('\n\n')}\n`);
+
+  if (outputFile) {
+    await fs.writeFile(outputFile, JSON.stringify(reports, null, 2), 'utf8');
+    logger.info(`Report written to ${outputFile}`);
+  }
+}
+
+main().catch((error) => {
+  logger.error('Evaluation failed:', error);
+  process.exit(1);
+});
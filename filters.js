@@ -0,0 +1,166 @@
+const config = require('./config');
+const { logger } = require('./logger');
+
+const regexCache = new Map();
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function compileRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    try {
+      regexCache.set(pattern, new RegExp(pattern, 'i'));
+    } catch (error) {
+      logger.error(`Invalid filter regex "${pattern}": ${error.message}`);
+      regexCache.set(pattern, null);
+    }
+  }
+  return regexCache.get(pattern);
+}
+
+function matchesRegex(pattern, value) {
+  const regex = compileRegex(String(pattern));
+  return Boolean(regex) && regex.test(value || '');
+}
+
+// An entry like "github.com" or "@github.com" matches the whole domain (and its subdomains),
+// anything with a local part must match the address exactly
+function matchesAddress(entry, address) {
+  const wanted = String(entry).trim().toLowerCase();
+  const actual = (address || '').toLowerCase();
+  if (!actual) {
+    return false;
+  }
+  if (wanted.includes('@') && !wanted.startsWith('@')) {
+    return actual === wanted;
+  }
+  const domain = wanted.replace(/^@/, '');
+  const actualDomain = actual.split('@').pop();
+  return actualDomain === domain || actualDomain.endsWith(`.${domain}`);
+}
+
+function matchesAnyAddress(entries, addresses) {
+  return toList(entries).some((entry) =>
+    addresses.some((address) => matchesAddress(entry, address))
+  );
+}
+
+// Every condition present on the rule has to match
+function matchesRule(rule, emailData) {
+  const conditions = ['from', 'to', 'subject', 'headers', 'signals'].filter(
+    (key) => rule[key] !== undefined
+  );
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  if (rule.from !== undefined && !matchesAnyAddress(rule.from, [emailData.fromAddress])) {
+    return false;
+  }
+  if (rule.to !== undefined && !matchesAnyAddress(rule.to, emailData.recipients || [])) {
+    return false;
+  }
+  if (rule.subject !== undefined && !matchesRegex(rule.subject, emailData.subject)) {
+    return false;
+  }
+  if (rule.headers !== undefined) {
+    const headers = emailData.headers || {};
+    for (const [name, pattern] of Object.entries(rule.headers)) {
+      const value = headers[name.toLowerCase()];
+      if (value === undefined || !matchesRegex(pattern, value)) {
+        return false;
+      }
+    }
+  }
+  // Header signals (see headerSignals.js) must equal the given value, or one of a list of values
+  if (rule.signals !== undefined) {
+    const signals = emailData.signals || {};
+    for (const [name, expected] of Object.entries(rule.signals)) {
+      const actual = String(signals[name]).toLowerCase();
+      if (!toList(expected).some((value) => String(value).toLowerCase() === actual)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function buildAnalysis(judgment, category, explanation, account) {
+  return {
+    judgment,
+    category: judgment
+      ? ''
+      : category || account?.rejectedFolderName || config.settings.rejectedFolderName,
+    explanation,
+    source: 'filter',
+  };
+}
+
+/**
+ * Check an email against the deterministic filters in config.yml before any model is asked.
+ * Returns an analysis when a filter decides the email, or null when it should go to the model.
+ * alwaysKeep wins over alwaysReject, and both win over the ordered rules.
+ */
+function applyFilters(emailData, account) {
+  const filters = account ? account.filters : config.filters;
+  if (!filters) {
+    return null;
+  }
+
+  const sender = [emailData.fromAddress];
+
+  if (matchesAnyAddress(filters.alwaysKeep, sender)) {
+    return buildAnalysis(
+      true,
+      '',
+      `Sender ${emailData.fromAddress} is on the always-keep list`,
+      account
+    );
+  }
+
+  if (matchesAnyAddress(filters.alwaysReject, sender)) {
+    return buildAnalysis(
+      false,
+      filters.alwaysRejectCategory,
+      `Sender ${emailData.fromAddress} is on the always-reject list`,
+      account
+    );
+  }
+
+  for (const rule of toList(filters.rules)) {
+    if (!matchesRule(rule, emailData)) {
+      continue;
+    }
+    const name = rule.name || 'unnamed filter';
+    // A rule that only names a category is a reject into that category
+    const action = rule.action || (rule.category ? 'reject' : undefined);
+    if (action === 'keep') {
+      return buildAnalysis(true, '', `Matched filter "${name}"`, account);
+    }
+    if (action === 'reject') {
+      return buildAnalysis(false, rule.category, `Matched filter "${name}"`, account);
+    }
+    logger.warn(`Filter "${name}" has no valid action (expected keep or reject), ignoring it`);
+  }
+
+  return null;
+}
+
+// Flatten raw header lines into a lowercase name -> value lookup for the filters
+function extractHeaders(headerLines = []) {
+  const headers = {};
+  for (const { key, line } of headerLines) {
+    const value = line
+      .substring(line.indexOf(':') + 1)
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .trim();
+    headers[key] = headers[key] ? `${headers[key]}, ${value}` : value;
+  }
+  return headers;
+}
+
+module.exports = { applyFilters, extractHeaders, matchesAnyAddress };
@@ -0,0 +1,72 @@
+const config = require('./config');
+
+const BULK_PRECEDENCE = ['bulk', 'list', 'junk'];
+const AUTH_METHODS = ['spf', 'dkim', 'dmarc'];
+
+// The account's own login plus settings.myEmail, unless it is still the placeholder
+function getMyAddresses(account) {
+  return [account?.auth?.user, config.settings.myEmail]
+    .filter((address) => address && address.includes('@') && !address.startsWith('<'))
+    .map((address) => address.toLowerCase());
+}
+
+/**
+ * SPF, DKIM and DMARC results from the topmost Authentication-Results header, the one added by
+ * our own mail server. A method passes when any of its results passes (one of several DKIM
+ * signatures is enough), otherwise it takes the first result given, or 'none'.
+ */
+function parseAuthenticationResults(header) {
+  const results = {};
+  for (const method of AUTH_METHODS) {
+    const values = Array.from((header || '').matchAll(new RegExp(`\\b${method}=(\\w+)`, 'gi'))).map(
+      (match) => match[1].toLowerCase()
+    );
+    results[method] = values.includes('pass') ? 'pass' : values[0] || 'none';
+  }
+  return results;
+}
+
+// Failing DMARC or DKIM, or failing SPF without a passing DKIM signature, suggests a forged sender
+function isAuthenticationFailed({ spf, dkim, dmarc }) {
+  return dmarc === 'fail' || dkim === 'fail' || (spf === 'fail' && dkim !== 'pass');
+}
+
+function getAddressedTo(emailData, account) {
+  const mine = getMyAddresses(account);
+  if (mine.length === 0) {
+    return null;
+  }
+  for (const field of ['to', 'cc', 'bcc']) {
+    if ((emailData[field] || []).some((address) => mine.includes(address))) {
+      return field;
+    }
+  }
+  return 'none';
+}
+
+/**
+ * What the headers say about an email: whether it came from a mailing list or bulk sender, was
+ * sent automatically, passed sender authentication and which recipient field holds our address.
+ * Shown to the model and usable as conditions in filters.rules.
+ */
+function getHeaderSignals(emailData, account) {
+  const headers = emailData.headers || {};
+  const precedence = (headers.precedence || '').trim().toLowerCase() || null;
+  const autoSubmitted = (headers['auto-submitted'] || '').trim().toLowerCase();
+  const authentication = parseAuthenticationResults(emailData.authenticationResults);
+
+  return {
+    listId: headers['list-id'] || null,
+    listUnsubscribe: Boolean(headers['list-unsubscribe']),
+    precedence,
+    autoSubmitted: autoSubmitted && autoSubmitted !== 'no' ? autoSubmitted : null,
+    bulk: Boolean(
+      headers['list-id'] || headers['list-unsubscribe'] || BULK_PRECEDENCE.includes(precedence)
+    ),
+    ...authentication,
+    authenticationFailed: isAuthenticationFailed(authentication),
+    addressedTo: getAddressedTo(emailData, account),
+  };
+}
+
+module.exports = { getHeaderSignals };
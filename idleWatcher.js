@@ -0,0 +1,206 @@
+const config = require('./config');
+const { processEmails } = require('./processEmails');
+const { createImapConnection } = require('./utilities');
+const { logger } = require('./logger');
+
+const RECONNECT_MIN_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+const EXISTS_DEBOUNCE_MS = 1000; // Let a burst of new mail land before fetching it
+
+/**
+ * Keeps one IMAP connection per account open and processes mail as soon as the server reports
+ * it via IDLE, instead of reconnecting every refreshInterval. Falls back to polling when the
+ * server doesn't support IDLE.
+ */
+class IdleWatcher {
+  constructor(account, options = {}) {
+    this.account = account;
+    this.dryRun = options.dryRun;
+    this.client = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.checkTimer = null;
+    this.pollTimer = null;
+    this.checking = false;
+    this.checkPending = false;
+    this.stopped = false;
+  }
+
+  async start() {
+    logger.info(`Starting IDLE watcher for account ${this.account.name}`);
+    await this.connect();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.checkTimer);
+    clearTimeout(this.pollTimer);
+    if (this.client) {
+      await this.client.logout().catch(() => {});
+    }
+  }
+
+  async connect() {
+    if (this.stopped) {
+      return;
+    }
+
+    const client = createImapConnection(this.account);
+    this.client = client;
+
+    client.on('exists', (data) => this.onExists(data));
+    client.on('close', () => this.onClose(client));
+    client.on('error', (error) => {
+      logger.error(`IMAP connection error for account ${this.account.name}:`, {
+        error: error.message,
+      });
+    });
+
+    try {
+      await client.connect();
+
+      if (!client.capabilities.has('IDLE')) {
+        logger.warn(
+          `Server for account ${this.account.name} does not support IDLE, polling every ${config.settings.refreshInterval} seconds instead`
+        );
+        this.client = null;
+        await client.logout().catch(() => {});
+        this.poll();
+        return;
+      }
+
+      await client.mailboxOpen('INBOX');
+      this.reconnectAttempts = 0;
+      logger.info(`IDLE connection ready for account ${this.account.name}`);
+
+      // Catch up on anything that arrived while we were disconnected
+      await this.runExclusive(async () => {
+        const results = await processEmails(null, {
+          account: this.account,
+          client,
+          dryRun: this.dryRun,
+        });
+        logger.info('Catch-up processing completed', { account: this.account.name, results });
+      });
+    } catch (error) {
+      logger.error(`Failed to set up IDLE for account ${this.account.name}:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      this.scheduleReconnect();
+    }
+  }
+
+  onExists(data) {
+    if (data.path !== 'INBOX' || data.count <= data.prevCount) {
+      return;
+    }
+    logger.debug(`New mail reported for account ${this.account.name}`, {
+      count: data.count,
+      prevCount: data.prevCount,
+    });
+
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.checkForNewMail(), EXISTS_DEBOUNCE_MS);
+  }
+
+  // Serializes catch-up runs and new mail checks on the shared connection
+  async runExclusive(task) {
+    if (this.checking) {
+      this.checkPending = true;
+      return;
+    }
+
+    this.checking = true;
+    try {
+      await task();
+    } finally {
+      this.checking = false;
+      if (this.checkPending && !this.stopped) {
+        this.checkPending = false;
+        this.checkForNewMail();
+      }
+    }
+  }
+
+  async checkForNewMail() {
+    await this.runExclusive(async () => {
+      const client = this.client;
+      if (!client || !client.usable) {
+        return;
+      }
+
+      try {
+        // The checkpoint limits the fetch to UIDs after the last processed one
+        const results = await processEmails(null, {
+          account: this.account,
+          client,
+          skipFolderVerification: true,
+          dryRun: this.dryRun,
+          coalesce: true,
+        });
+        logger.info('Email processing completed', { account: this.account.name, results });
+      } catch (error) {
+        logger.error(`Failed to process new mail for account ${this.account.name}:`, {
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    });
+  }
+
+  onClose(client) {
+    if (client !== this.client || this.stopped) {
+      return;
+    }
+    logger.warn(`IDLE connection closed for account ${this.account.name}`);
+    this.client = null;
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.stopped) {
+      return;
+    }
+
+    // Exponential backoff with jitter, capped so a long outage still retries every few minutes
+    const delay =
+      Math.min(
+        RECONNECT_MIN_DELAY_MS * Math.pow(2, this.reconnectAttempts),
+        RECONNECT_MAX_DELAY_MS
+      ) +
+      Math.random() * RECONNECT_MIN_DELAY_MS;
+    this.reconnectAttempts++;
+
+    logger.info(`Reconnecting account ${this.account.name} in ${Math.round(delay)}ms...`, {
+      attempt: this.reconnectAttempts,
+    });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  async poll() {
+    if (this.stopped) {
+      return;
+    }
+
+    try {
+      const results = await processEmails(null, {
+        account: this.account,
+        dryRun: this.dryRun,
+      });
+      logger.info('Email processing completed', { account: this.account.name, results });
+    } catch (error) {
+      logger.error(`Failed to process emails for account ${this.account.name}:`, error);
+    } finally {
+      if (!this.stopped) {
+        this.pollTimer = setTimeout(() => this.poll(), config.settings.refreshInterval * 1000);
+      }
+    }
+  }
+}
+
+module.exports = { IdleWatcher };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { processAllAccounts } = require('./processEmails');
+const { logger } = require('./logger');
+
+const MAX_FINISHED_JOBS = 50;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Background processing runs started over HTTP. Jobs run one at a time in the order they were
+ * created, so a new request never overlaps a run that is already going; callers get a job ID
+ * back right away and poll it for progress instead of holding the request open.
+ */
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  createJob(params = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { found: 0, processed: 0, errors: 0, currentBatch: null, accounts: {} },
+      result: null,
+      error: null,
+      controller: new AbortController(),
+    };
+    this.jobs.set(job.id, job);
+
+    job.done = this.queue.then(() => this.run(job));
+    this.queue = job.done;
+    this.prune();
+
+    logger.info(`Job ${job.id} queued`, params);
+    return job;
+  }
+
+  async run(job) {
+    if (job.status === 'cancelled') {
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info(`Job ${job.id} started`);
+
+    try {
+      job.result = await processAllAccounts({
+        accountName: job.params.account,
+        timestamp: job.params.timestamp || null,
+        folder: job.params.folder,
+        limit: job.params.limit,
+        dryRun: job.params.dryRun,
+        signal: job.controller.signal,
+        onProgress: (accountName, progress) => this.updateProgress(job, accountName, progress),
+      });
+
+      if (job.controller.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        job.status = job.result.statusCode === 200 ? 'completed' : 'failed';
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Job ${job.id} failed:`, { error: error.message, stack: error.stack });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      logger.info(`Job ${job.id} ${job.status}`, { progress: this.describe(job).progress });
+    }
+  }
+
+  updateProgress(job, accountName, progress) {
+    job.progress.accounts[accountName] = progress;
+    const accounts = Object.values(job.progress.accounts);
+    job.progress.found = accounts.reduce((sum, account) => sum + account.found, 0);
+    job.progress.processed = accounts.reduce((sum, account) => sum + account.processed, 0);
+    job.progress.errors = accounts.reduce((sum, account) => sum + account.errors, 0);
+    job.progress.currentBatch = {
+      account: accountName,
+      batch: progress.batch,
+      totalBatches: progress.totalBatches,
+    };
+  }
+
+  // A queued job is dropped right away, a running one stops after its current batch
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job || null;
+    }
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    } else {
+      job.status = 'cancelling';
+    }
+    job.controller.abort();
+    logger.info(`Job ${id} cancellation requested`);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+
+  // Keep every unfinished job, but only the most recent finished ones
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter((job) =>
+      FINISHED_STATUSES.includes(job.status)
+    );
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // What the API returns for a job: everything except the internals
+  describe(job) {
+    const { id, status, params, createdAt, startedAt, finishedAt, progress, result, error } = job;
+    return { id, status, params, createdAt, startedAt, finishedAt, progress, result, error };
+  }
+}
+
+const jobManager = new JobManager();
+
+module.exports = { JobManager, jobManager };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+
+const LOCK_POLL_INTERVAL_MS = 50;
+// A step takes milliseconds, a lock this old was left by a process that died during one
+const STALE_LOCK_MS = 10000;
+
+/**
+ * A JSON file written atomically: the contents go to a temporary file first, which is then
+ * renamed over the original, so a crash can't leave it half-written. Writes are chained so
+ * concurrent runs (several accounts, IDLE watchers) never interleave, and each one holds a lock
+ * file next to the store so neither do those of other processes (pm2 cluster mode, cron).
+ */
+class JsonStore {
+  constructor(getFilePath, { description, empty = () => ({ accounts: {} }), indent = 2 }) {
+    this.getFilePath = getFilePath;
+    this.description = description;
+    this.empty = empty;
+    this.indent = indent;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // The stored contents, or empty ones when there is no file yet or it can't be read
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.getFilePath(), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading ${this.description}, starting from scratch:`, {
+          error: error.message,
+        });
+      }
+      return this.empty();
+    }
+  }
+
+  // Replaces the stored contents with data, serialized once the queued writes before it are done
+  write(data) {
+    return this.enqueue(() => this.writeFile(data));
+  }
+
+  // Reads, changes and writes the contents in one queued step. Resolves to what updater returns
+  update(updater) {
+    return this.enqueue(async () => {
+      const data = await this.read();
+      const result = updater(data);
+      await this.writeFile(data);
+      return result;
+    });
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(() => this.withFileLock(task));
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async withFileLock(task) {
+    const lockPath = `${this.getFilePath()}.lock`;
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      if (!(await this.removeStaleLock(lockPath))) {
+        await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL_MS));
+      }
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  // Like the run lock: the rename lets only one process take a stale lock, and puts back a lock
+  // that was taken over in the meantime
+  async removeStaleLock(lockPath) {
+    const stat = await fs.stat(lockPath).catch(() => null);
+    if (!stat || Date.now() - stat.mtimeMs <= STALE_LOCK_MS) {
+      return false;
+    }
+    const movedPath = `${lockPath}.${crypto.randomUUID()}.stale`;
+    try {
+      await fs.rename(lockPath, movedPath);
+    } catch (error) {
+      return false;
+    }
+    const moved = await fs.stat(movedPath).catch(() => null);
+    if (!moved || moved.mtimeMs !== stat.mtimeMs) {
+      await fs.link(movedPath, lockPath).catch(() => {});
+      await fs.rm(movedPath, { force: true });
+      return false;
+    }
+    await fs.rm(movedPath, { force: true });
+    logger.warn(`Removed stale lock of ${this.description}`);
+    return true;
+  }
+
+  async writeFile(data) {
+    const filePath = this.getFilePath();
+    // Unique per write, so that writers in other processes never share one
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, this.indent), 'utf8');
+      await fs.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+module.exports = { JsonStore };
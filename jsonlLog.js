@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+
+/**
+ * An append-only JSON Lines file: entries are never rewritten, each one gets a timestamp and is
+ * appended as one line. Cached logs are read once and kept in memory, an uncached one is read
+ * again on every load because other processes (e.g. the undo command) append to it too.
+ */
+class JsonlLog {
+  constructor(getFilePath, { description, cache = true }) {
+    this.getFilePath = getFilePath;
+    this.description = description;
+    this.cache = cache;
+    this.entries = null;
+  }
+
+  async load() {
+    if (this.cache && this.entries) {
+      return this.entries;
+    }
+
+    const entries = [];
+    let contents;
+    try {
+      contents = await fs.readFile(this.getFilePath(), 'utf8');
+    } catch (error) {
+      // Nothing written yet
+      contents = '';
+    }
+
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping malformed ${this.description} entry`, {
+          line: line.substring(0, 200),
+        });
+      }
+    }
+    if (this.cache) {
+      this.entries = entries;
+    }
+    return entries;
+  }
+
+  async append(entry) {
+    const stamped = { timestamp: new Date().toISOString(), ...entry };
+    if (this.cache) {
+      await this.load();
+    }
+    await fs.appendFile(this.getFilePath(), `${JSON.stringify(stamped)}\n`, 'utf8');
+    if (this.cache) {
+      this.entries.push(stamped);
+    }
+    return stamped;
+  }
+}
+
+module.exports = { JsonlLog };
@@ -0,0 +1,252 @@
+const axios = require('axios');
+const config = require('./config');
+const { executeOpenAIWithRetry } = require('./utilities');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULT_TEMPERATURE = 0.7;
+// Each one waits 61s. Alone a provider waits the limit out, in a chain the next one answers instead
+const DEFAULT_RATE_LIMIT_RETRIES = 10;
+
+/**
+ * Base class for chat completion providers. Each provider has its own model, timeout and
+ * concurrency limit; subclasses only implement request(messages), returning the raw text.
+ */
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name || options.type;
+    this.model = options.model;
+    this.timeout = options.timeout || 30000;
+    this.maxConcurrent = options.maxConcurrent || 3;
+    this.temperature = options.temperature ?? DEFAULT_TEMPERATURE;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async acquireSlot() {
+    while (this.active >= this.maxConcurrent) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    this.active++;
+  }
+
+  releaseSlot() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  async complete(messages) {
+    await this.acquireSlot();
+    const startTime = Date.now();
+    const labels = { provider: this.name, model: this.model };
+    try {
+      const content = await this.request(messages);
+      metrics.llmRequestDuration.observe(labels, (Date.now() - startTime) / 1000);
+      logger.debug(`${this.name} response received`, {
+        model: this.model,
+        duration: `${Date.now() - startTime}ms`,
+      });
+      return content;
+    } catch (error) {
+      metrics.llmFailures.inc(labels);
+      throw error;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async request(_messages) {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+}
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ timeout: 27500, ...options });
+    this.retries = options.retries ?? 3;
+    this.rateLimitRetries = options.rateLimitRetries ?? DEFAULT_RATE_LIMIT_RETRIES;
+    this.clientOptions = {};
+    if (options.apiKeyEnv) {
+      this.clientOptions.apiKey = process.env[options.apiKeyEnv];
+    }
+  }
+
+  async request(messages) {
+    const params = {
+      model: this.model,
+      temperature: this.temperature,
+      response_format: { type: 'json_object' },
+      messages,
+    };
+
+    // executeOpenAIWithRetry counts the first attempt too
+    return executeOpenAIWithRetry(
+      params,
+      this.retries + 1,
+      undefined,
+      this.rateLimitRetries,
+      this.timeout,
+      this.clientOptions
+    );
+  }
+}
+
+// LM Studio, Ollama, vLLM and anything else that speaks the chat completions API
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ timeout: 60000, ...options });
+    this.url = options.url || 'http://localhost:1234/v1/chat/completions';
+    this.apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : undefined;
+    // Left out unless set, so the server's own default applies
+    this.maxTokens = options.maxTokens;
+  }
+
+  async request(messages) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      this.url,
+      {
+        model: this.model,
+        messages,
+        temperature: this.temperature,
+        ...(this.maxTokens && { max_tokens: this.maxTokens }),
+        stream: false,
+      },
+      { headers, timeout: this.timeout }
+    );
+    return response.data.choices[0].message.content.trim();
+  }
+}
+
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ timeout: 30000, ...options });
+    this.url = options.url || 'https://api.anthropic.com/v1/messages';
+    this.apiKey = process.env[options.apiKeyEnv || 'ANTHROPIC_API_KEY'];
+    this.maxTokens = options.maxTokens || 1024;
+  }
+
+  async request(messages) {
+    // Anthropic takes the system prompt separately from the conversation
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n');
+    const conversation = messages.filter((message) => message.role !== 'system');
+
+    const response = await axios.post(
+      this.url,
+      {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        system,
+        messages: conversation,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        timeout: this.timeout,
+      }
+    );
+
+    return response.data.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('')
+      .trim();
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+};
+
+function createProvider(options) {
+  const Provider = PROVIDER_TYPES[options.type];
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider type "${options.type}", expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`
+    );
+  }
+  return new Provider(options);
+}
+
+// Without an llm.providers list, fall back to the original useLocalLLM / openAI.model settings
+function getProviderSettings(appConfig) {
+  const providers = appConfig.llm?.providers;
+  if (Array.isArray(providers) && providers.length > 0) {
+    return providers;
+  }
+
+  if (appConfig.settings.useLocalLLM) {
+    return [
+      {
+        name: 'local',
+        type: 'openai-compatible',
+        url: appConfig.localLLM?.postURL,
+      },
+    ];
+  }
+  return [{ name: 'openai', type: 'openai', model: appConfig.openAI?.model }];
+}
+
+/**
+ * Ordered fallback chain: each provider is tried in turn until one answers, so e.g. a local
+ * model can be tried first with OpenAI picking up when it fails or times out.
+ */
+class ProviderChain {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  async complete(messages) {
+    let lastError;
+    for (const provider of this.providers) {
+      try {
+        const content = await provider.complete(messages);
+        return { content, provider: provider.name, model: provider.model };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`LLM provider ${provider.name} failed: ${error.message}`, {
+          provider: provider.name,
+          model: provider.model,
+        });
+      }
+    }
+    throw lastError || new Error('No LLM providers configured');
+  }
+}
+
+// Built from the loaded config.yml unless another config is passed in (e.g. by evaluate.js)
+function createProviderChain(appConfig = config) {
+  const temperature = appConfig.llm?.temperature;
+  const providerSettings = getProviderSettings(appConfig);
+  const rateLimitRetries = providerSettings.length > 1 ? 0 : undefined;
+  return new ProviderChain(
+    providerSettings.map((settings) =>
+      createProvider({ temperature, rateLimitRetries, ...settings })
+    )
+  );
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  ProviderChain,
+  createProviderChain,
+};
@@ -0,0 +1,175 @@
+// Counters and histograms exposed on /metrics in the Prometheus text format. Values only live in
+// memory, Prometheus keeps the history.
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const RUN_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class for a metric family: one value (or set of buckets) per combination of label
+ * values. Labels not passed are recorded as empty strings so every series has the same labels.
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const values = {};
+    for (const labelName of this.labelNames) {
+      values[labelName] = labels[labelName] ?? '';
+    }
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map(
+      (bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`
+    );
+    lines.push(
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`
+    );
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+const metrics = {
+  emailsFound: new Counter('clearmail_emails_found_total', 'Emails found to process', ['account']),
+  emailsProcessed: new Counter(
+    'clearmail_emails_processed_total',
+    'Emails processed without error',
+    ['account']
+  ),
+  errors: new Counter('clearmail_errors_total', 'Emails that failed, by stage', [
+    'account',
+    'stage',
+  ]),
+  decisions: new Counter(
+    'clearmail_decisions_total',
+    'Decisions made, by what made them (filter, history, model), judgment and category',
+    ['account', 'source', 'judgment', 'category']
+  ),
+  llmRequestDuration: new Histogram(
+    'clearmail_llm_request_duration_seconds',
+    'Duration of successful model calls',
+    ['provider', 'model']
+  ),
+  llmFailures: new Counter('clearmail_llm_failures_total', 'Model calls that failed', [
+    'provider',
+    'model',
+  ]),
+  cacheLookups: new Counter('clearmail_cache_lookups_total', 'Response cache lookups', ['result']),
+  rateLimitSleeps: new Counter(
+    'clearmail_rate_limit_sleeps_total',
+    'Times executeOpenAIWithRetry slept after hitting the OpenAI rate limit'
+  ),
+  unsubscribes: new Counter(
+    'clearmail_unsubscribes_total',
+    'Unsubscribe attempts, by method (post, mailto) and outcome',
+    ['method', 'outcome']
+  ),
+  notifications: new Counter(
+    'clearmail_notifications_total',
+    'Notifications sent, by sink and outcome (sent, failed)',
+    ['sink', 'outcome']
+  ),
+  runDuration: new Histogram(
+    'clearmail_run_duration_seconds',
+    'Duration of processing runs, by outcome (completed, cancelled, failed)',
+    ['account', 'status'],
+    RUN_BUCKETS
+  ),
+  lastRunTimestamp: new Gauge(
+    'clearmail_last_run_timestamp_seconds',
+    'When the last run of each outcome finished',
+    ['account', 'status']
+  ),
+};
+
+function renderMetrics() {
+  return `${Object.values(metrics)
+    .map((metric) => metric.render())
+    .join('\n')}\n`;
+}
+
+module.exports = { metrics, renderMetrics, Counter, Gauge, Histogram };
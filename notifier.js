@@ -0,0 +1,244 @@
+const axios = require('axios');
+const config = require('./config');
+const { JsonlLog } = require('./jsonlLog');
+const { matchesAnyAddress } = require('./filters');
+const { sleep } = require('./utilities');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_TITLE = '{{from}}';
+const DEFAULT_MESSAGE = '{{subject}}\n{{explanation}}';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+// Push priorities for the model's urgency, ntfy goes from 1 to 5 and Gotify from 0 to 10
+const NTFY_PRIORITY = { low: 2, normal: 3, high: 5 };
+const GOTIFY_PRIORITY = { low: 2, normal: 5, high: 8 };
+
+const notificationLog = new JsonlLog(() => getSettings().logFilePath || 'notificationLog.jsonl', {
+  description: 'notification log',
+});
+// Message-ID and sink of every notification on its way, so a message processed twice at once
+// is only sent once
+const pending = new Set();
+
+function getSettings() {
+  return config.notifications || {};
+}
+
+async function recordNotification(notification) {
+  const entry = await notificationLog.append(notification);
+  metrics.notifications.inc({ sink: entry.sink, outcome: entry.outcome });
+  return entry;
+}
+
+function toList(value) {
+  return value === undefined || value === null ? [] : [].concat(value);
+}
+
+/**
+ * Whether a sink wants this email. Every condition set under `when` has to match: judgment
+ * (keep, reject or any, keep by default), categories, from (addresses or domains) and urgency.
+ */
+function matchesSink(sink, emailData, analysis) {
+  const when = sink.when || {};
+  const judgment = when.judgment || 'keep';
+  if (judgment !== 'any' && (judgment === 'keep') !== (analysis.judgment === true)) {
+    return false;
+  }
+  if (when.categories && !toList(when.categories).includes(analysis.category)) {
+    return false;
+  }
+  if (when.from && !matchesAnyAddress(when.from, [emailData.fromAddress])) {
+    return false;
+  }
+  if (when.urgency && !toList(when.urgency).includes(analysis.urgency || 'normal')) {
+    return false;
+  }
+  return true;
+}
+
+// "{{from}}: {{subject}}" with the email's fields, unknown names are left empty
+function renderTemplate(template, fields) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => fields[name] ?? '').trim();
+}
+
+function getFields(account, emailData, analysis) {
+  return {
+    account: account.name,
+    messageId: emailData.messageId,
+    from: emailData.from,
+    fromAddress: emailData.fromAddress,
+    subject: emailData.subject || '(no subject)',
+    date: emailData.date ? new Date(emailData.date).toISOString() : '',
+    judgment: analysis.judgment === true ? 'kept' : 'rejected',
+    category: analysis.category,
+    explanation: analysis.explanation,
+    urgency: analysis.urgency || 'normal',
+    confidence: analysis.confidence ?? '',
+  };
+}
+
+// The request each kind of sink expects, see README.md for the formats
+function buildRequest(sink, fields) {
+  const title = renderTemplate(sink.title || DEFAULT_TITLE, fields);
+  const message = renderTemplate(sink.message || DEFAULT_MESSAGE, fields);
+  const token = sink.tokenEnv ? process.env[sink.tokenEnv] : null;
+  const headers = { ...sink.headers };
+
+  if (sink.type === 'ntfy') {
+    // JSON publishing goes to the server root with the topic in the body, which keeps UTF-8
+    // subjects intact where the Title header could not
+    const url = new URL(sink.url);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return {
+      url: url.origin,
+      headers,
+      body: {
+        topic: url.pathname.replace(/^\/+|\/+$/g, ''),
+        title,
+        message,
+        priority: NTFY_PRIORITY[fields.urgency],
+        tags: [fields.judgment === 'kept' ? 'email' : 'wastebasket'],
+      },
+    };
+  }
+  if (sink.type === 'gotify') {
+    if (token) {
+      headers['X-Gotify-Key'] = token;
+    }
+    return {
+      url: sink.url,
+      headers,
+      body: { title, message, priority: GOTIFY_PRIORITY[fields.urgency] },
+    };
+  }
+  if (sink.type === 'slack') {
+    // Slack reads <...> as a link, "Name <address>" senders have to be escaped
+    const escape = (text) =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return { url: sink.url, headers, body: { text: `*${escape(title)}*\n${escape(message)}` } };
+  }
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return { url: sink.url, headers, body: { title, message, ...fields } };
+}
+
+// Network errors, rate limits and server errors are worth another try, other responses are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+async function send(sink, request) {
+  const settings = getSettings();
+  const retries = sink.retries ?? settings.retries ?? DEFAULT_RETRIES;
+  const retryDelay = settings.retryDelay ?? DEFAULT_RETRY_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: sink.timeout || settings.timeout || DEFAULT_TIMEOUT_MS,
+      });
+      return { status: response.status, attempts: attempt + 1 };
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = retryDelay * 2 ** attempt;
+      logger.warn(`Notification to ${sink.name} failed, retrying in ${delay}ms`, {
+        error: error.message,
+        status: error.response?.status,
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+async function notifySink(account, sink, emailData, analysis) {
+  const key = `${account.name}:${sink.name}:${emailData.messageId}`;
+  if (pending.has(key)) {
+    return null;
+  }
+  pending.add(key);
+
+  try {
+    const sent = (await notificationLog.load()).some(
+      (notification) =>
+        notification.outcome === 'sent' &&
+        notification.account === account.name &&
+        notification.sink === sink.name &&
+        notification.messageId === emailData.messageId
+    );
+    if (sent) {
+      logger.debug(`Already notified ${sink.name} about ${emailData.messageId}, skipping`);
+      return null;
+    }
+
+    const base = {
+      account: account.name,
+      sink: sink.name,
+      messageId: emailData.messageId,
+      from: emailData.fromAddress,
+      subject: emailData.subject,
+    };
+    try {
+      const result = await send(sink, buildRequest(sink, getFields(account, emailData, analysis)));
+      logger.info(`Notified ${sink.name} about email ${emailData.messageId}`, {
+        account: account.name,
+        status: result.status,
+      });
+      return recordNotification({ ...base, outcome: 'sent', ...result });
+    } catch (error) {
+      logger.error(`Notification to ${sink.name} failed:`, {
+        error: error.message,
+        status: error.response?.status,
+        attempts: error.attempts,
+      });
+      return recordNotification({
+        ...base,
+        outcome: 'failed',
+        status: error.response?.status,
+        attempts: error.attempts,
+        reason: error.message,
+      });
+    }
+  } finally {
+    pending.delete(key);
+  }
+}
+
+/**
+ * Sends a notification to every configured sink whose conditions match the email, in the
+ * background. Does nothing unless notifications.enabled is set. Each sink is told about a
+ * Message-ID once. Returns the promise of all attempts, which never rejects.
+ */
+function notify(account, emailData, analysis) {
+  const settings = getSettings();
+  if (!settings.enabled || !emailData.messageId) {
+    return null;
+  }
+
+  const sinks = (settings.sinks || []).filter((sink) => matchesSink(sink, emailData, analysis));
+  return Promise.all(
+    sinks.map((sink) =>
+      notifySink(account, sink, emailData, analysis).catch((error) => {
+        logger.error('Notification error:', { error: error.message, stack: error.stack });
+      })
+    )
+  );
+}
+
+async function getNotificationLog(accountName) {
+  return (await notificationLog.load()).filter(
+    (notification) => !accountName || notification.account === accountName
+  );
+}
+
+module.exports = { notify, getNotificationLog };
@@ -1,13 +1,49 @@
-const { ImapFlow } = require('imapflow');
 const config = require('./config');
-const { simpleParser } = require('mailparser');
 const { analyzeEmail } = require('./analyzeEmail');
-const { saveLastTimestamp } = require('./utilities');
-const { logger } = require('./server');
+const { createImapConnection, saveDryRunReport } = require('./utilities');
+const { getAccounts, getAccountFilePath } = require('./accounts');
+const { appendJournalEntry, getCompletedSteps, isStepCompleted } = require('./actionJournal');
+const { getMailboxState, saveMailboxState } = require('./stateStore');
+const { applyFilters } = require('./filters');
+const { extractEmailData } = require('./emailContent');
+const { checkForCorrections } = require('./correctionTracker');
+const { lookupSender, recordDecision } = require('./senderHistory');
+const { runExclusive, RunLockTimeoutError } = require('./runCoordinator');
+const { syncSentIndex, getThreadInfo } = require('./sentIndex');
+const { getHeaderSignals } = require('./headerSignals');
+const { enqueueUnsubscribe } = require('./unsubscriber');
+const { isDigest } = require('./digest');
+const { notify } = require('./notifier');
+const {
+  MOVING_ACTIONS,
+  DETACHED_ACTIONS,
+  ONCE_ONLY_ACTIONS,
+  getCategoryActions,
+  forwardEmail,
+  callWebhook,
+} = require('./categoryActions');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const crypto = require('crypto');
 
 class EmailProcessor {
-  constructor(timestamp) {
+  constructor(account, timestamp, options = {}) {
+    this.account = account;
     this.timestamp = timestamp;
+    this.runId = crypto.randomUUID();
+    this.dryRun = options.dryRun ?? config.settings.dryRun ?? false;
+    // An already connected client (IDLE mode) is reused and left open, otherwise we own it
+    this.client = options.client || null;
+    this.ownsClient = !options.client;
+    this.skipFolderVerification = options.skipFolderVerification || false;
+    this.folder = options.folder || 'INBOX';
+    this.maxEmails = options.limit || config.settings.maxEmailsToProcessAtOnce;
+    // Jobs started over HTTP follow progress and can cancel between batches
+    this.onProgress = options.onProgress || null;
+    this.signal = options.signal || null;
+    // UIDs whose analysis or actions failed, retried on the next run
+    this.failedUids = new Set();
+    this.proposedActions = [];
     this.processedCount = 0;
     this.errorCount = 0;
     this.startTime = null;
@@ -15,26 +51,8 @@ class EmailProcessor {
     this.batchDelayMs = 2000; // Delay between batches to prevent rate limiting
   }
 
-  createImapConnection() {
-    logger.info('Creating IMAP connection...', {
-      host: 'imap.gmail.com',
-      port: 993,
-      user: process.env.IMAP_USER,
-    });
-
-    return new ImapFlow({
-      host: 'imap.gmail.com',
-      port: 993,
-      secure: true,
-      auth: {
-        user: process.env.IMAP_USER,
-        pass: process.env.IMAP_PASSWORD,
-      },
-      logger: false, // We'll use our own logger
-    });
-  }
-
   async processEmail(message) {
+    let stage = 'parse';
     try {
       logger.debug(`Processing email #${message.uid}...`);
 
@@ -45,28 +63,13 @@ class EmailProcessor {
         return null;
       }
 
-      // Parse email content with size limits
-      const email = await simpleParser(message.source, {
-        skipHtmlToText: true, // Skip HTML conversion to save memory
-        skipImageLinks: true, // Skip image link processing
-        skipTextToHtml: true, // Skip text to HTML conversion
-        skipTextLinks: true, // Skip text link processing
-        maxHtmlLengthToParse: config.settings.maxEmailChars || 2500,
-      });
-
-      // Extract only needed fields and clean up
-      const emailData = {
-        subject: email.subject,
-        from: email.from.text,
-        date: email.date,
-        body: (email?.text || email.html || '').substring(0, config.settings.maxEmailChars),
-      };
-
-      // Clear references to full email object
-      email.attachments = [];
-      email.html = null;
-      email.textAsHtml = null;
-      email.text = null;
+      const emailData = await extractEmailData(message.source, flags);
+      if (await isDigest(this.account, emailData)) {
+        logger.debug(`Email #${message.uid} is a clearmail digest, skipping`);
+        return null;
+      }
+      emailData.signals = getHeaderSignals(emailData, this.account);
+      stage = 'analyze';
 
       logger.info(`Analyzing email #${message.uid}`, {
         subject: emailData.subject,
@@ -76,21 +79,94 @@ class EmailProcessor {
       });
 
       try {
-        const emailAnalysis = await analyzeEmail(
-          emailData.subject,
-          emailData.from,
-          emailData.body,
-          emailData.date
-        );
+        // Deterministic filters decide first, the model only sees what none of them match
+        const filterAnalysis = applyFilters(emailData, this.account);
+        if (filterAnalysis) {
+          logger.info(`Email #${message.uid} decided by filter`, {
+            judgment: filterAnalysis.judgment,
+            category: filterAnalysis.category,
+            explanation: filterAnalysis.explanation,
+          });
+        }
+
+        // Genuine replies to emails I sent are kept when alwaysKeepRepliesToMe is on
+        const thread = getThreadInfo(this.account, emailData);
+        const replyAnalysis =
+          !filterAnalysis &&
+          config.settings.alwaysKeepRepliesToMe &&
+          thread.isReplyToMe &&
+          !thread.isAutoReply
+            ? {
+                judgment: true,
+                category: '',
+                explanation: 'Reply to an email I sent',
+                source: 'thread',
+              }
+            : null;
+        if (replyAnalysis) {
+          logger.info(`Email #${message.uid} kept as a reply to a sent email`, {
+            threadLength: thread.threadLength,
+          });
+        }
+
+        // Then repeat senders whose history is consistent enough to skip the model
+        const historyAnalysis =
+          filterAnalysis || replyAnalysis
+            ? null
+            : await lookupSender(this.account, emailData.fromAddress);
+        if (historyAnalysis) {
+          logger.info(`Email #${message.uid} decided by sender history`, {
+            judgment: historyAnalysis.judgment,
+            category: historyAnalysis.category,
+            explanation: historyAnalysis.explanation,
+          });
+        }
+
+        const decidedBy = filterAnalysis || replyAnalysis || historyAnalysis;
+        const emailAnalysis =
+          decidedBy ||
+          (await analyzeEmail(
+            emailData.subject,
+            emailData.from,
+            emailData.body,
+            emailData.date,
+            this.account,
+            { thread, signals: emailData.signals }
+          ));
 
         if (!emailAnalysis || emailAnalysis.judgment === 'unknown') {
           logger.warn(`Email #${message.uid} analysis returned unknown judgment or failed`, {
             analysis: emailAnalysis
           });
+          metrics.errors.inc({ account: this.account.name, stage });
+          this.failedUids.add(message.uid);
           return null;
         }
 
-        await this.handleEmailBasedOnAnalysis(message.uid, emailAnalysis);
+        stage = 'move';
+        await this.handleEmailBasedOnAnalysis(
+          message.uid,
+          emailAnalysis,
+          emailData,
+          message.source
+        );
+        // Only once every step went through, an email retried after a failure isn't counted twice.
+        // An uncertain answer shouldn't count towards the sender's streak
+        if (!decidedBy && !this.dryRun && !this.isUncertain(emailAnalysis)) {
+          await recordDecision(this.account.name, emailData.fromAddress, emailAnalysis);
+        }
+        if (!this.dryRun && !this.isUncertain(emailAnalysis)) {
+          enqueueUnsubscribe(this.account, emailData, emailAnalysis);
+        }
+        if (!this.dryRun) {
+          notify(this.account, emailData, emailAnalysis);
+        }
+        metrics.decisions.inc({
+          account: this.account.name,
+          source: decidedBy ? decidedBy.source : 'model',
+          judgment: emailAnalysis.judgment,
+          category: emailAnalysis.category || '',
+        });
         return emailAnalysis;
       } catch (apiError) {
         logger.error(`API Error analyzing email #${message.uid}:`, {
@@ -98,10 +174,15 @@ class EmailProcessor {
           stack: apiError.stack,
           details: apiError.response?.data || apiError.response || 'No additional details'
         });
-        // Don't rethrow API errors, just skip this email
+        // Don't rethrow API errors, just skip this email and retry it next run
+        metrics.errors.inc({ account: this.account.name, stage });
+        this.failedUids.add(message.uid);
         return null;
       }
     } catch (error) {
+      if (stage === 'parse') {
+        metrics.errors.inc({ account: this.account.name, stage });
+      }
       logger.error(`Error processing email #${message.uid}:`, {
         error: error.message,
         stack: error.stack
@@ -110,88 +191,134 @@ class EmailProcessor {
     }
   }
 
-  async handleEmailBasedOnAnalysis(uid, analysis) {
+  // A rejection the model itself wasn't sure of. Filter, reply and sender history decisions
+  // carry no confidence and are never uncertain
+  isUncertain(analysis) {
+    const threshold = this.account.reviewConfidenceThreshold || 0;
+    return (
+      analysis.judgment === false &&
+      typeof analysis.confidence === 'number' &&
+      analysis.confidence < threshold
+    );
+  }
+
+  planActions(analysis, signals = {}) {
+    const actions = [];
+
+    if (analysis.judgment === true) {
+      // For emails to keep. A sender that failed authentication may be forged, so however
+      // personal the email looks it is kept but never starred
+      const urgent = this.account.flagUrgentEmails && analysis.urgency === 'high';
+      if ((this.account.starAllKeptEmails || urgent) && !signals.authenticationFailed) {
+        actions.push({ action: 'flag' });
+      }
+    } else if (this.isUncertain(analysis)) {
+      // Left unread for a person to decide, either in the review folder or in the INBOX
+      if (this.account.lowConfidenceAction !== 'keep') {
+        actions.push({ action: 'move', folder: this.account.reviewFolderName || 'Auto/Review' });
+      }
+    } else if (analysis.judgment === false) {
+      // For emails to reject
+      const folder = this.account.sortIntoCategoryFolders
+        ? analysis.category
+        : this.account.rejectedFolderName;
+
+      // A category with its own steps in categoryActions replaces the default mark read and move
+      const categoryActions = getCategoryActions(this.account, analysis, folder);
+      if (categoryActions) {
+        return categoryActions;
+      }
+
+      if (this.account.markAllRejectedEmailsRead) {
+        actions.push({ action: 'mark_read' });
+      }
+
+      // Move to appropriate folder based on settings
+      actions.push({ action: 'move', folder });
+    }
+
+    return actions;
+  }
+
+  // source is the raw email, attached by the forward action
+  async handleEmailBasedOnAnalysis(uid, analysis, emailData = {}, source = null) {
     logger.info(`Processing actions for email #${uid}`, {
       judgment: analysis.judgment,
       category: analysis.category,
       explanation: analysis.explanation,
+      dryRun: this.dryRun,
     });
 
+    const actions = this.planActions(analysis, emailData.signals);
+    if (this.isUncertain(analysis)) {
+      logger.info(`Low confidence rejection of email #${uid}, leaving it for review`, {
+        confidence: analysis.confidence,
+        threshold: this.account.reviewConfidenceThreshold,
+        folder: actions.length > 0 ? actions[0].folder : this.folder,
+      });
+    }
+    if (analysis.judgment === true && emailData.signals?.authenticationFailed) {
+      logger.warn(`Not starring email #${uid}, the sender failed authentication`, {
+        from: emailData.from,
+        spf: emailData.signals.spf,
+        dkim: emailData.signals.dkim,
+        dmarc: emailData.signals.dmarc,
+      });
+    }
+
+    if (this.dryRun) {
+      // Record what would have happened without touching the mailbox
+      this.proposedActions.push({
+        uid,
+        subject: emailData.subject,
+        from: emailData.from,
+        date: emailData.date,
+        judgment: analysis.judgment,
+        category: analysis.category,
+        explanation: analysis.explanation,
+        confidence: analysis.confidence,
+        urgency: analysis.urgency,
+        actions,
+      });
+      logger.info(`Dry run: recorded ${actions.length} proposed action(s) for email #${uid}`, {
+        actions,
+      });
+      return;
+    }
+
     try {
-      if (analysis.judgment === true) {
-        // For emails to keep
-        if (config.settings.starAllKeptEmails) {
-          logger.info(`Flagging email #${uid} as important`, {
-            action: 'flag',
-            status: 'started',
-          });
-          await this.client.messageFlagsAdd(uid, ['\\Flagged'], { uid: true, useLabels: true });
-          logger.info(`Successfully flagged email #${uid}`, {
-            action: 'flag',
-            status: 'completed',
-          });
+      // What an earlier, failed attempt at this email already copied, forwarded or called
+      const completedSteps = actions.some((action) => ONCE_ONLY_ACTIONS.includes(action.action))
+        ? await getCompletedSteps(this.account.name, emailData.messageId)
+        : [];
+      let movedTo = null;
+      for (let action of actions) {
+        if (movedTo && !DETACHED_ACTIONS.includes(action.action)) {
+          logger.warn(`Skipping ${action.action} for email #${uid}, it was moved to ${movedTo}`);
+          continue;
         }
-      } else if (analysis.judgment === false) {
-        // For emails to reject
-        if (config.settings.markAllRejectedEmailsRead) {
-          logger.info(`Marking email #${uid} as read`, {
-            action: 'mark_read',
-            status: 'started',
-          });
-          await this.client.messageFlagsAdd(uid, ['\\Seen'], { uid: true, useLabels: true });
-          logger.info(`Successfully marked email #${uid} as read`, {
-            action: 'mark_read',
-            status: 'completed',
-          });
+        if (isStepCompleted(completedSteps, action)) {
+          logger.info(`Skipping ${action.action} for email #${uid}, an earlier run already did it`);
+          continue;
+        }
+        if (action.action === 'archive') {
+          action = { ...action, folder: await this.findArchiveFolder(action.folder) };
         }
-
-        // Move to appropriate folder based on settings
-        const folderToMoveTo = config.settings.sortIntoCategoryFolders
-          ? analysis.category
-          : config.settings.rejectedFolderName;
-
-        logger.info(`Moving email #${uid} to folder`, {
-          action: 'move',
-          status: 'started',
-          folder: folderToMoveTo,
-        });
 
         try {
-          // First select the INBOX to ensure we're in the right context
-          await this.client.mailboxOpen('INBOX');
-
-          // Then try to move the message
-          await this.client.messageMove(uid, folderToMoveTo, { uid: true, useLabels: true });
-
-          logger.info(`Successfully moved email #${uid}`, {
-            action: 'move',
-            status: 'completed',
-            folder: folderToMoveTo,
-          });
-        } catch (moveError) {
-          logger.error(`Failed to move email #${uid} to ${folderToMoveTo}:`, {
-            error: moveError.message,
-            stack: moveError.stack,
-          });
-
-          // Try to create the folder and retry the move if it failed
-          try {
-            logger.info(`Attempting to create folder ${folderToMoveTo} and retry move`);
-            await this.client.mailboxCreate(folderToMoveTo);
-            await this.client.mailboxOpen('INBOX'); // Reopen INBOX
-            await this.client.messageMove(uid, folderToMoveTo, { uid: true, useLabels: true });
-            logger.info(`Successfully moved email #${uid} after creating folder`, {
-              action: 'move',
-              status: 'completed',
-              folder: folderToMoveTo,
-            });
-          } catch (retryError) {
-            logger.error(`Failed to move email #${uid} after retry:`, {
-              error: retryError.message,
-              stack: retryError.stack,
-            });
-            throw retryError;
+          await this.executeAction(uid, action, { analysis, emailData, source });
+        } catch (error) {
+          // Retrying the email would repeat every other step, so a failed forward or webhook
+          // is only logged
+          if (!DETACHED_ACTIONS.includes(action.action)) {
+            throw error;
           }
+          logger.error(`Failed to ${action.action} email #${uid}:`, { error: error.message });
+          continue;
+        }
+        await this.journalAction(uid, action, analysis, emailData);
+        if (MOVING_ACTIONS.includes(action.action)) {
+          movedTo = action.folder;
         }
       }
     } catch (error) {
@@ -205,35 +332,238 @@ class EmailProcessor {
     }
   }
 
+  async journalAction(uid, { action, folder, label, flags, to, url }, analysis, emailData) {
+    const entry = {
+      runId: this.runId,
+      account: this.account.name,
+      uid,
+      messageId: emailData.messageId,
+      from: emailData.from,
+      fromAddress: emailData.fromAddress,
+      subject: emailData.subject,
+      sourceFolder: this.folder,
+      category: analysis.category,
+      explanation: analysis.explanation,
+      confidence: analysis.confidence,
+    };
+
+    const existingFlags = emailData.flags || [];
+    if (MOVING_ACTIONS.includes(action)) {
+      Object.assign(entry, { type: 'move', destinationFolder: folder });
+    } else if (action === 'copy') {
+      Object.assign(entry, { type: 'copy', destinationFolder: folder });
+    } else if (action === 'label') {
+      Object.assign(entry, { type: 'label', labels: [label] });
+    } else if (action === 'remove_flags') {
+      const removed = flags.filter((flag) => existingFlags.includes(flag));
+      if (removed.length === 0) {
+        return;
+      }
+      Object.assign(entry, { type: 'unflag', flags: removed });
+    } else if (action === 'forward') {
+      Object.assign(entry, { type: 'forward', to });
+    } else if (action === 'webhook') {
+      Object.assign(entry, { type: 'webhook', url });
+    } else {
+      const added = action === 'add_flags' ? flags : [action === 'flag' ? '\\Flagged' : '\\Seen'];
+      // Only journal flags we actually changed so undo doesn't strip ones the user set
+      const changed = added.filter((flag) => !existingFlags.includes(flag));
+      if (changed.length === 0) {
+        return;
+      }
+      Object.assign(entry, { type: 'flag', flags: changed });
+    }
+
+    try {
+      await appendJournalEntry(entry);
+    } catch (error) {
+      logger.error(`Failed to journal ${action} for email #${uid}:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  async executeAction(uid, step, context = {}) {
+    const { action, folder } = step;
+    if (action === 'flag') {
+      logger.info(`Flagging email #${uid} as important`, {
+        action: 'flag',
+        status: 'started',
+      });
+      await this.storeFlags(uid, 'add', ['\\Flagged']);
+      logger.info(`Successfully flagged email #${uid}`, {
+        action: 'flag',
+        status: 'completed',
+      });
+    } else if (action === 'mark_read') {
+      logger.info(`Marking email #${uid} as read`, {
+        action: 'mark_read',
+        status: 'started',
+      });
+      await this.storeFlags(uid, 'add', ['\\Seen']);
+      logger.info(`Successfully marked email #${uid} as read`, {
+        action: 'mark_read',
+        status: 'completed',
+      });
+    } else if (action === 'move' || action === 'archive') {
+      await this.moveMessage(uid, folder);
+    } else if (action === 'copy') {
+      await this.copyMessage(uid, folder);
+    } else if (action === 'label') {
+      // Gmail only: the email gets the label and stays where it is
+      const labeled = await this.client.messageFlagsAdd(uid, [step.label], {
+        uid: true,
+        useLabels: true,
+      });
+      if (!labeled) {
+        throw new Error(`Could not add label ${step.label}, the server has no Gmail labels`);
+      }
+      logger.info(`Labeled email #${uid} ${step.label}`, { action: 'label' });
+    } else if (action === 'add_flags') {
+      await this.storeFlags(uid, 'add', step.flags);
+      logger.info(`Added flags to email #${uid}`, { action, flags: step.flags });
+    } else if (action === 'remove_flags') {
+      await this.storeFlags(uid, 'remove', step.flags);
+      logger.info(`Removed flags from email #${uid}`, { action, flags: step.flags });
+    } else if (action === 'forward') {
+      await forwardEmail(this.account, step, context);
+    } else if (action === 'webhook') {
+      await callWebhook(this.account, step, { uid, ...context });
+    }
+  }
+
+  // System flags and keywords are plain IMAP flags on every server, Gmail included. imapflow
+  // resolves to false instead of throwing when nothing was stored, which must not be journaled
+  async storeFlags(uid, operation, flags) {
+    const stored =
+      operation === 'add'
+        ? await this.client.messageFlagsAdd(uid, flags, { uid: true })
+        : await this.client.messageFlagsRemove(uid, flags, { uid: true });
+    if (!stored) {
+      throw new Error(`Could not ${operation} flags ${flags.join(', ')} on email #${uid}`);
+    }
+  }
+
+  // The folder flagged \Archive by the server, or Gmail's All Mail, unless the action names one
+  async findArchiveFolder(folder) {
+    if (folder) {
+      return folder;
+    }
+    if (!this.archiveFolder) {
+      const folders = await this.client.list();
+      const archive =
+        folders.find((candidate) => candidate.specialUse === '\\Archive') ||
+        folders.find((candidate) => candidate.specialUse === '\\All');
+      if (!archive) {
+        throw new Error('No archive folder found, set folder on the archive action');
+      }
+      this.archiveFolder = archive.path;
+    }
+    return this.archiveFolder;
+  }
+
+  async copyMessage(uid, folder) {
+    try {
+      await this.client.messageCopy(uid, folder, { uid: true });
+    } catch (error) {
+      logger.info(`Attempting to create folder ${folder} and retry copy`, { error: error.message });
+      await this.client.mailboxCreate(folder);
+      await this.client.mailboxOpen(this.folder);
+      await this.client.messageCopy(uid, folder, { uid: true });
+    }
+    logger.info(`Copied email #${uid} to ${folder}`, { action: 'copy' });
+  }
+
+  async moveMessage(uid, folderToMoveTo) {
+    logger.info(`Moving email #${uid} to folder`, {
+      action: 'move',
+      status: 'started',
+      folder: folderToMoveTo,
+    });
+
+    try {
+      // First select the source folder to ensure we're in the right context
+      await this.client.mailboxOpen(this.folder);
+
+      // Then try to move the message
+      await this.client.messageMove(uid, folderToMoveTo, { uid: true, useLabels: true });
+
+      logger.info(`Successfully moved email #${uid}`, {
+        action: 'move',
+        status: 'completed',
+        folder: folderToMoveTo,
+      });
+    } catch (moveError) {
+      logger.error(`Failed to move email #${uid} to ${folderToMoveTo}:`, {
+        error: moveError.message,
+        stack: moveError.stack,
+      });
+
+      // Try to create the folder and retry the move if it failed
+      try {
+        logger.info(`Attempting to create folder ${folderToMoveTo} and retry move`);
+        await this.client.mailboxCreate(folderToMoveTo);
+        await this.client.mailboxOpen(this.folder); // Reopen the source folder
+        await this.client.messageMove(uid, folderToMoveTo, { uid: true, useLabels: true });
+        logger.info(`Successfully moved email #${uid} after creating folder`, {
+          action: 'move',
+          status: 'completed',
+          folder: folderToMoveTo,
+        });
+      } catch (retryError) {
+        logger.error(`Failed to move email #${uid} after retry:`, {
+          error: retryError.message,
+          stack: retryError.stack,
+        });
+        throw retryError;
+      }
+    }
+  }
+
   async process() {
     this.startTime = Date.now();
     logger.info('Starting email processing session', {
+      account: this.account.name,
+      runId: this.runId,
       timestamp: this.timestamp,
+      dryRun: this.dryRun,
       startTime: new Date(this.startTime).toISOString(),
     });
 
-    this.client = this.createImapConnection();
+    if (this.ownsClient) {
+      this.client = createImapConnection(this.account);
+    }
 
     try {
-      await this.client.connect();
+      if (this.ownsClient) {
+        await this.client.connect();
+      }
 
-      // Verify folders only if enabled in config
-      if (config.settings.verifyImapFolders) {
+      // Verify folders only if enabled in config, IDLE checks were already verified on connect
+      if (config.settings.verifyImapFolders && !this.skipFolderVerification) {
         await this.verifyFolders();
       }
 
-      const lock = await this.client.getMailboxLock('INBOX');
-      try {
-        // Open the INBOX first
-        await this.client.mailboxOpen('INBOX');
+      // Learn from emails the user moved after earlier runs before sorting new ones
+      if (!this.dryRun) {
+        await checkForCorrections(this.client, this.account).catch((error) => {
+          logger.error('Failed to check for corrections:', { error: error.message });
+        });
+      }
 
-        // Build search criteria based on settings
-        const searchCriteria = {};
+      // Replies are recognized by the Message-IDs of sent emails, so index new ones first
+      await syncSentIndex(this.client, this.account).catch((error) => {
+        logger.error('Failed to update the sent index:', { error: error.message });
+      });
 
-        // Only add timestamp if useTimestampFilter is true
-        if (config.settings.useTimestampFilter && this.timestamp) {
-          searchCriteria.since = new Date(this.timestamp);
-        }
+      const lock = await this.client.getMailboxLock(this.folder);
+      try {
+        // Open the folder (INBOX unless a job asked for another one) first
+        const mailbox = await this.client.mailboxOpen(this.folder);
+
+        // Build search criteria from the checkpoint (or the explicit timestamp)
+        const { searchCriteria, checkpoint, description } = await this.buildSearch(mailbox);
 
         if (!config.settings.processReadEmails) {
           searchCriteria.seen = false;
@@ -246,22 +576,41 @@ class EmailProcessor {
           flags: true,
           uid: true,
         })) {
+          // "n:*" always matches the newest message, so drop anything the checkpoint already covers
+          if (
+            checkpoint &&
+            message.uid <= checkpoint.lastUid &&
+            !checkpoint.retry.has(message.uid)
+          ) {
+            continue;
+          }
           allMessages.push(message);
         }
+        // Oldest first, so a run cut short by maxEmailsToProcessAtOnce resumes where it stopped
+        allMessages.sort((a, b) => a.uid - b.uid);
+        const fetchedUids = allMessages.map((message) => message.uid);
+        const attemptedUids = new Set();
 
         const totalEmailsFound = allMessages.length;
         const readStatus = config.settings.processReadEmails ? 'read and unread' : 'unread';
-        const timeFilter = config.settings.useTimestampFilter
-          ? ` since ${this.timestamp}`
-          : ' in inbox';
-        logger.info(`Found ${totalEmailsFound} ${readStatus} messages${timeFilter}`);
-        logger.info(
-          `Processing up to ${config.settings.maxEmailsToProcessAtOnce} emails in batches of ${this.batchSize}`
-        );
+        logger.info(`Found ${totalEmailsFound} ${readStatus} messages ${description}`);
+        metrics.emailsFound.inc({ account: this.account.name }, totalEmailsFound);
+        logger.info(`Processing up to ${this.maxEmails} emails in batches of ${this.batchSize}`);
 
         let processedCount = 0;
         let errorCount = 0;
         let totalProcessed = 0;
+        let cancelled = false;
+        const totalBatches = Math.ceil(Math.min(totalEmailsFound, this.maxEmails) / this.batchSize);
+        const reportProgress = (batch) =>
+          this.onProgress?.({
+            found: totalEmailsFound,
+            processed: processedCount,
+            errors: errorCount,
+            batch,
+            totalBatches,
+          });
+        reportProgress(0);
 
         // Create an atomic counter update function
         const atomicUpdate = (() => {
@@ -281,10 +630,15 @@ class EmailProcessor {
 
         // Process in batches
         for (let i = 0; i < allMessages.length; i += this.batchSize) {
-          if (totalProcessed >= config.settings.maxEmailsToProcessAtOnce) {
+          if (totalProcessed >= this.maxEmails) {
             logger.debug('Reached maximum email processing limit');
             break;
           }
+          if (this.signal?.aborted) {
+            logger.info(`Run ${this.runId} cancelled after ${totalProcessed} emails`);
+            cancelled = true;
+            break;
+          }
 
           const batch = allMessages.slice(i, i + this.batchSize);
           logger.info(`Processing batch of ${batch.length} emails...`);
@@ -292,15 +646,21 @@ class EmailProcessor {
           await Promise.all(
             batch.map(async (message) => {
               try {
-                if (totalProcessed < config.settings.maxEmailsToProcessAtOnce) {
+                if (totalProcessed < this.maxEmails) {
+                  attemptedUids.add(message.uid);
                   await this.processEmail(message);
                   await atomicUpdate(() => {
                     processedCount++;
                     totalProcessed++;
                   });
+                  // A failed analysis returns without throwing, metrics.errors counted it already
+                  if (!this.failedUids.has(message.uid)) {
+                    metrics.emailsProcessed.inc({ account: this.account.name });
+                  }
                 }
               } catch (error) {
                 await atomicUpdate(() => errorCount++);
+                this.failedUids.add(message.uid);
                 logger.error(`Error processing email #${message.uid}:`, error);
               }
             })
@@ -308,8 +668,9 @@ class EmailProcessor {
 
           // Clean up batch data
           batch.length = 0;
+          reportProgress(i / this.batchSize + 1);
           
-          if (i + this.batchSize < allMessages.length) {
+          if (i + this.batchSize < allMessages.length && !this.signal?.aborted) {
             logger.info(`Processed ${totalProcessed}/${totalEmailsFound} emails. Waiting ${this.batchDelayMs}ms...`);
             await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
             
@@ -322,44 +683,197 @@ class EmailProcessor {
 
         const duration = Date.now() - this.startTime;
         logger.info('Email processing session completed', {
+          account: this.account.name,
           processed: processedCount,
           errors: errorCount,
           duration: `${duration / 1000}s`,
           totalFound: totalEmailsFound,
         });
 
-        await saveLastTimestamp(new Date().toISOString(), config.settings.timestampFilePath);
+        const stats = {
+          processed: processedCount,
+          errors: errorCount,
+          duration: duration,
+          totalFound: totalEmailsFound,
+        };
+        if (cancelled) {
+          stats.cancelled = true;
+        }
+
+        if (this.dryRun) {
+          // Leave the checkpoint alone so a real run still picks these emails up
+          const reportPath = getAccountFilePath(
+            config.settings.dryRunReportPath || 'dryRunReport.json',
+            this.account
+          );
+          await saveDryRunReport(
+            {
+              generatedAt: new Date().toISOString(),
+              account: this.account.name,
+              runId: this.runId,
+              timestamp: this.timestamp,
+              stats,
+              proposedActions: this.proposedActions,
+            },
+            reportPath
+          );
+          logger.info(`Dry run report written to ${reportPath}`, {
+            proposedActions: this.proposedActions.length,
+          });
+
+          return {
+            statusCode: 200,
+            message: 'Dry run completed. No changes were made to the mailbox.',
+            dryRun: true,
+            runId: this.runId,
+            reportPath,
+            stats,
+          };
+        }
+
+        if (checkpoint) {
+          await this.saveCheckpoint(checkpoint, fetchedUids, attemptedUids);
+        }
 
         return {
           statusCode: 200,
-          message: 'Email processing completed.',
-          stats: {
-            processed: processedCount,
-            errors: errorCount,
-            duration: duration,
-            totalFound: totalEmailsFound,
-          },
+          message: cancelled ? 'Email processing cancelled.' : 'Email processing completed.',
+          runId: this.runId,
+          stats,
         };
       } finally {
         lock.release();
       }
     } catch (error) {
-      logger.error('Error during email processing:', error);
+      logger.error(`Error during email processing for account ${this.account.name}:`, error);
       return {
         statusCode: 500,
         message: 'Error processing emails.',
         error: error.message,
       };
+    } finally {
+      if (this.ownsClient) {
+        await this.client.logout().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Work out what to fetch. Normally that's everything after the last processed UID plus the
+   * UIDs that failed last time. Without a checkpoint, or when UIDVALIDITY changed (the server
+   * renumbered the mailbox, so old UIDs mean nothing), we resync from initialSyncDays back.
+   * An explicit timestamp searches by date and leaves the checkpoint untouched.
+   */
+  async buildSearch(mailbox) {
+    if (this.timestamp) {
+      return {
+        searchCriteria: { since: new Date(this.timestamp) },
+        checkpoint: null,
+        description: `since ${this.timestamp}`,
+      };
+    }
+
+    const uidValidity = String(mailbox.uidValidity);
+    const saved = await getMailboxState(this.account.name, mailbox.path);
+
+    if (saved && saved.uidValidity === uidValidity) {
+      const failedUids = saved.failedUids || {};
+      const retry = new Set(Object.keys(failedUids).map(Number));
+      const uidSet = [`${saved.lastUid + 1}:*`, ...retry].join(',');
+      return {
+        searchCriteria: { uid: uidSet },
+        checkpoint: {
+          mailbox: mailbox.path,
+          uidValidity,
+          lastUid: saved.lastUid,
+          failedUids,
+          retry,
+        },
+        description: `after UID ${saved.lastUid} (retrying ${retry.size} failed)`,
+      };
     }
+
+    if (saved) {
+      logger.warn(
+        `UIDVALIDITY of ${mailbox.path} changed for account ${this.account.name}, resyncing`,
+        { previous: saved.uidValidity, current: uidValidity }
+      );
+    }
+    return this.buildResyncSearch(mailbox.path, uidValidity);
+  }
+
+  buildResyncSearch(mailboxPath, uidValidity) {
+    const searchCriteria = {};
+    const days = config.settings.initialSyncDays || 0;
+    if (days > 0) {
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+      searchCriteria.since = since;
+    }
+
+    return {
+      searchCriteria,
+      checkpoint: {
+        mailbox: mailboxPath,
+        uidValidity,
+        lastUid: 0,
+        failedUids: {},
+        retry: new Set(),
+      },
+      description: days > 0 ? `in the last ${days} days (resync)` : 'in inbox (resync)',
+    };
+  }
+
+  // Advance past every UID that was attempted in order, and keep failures around for a retry
+  async saveCheckpoint(checkpoint, fetchedUids, attemptedUids) {
+    let lastUid = checkpoint.lastUid;
+    for (const uid of fetchedUids) {
+      if (!attemptedUids.has(uid)) {
+        break;
+      }
+      lastUid = Math.max(lastUid, uid);
+    }
+
+    const maxRetries = config.settings.maxFailedRetries ?? 3;
+    const failedUids = {};
+    for (const uid of this.failedUids) {
+      const attempts = (checkpoint.failedUids[uid] || 0) + 1;
+      if (attempts > maxRetries) {
+        logger.warn(`Giving up on email #${uid} after ${maxRetries} failed attempts`);
+        continue;
+      }
+      failedUids[uid] = attempts;
+    }
+    // Failed UIDs we didn't get to this run (limit reached) keep their attempt count
+    for (const [uid, attempts] of Object.entries(checkpoint.failedUids)) {
+      if (!attemptedUids.has(Number(uid)) && fetchedUids.includes(Number(uid))) {
+        failedUids[uid] = attempts;
+      }
+    }
+
+    await saveMailboxState(this.account.name, checkpoint.mailbox, {
+      uidValidity: checkpoint.uidValidity,
+      lastUid,
+      failedUids,
+    });
+    logger.debug('Saved checkpoint', {
+      account: this.account.name,
+      mailbox: checkpoint.mailbox,
+      lastUid,
+      failed: Object.keys(failedUids).length,
+    });
   }
 
   // New method to verify folders at startup
   async verifyFolders() {
     // Ensure all required folders exist
-    const folders = config.settings.sortIntoCategoryFolders
-      ? config.categoryFolderNames
-      : [config.settings.rejectedFolderName];
-    logger.info('Verifying IMAP folders...', { folders });
+    const folders = this.account.sortIntoCategoryFolders
+      ? [...this.account.categoryFolderNames]
+      : [this.account.rejectedFolderName];
+    if (this.account.reviewConfidenceThreshold > 0 && this.account.lowConfidenceAction !== 'keep') {
+      folders.push(this.account.reviewFolderName || 'Auto/Review');
+    }
+    logger.info('Verifying IMAP folders...', { account: this.account.name, folders });
 
     const existingFolders = await this.client.list();
     const existingPaths = existingFolders.map((f) => f.path);
@@ -377,9 +891,77 @@ class EmailProcessor {
   }
 }
 
-async function processEmails(timestamp) {
-  const processor = new EmailProcessor(timestamp);
-  return processor.process();
+function recordRunMetrics(account, result, startTime) {
+  let status = 'completed';
+  if (result.statusCode !== 200) {
+    status = 'failed';
+  } else if (result.stats?.cancelled) {
+    status = 'cancelled';
+  }
+  const labels = { account: account.name, status };
+  metrics.runDuration.observe(labels, (Date.now() - startTime) / 1000);
+  metrics.lastRunTimestamp.set(labels, Math.floor(Date.now() / 1000));
+}
+
+// Runs for the same account never overlap, in this process or any other sharing the lock file
+async function processEmails(timestamp, options = {}) {
+  const account = options.account || getAccounts()[0];
+  try {
+    return await runExclusive(
+      account,
+      async () => {
+        const startTime = Date.now();
+        const result = await new EmailProcessor(account, timestamp, options).process();
+        recordRunMetrics(account, result, startTime);
+        return result;
+      },
+      { coalesce: options.coalesce }
+    );
+  } catch (error) {
+    if (!(error instanceof RunLockTimeoutError)) {
+      throw error;
+    }
+    logger.warn(error.message);
+    return { statusCode: 409, message: error.message };
+  }
+}
+
+/**
+ * Run every configured account (or only options.accountName) one after the other. Each account
+ * continues from its own checkpoint unless an explicit timestamp is passed in. options.onProgress
+ * is called with (accountName, progress) and options.signal stops the run between batches.
+ */
+async function processAllAccounts(options = {}) {
+  const accounts = getAccounts().filter(
+    (account) => !options.accountName || account.name === options.accountName
+  );
+  if (accounts.length === 0) {
+    return {
+      statusCode: 404,
+      message: `Unknown account: ${options.accountName}`,
+    };
+  }
+
+  const results = {};
+  for (const account of accounts) {
+    if (options.signal?.aborted) {
+      break;
+    }
+    results[account.name] = await processEmails(options.timestamp || null, {
+      ...options,
+      account,
+      onProgress: options.onProgress && ((progress) => options.onProgress(account.name, progress)),
+    });
+  }
+
+  const failed = Object.values(results).some((result) => result.statusCode !== 200);
+  return {
+    statusCode: failed ? 500 : 200,
+    message: failed
+      ? 'Email processing failed for one or more accounts.'
+      : 'Email processing completed.',
+    accounts: results,
+  };
 }
 
-module.exports = { processEmails };
+module.exports = { processEmails, processAllAccounts };
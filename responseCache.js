@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { onConfigReload } = require('./configLoader');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+// Entries are named after their hex key; anything else in cache.dir is not ours to touch
+const ENTRY_FILE = /^[0-9a-f]+\.json$/;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Validated model answers, one JSON file per entry in cache.dir. An in-memory index kept in
+ * least-recently-used order enforces the TTL and the entry / byte limits; file mtimes record the
+ * last access so the order survives a restart.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.dir = path.resolve(options.dir || 'cache');
+    this.ttlMs = (options.ttlHours ?? DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.index = null; // key -> { size, createdAt }
+    this.loading = null;
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, expired: 0, writes: 0, evictions: 0 };
+  }
+
+  // Rules and categories are part of every key, so editing them in config.yml starts a fresh cache
+  buildKey({ models, messages, categories, rules }) {
+    return hash({ models, messages, config: hash({ categories, rules }) });
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async load() {
+    if (this.index) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.readIndex();
+    }
+    await this.loading;
+  }
+
+  async readIndex() {
+    const entries = [];
+    await fs.mkdir(this.dir, { recursive: true });
+
+    for (const file of await fs.readdir(this.dir)) {
+      if (!ENTRY_FILE.test(file)) {
+        continue;
+      }
+      const filePath = path.join(this.dir, file);
+      try {
+        const stat = await fs.stat(filePath);
+        if (!stat.isFile()) {
+          continue;
+        }
+        const contents = await fs.readFile(filePath, 'utf8');
+        const entry = JSON.parse(contents);
+        if (!entry.createdAt || !entry.value) {
+          throw new Error('not a cache entry');
+        }
+        entries.push({
+          key: path.basename(file, '.json'),
+          size: stat.size,
+          createdAt: entry.createdAt,
+          lastAccess: stat.mtimeMs,
+        });
+      } catch (error) {
+        // Leftovers from the old raw-string cache or a half-written entry
+        await fs.rm(filePath, { force: true }).catch(() => {});
+      }
+    }
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    this.index = new Map();
+    for (const { key, size, createdAt } of entries) {
+      this.index.set(key, { size, createdAt });
+      this.bytes += size;
+    }
+    logger.debug(`Loaded ${this.index.size} cached response(s)`, { bytes: this.bytes });
+    await this.evict();
+  }
+
+  async remove(key) {
+    const entry = this.index.get(key);
+    if (!entry) {
+      return;
+    }
+    this.index.delete(key);
+    this.bytes -= entry.size;
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+    await this.load();
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      this.countLookup(false);
+      return null;
+    }
+    if (Date.now() - entry.createdAt > this.ttlMs) {
+      this.counters.expired++;
+      this.countLookup(false);
+      await this.remove(key);
+      return null;
+    }
+
+    try {
+      const { value } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      // Move to the most recently used end and remember the access on disk
+      this.index.delete(key);
+      this.index.set(key, entry);
+      const now = new Date();
+      await fs.utimes(this.filePath(key), now, now);
+      this.countLookup(true);
+      return value;
+    } catch (error) {
+      logger.warn('Dropping unreadable cache entry', { key, error: error.message });
+      this.countLookup(false);
+      await this.remove(key);
+      return null;
+    }
+  }
+
+  countLookup(hit) {
+    this.counters[hit ? 'hits' : 'misses']++;
+    metrics.cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+  }
+
+  async set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+    await this.load();
+
+    const contents = JSON.stringify({ createdAt: Date.now(), value });
+    try {
+      await this.remove(key);
+      await fs.writeFile(this.filePath(key), contents, 'utf8');
+      const size = Buffer.byteLength(contents);
+      this.index.set(key, { size, createdAt: Date.now() });
+      this.bytes += size;
+      this.counters.writes++;
+      await this.evict();
+    } catch (error) {
+      logger.error('Error caching response:', { error: error.message });
+    }
+  }
+
+  // Drop expired entries, then the least recently used ones until both limits are met
+  async evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.index) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this.counters.expired++;
+        await this.remove(key);
+      }
+    }
+
+    while (this.index.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldest = this.index.keys().next().value;
+      this.counters.evictions++;
+      await this.remove(oldest);
+    }
+  }
+
+  async purge() {
+    await this.load();
+    const removed = this.index.size;
+    for (const key of Array.from(this.index.keys())) {
+      await this.remove(key);
+    }
+    logger.info(`Purged ${removed} cached response(s)`);
+    return removed;
+  }
+
+  async stats() {
+    if (this.enabled) {
+      await this.load();
+    }
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.index ? this.index.size : 0,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlHours: this.ttlMs / (60 * 60 * 1000),
+      ...this.counters,
+      hitRate: lookups ? this.counters.hits / lookups : 0,
+    };
+  }
+}
+
+let responseCache = null;
+
+function getResponseCache() {
+  if (!responseCache) {
+    responseCache = new ResponseCache(config.cache);
+  }
+  return responseCache;
+}
+
+// New limits apply on next use; the entries on disk are kept and re-indexed
+onConfigReload((next, before) => {
+  if (JSON.stringify(next.cache) !== JSON.stringify(before.cache)) {
+    responseCache = null;
+  }
+});
+
+module.exports = { ResponseCache, getResponseCache };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const config = require('./config');
+const { getAccountFilePath } = require('./accounts');
+const { logger } = require('./logger');
+
+const DEFAULT_STALE_LOCK_SECONDS = 300;
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 600;
+const LOCK_POLL_INTERVAL_MS = 1000;
+
+// Runs queued in this process, per account
+const accountQueues = new Map();
+
+class RunLockTimeoutError extends Error {
+  constructor(accountName, holder) {
+    super(
+      `Timed out waiting for the run lock of account ${accountName}` +
+        (holder
+          ? ` (held by pid ${holder.pid} on ${holder.hostname} since ${holder.acquiredAt})`
+          : '')
+    );
+    this.name = 'RunLockTimeoutError';
+    this.holder = holder;
+  }
+}
+
+function getLockPath(account) {
+  return getAccountFilePath(config.settings.runLockPath || 'clearmail.lock', account);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+async function readLock(lockPath) {
+  let contents;
+  let stat;
+  try {
+    [contents, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+  } catch (error) {
+    // Gone; the next attempt will tell
+    return null;
+  }
+  try {
+    return { ...JSON.parse(contents), heartbeatAt: stat.mtimeMs };
+  } catch (error) {
+    // Caught half-written, or left empty or garbled by a crash. Only its age tells which
+    return { unreadable: true, heartbeatAt: stat.mtimeMs };
+  }
+}
+
+// A lock is stale when its owner died on this host, or it stopped heartbeating (any host)
+function isStale(holder, staleMs) {
+  if (!holder.unreadable && holder.hostname === os.hostname() && !isProcessAlive(holder.pid)) {
+    return true;
+  }
+  return Date.now() - holder.heartbeatAt > staleMs;
+}
+
+/**
+ * Moves a stale lock out of the way. A rename is atomic, so when several processes find the
+ * same stale lock only one of them gets it. If the file it got is not the stale one but a lock
+ * another process took in the meantime, it is put back and nothing is removed.
+ */
+async function removeStaleLock(lockPath, holder, token) {
+  const movedPath = `${lockPath}.${token}.stale`;
+  try {
+    await fs.rename(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  // An unreadable lock has no token, it must at least be the same file, untouched since
+  const moved = await readLock(movedPath);
+  const same =
+    moved &&
+    moved.token === holder.token &&
+    (!holder.unreadable || (moved.unreadable && moved.heartbeatAt === holder.heartbeatAt));
+  if (!same) {
+    // link fails instead of overwriting when yet another lock was created since
+    await fs.link(movedPath, lockPath).catch(() => {});
+    await fs.rm(movedPath, { force: true });
+    return false;
+  }
+  await fs.rm(movedPath, { force: true });
+  return true;
+}
+
+/**
+ * Cross-process lock: a file created with O_EXCL holding the owner's pid and host. The owner
+ * touches it regularly, so a crashed process on another machine (shared disk) is noticed too.
+ */
+async function acquireLock(account) {
+  const lockPath = getLockPath(account);
+  const staleMs = (config.settings.staleLockSeconds || DEFAULT_STALE_LOCK_SECONDS) * 1000;
+  const timeoutMs = (config.settings.runLockTimeout ?? DEFAULT_LOCK_TIMEOUT_SECONDS) * 1000;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeoutMs;
+  let waitingLogged = false;
+
+  for (;;) {
+    try {
+      const contents = {
+        token,
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquiredAt: new Date().toISOString(),
+      };
+      await fs.writeFile(lockPath, JSON.stringify(contents), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = await readLock(lockPath);
+    if (holder && isStale(holder, staleMs)) {
+      if (await removeStaleLock(lockPath, holder, token)) {
+        logger.warn(`Removed stale run lock for account ${account.name}`, {
+          pid: holder.pid,
+          hostname: holder.hostname,
+          acquiredAt: holder.acquiredAt,
+          unreadable: holder.unreadable,
+        });
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new RunLockTimeoutError(account.name, holder?.unreadable ? null : holder);
+    }
+    if (!waitingLogged && holder && !holder.unreadable) {
+      logger.info(`Account ${account.name} is being processed by pid ${holder.pid}, waiting...`);
+      waitingLogged = true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL_MS));
+  }
+
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, staleMs / 3);
+  heartbeat.unref();
+
+  return async () => {
+    clearInterval(heartbeat);
+    // Only remove the file if it is still ours, it may have been taken over as stale
+    const holder = await readLock(lockPath);
+    if (holder && holder.token === token) {
+      await fs.rm(lockPath, { force: true });
+    }
+  };
+}
+
+/**
+ * Runs task while holding the account's run lock. Within this process runs for the same account
+ * are queued; with coalesce set, a request made while another coalescing run is still waiting
+ * joins that run instead of queueing one more (e.g. several IDLE notifications in a row).
+ */
+function runExclusive(account, task, { coalesce = false } = {}) {
+  const queue = accountQueues.get(account.name) || { tail: Promise.resolve(), pending: null };
+  accountQueues.set(account.name, queue);
+
+  if (coalesce && queue.pending) {
+    logger.debug(`Joining the queued run for account ${account.name}`);
+    return queue.pending;
+  }
+
+  const run = queue.tail.then(async () => {
+    if (queue.pending === run) {
+      queue.pending = null;
+    }
+    const release = await acquireLock(account);
+    try {
+      return await task();
+    } finally {
+      await release();
+    }
+  });
+
+  if (coalesce) {
+    queue.pending = run;
+  }
+  queue.tail = run.catch(() => {});
+  return run;
+}
+
+module.exports = { runExclusive, RunLockTimeoutError };
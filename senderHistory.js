@@ -0,0 +1,168 @@
+const config = require('./config');
+const { JsonStore } = require('./jsonStore');
+
+const DEFAULT_THRESHOLD = 10;
+
+// Shared by unrelated people, so a streak for the domain says nothing about the next sender
+const FREEMAIL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'msn.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'fastmail.com',
+]);
+
+const store = new JsonStore(() => config.settings.senderHistoryFilePath || 'senderHistory.json', {
+  description: 'the sender history',
+});
+
+function getDomain(address) {
+  return address.split('@').pop();
+}
+
+function getAccountHistory(history, accountName) {
+  history.accounts = history.accounts || {};
+  history.accounts[accountName] = history.accounts[accountName] || { addresses: {}, domains: {} };
+  return history.accounts[accountName];
+}
+
+// Each sender keeps a streak of identical decisions; any different decision or correction resets it
+function recordOn(records, key, decision) {
+  const record = records[key] || { total: 0, corrections: 0, streak: null };
+  record.total++;
+  if (
+    record.streak &&
+    record.streak.judgment === decision.judgment &&
+    record.streak.category === decision.category
+  ) {
+    record.streak.count++;
+  } else {
+    record.streak = { judgment: decision.judgment, category: decision.category, count: 1 };
+  }
+  record.lastSeen = new Date().toISOString();
+  records[key] = record;
+}
+
+async function recordDecision(accountName, fromAddress, analysis) {
+  if (!config.settings.useSenderHistory || !fromAddress || typeof analysis.judgment !== 'boolean') {
+    return;
+  }
+
+  // Kept emails aren't sorted, so only the judgment has to be consistent for them
+  const decision = {
+    judgment: analysis.judgment,
+    category: analysis.judgment ? '' : analysis.category,
+  };
+  await store.update((history) => {
+    const accountHistory = getAccountHistory(history, accountName);
+    recordOn(accountHistory.addresses, fromAddress, decision);
+    const domain = getDomain(fromAddress);
+    if (!FREEMAIL_DOMAINS.has(domain)) {
+      recordOn(accountHistory.domains, domain, decision);
+    }
+  });
+}
+
+async function recordSenderCorrection(accountName, fromAddress) {
+  if (!fromAddress) {
+    return;
+  }
+
+  await store.update((history) => {
+    const accountHistory = getAccountHistory(history, accountName);
+    const records = [
+      accountHistory.addresses[fromAddress],
+      accountHistory.domains[getDomain(fromAddress)],
+    ];
+    for (const record of records.filter(Boolean)) {
+      record.corrections++;
+      record.streak = null;
+    }
+  });
+}
+
+/**
+ * Classifies an email from its sender's history when the last senderHistoryThreshold decisions
+ * for the address (or failing that, its domain) were all the same. Returns null when the model
+ * should be asked.
+ */
+async function lookupSender(account, fromAddress) {
+  if (!config.settings.useSenderHistory || !fromAddress) {
+    return null;
+  }
+
+  const threshold = config.settings.senderHistoryThreshold || DEFAULT_THRESHOLD;
+  const accountHistory = (await store.read()).accounts?.[account.name];
+  if (!accountHistory) {
+    return null;
+  }
+
+  const domain = getDomain(fromAddress);
+  const address = accountHistory.addresses[fromAddress];
+  // A sender with a history of its own is never overruled by its domain
+  const [record, key] = address ? [address, fromAddress] : [accountHistory.domains[domain], domain];
+  const streak = record?.streak;
+  if (!streak || streak.count < threshold) {
+    return null;
+  }
+  // The folder may have been removed from the config since
+  if (!streak.judgment && !account.categoryFolderNames.includes(streak.category)) {
+    return null;
+  }
+
+  return {
+    judgment: streak.judgment,
+    category: streak.category,
+    explanation: `Sender history: the last ${streak.count} emails from ${key} were all ${
+      streak.judgment ? 'kept' : `sorted into ${streak.category}`
+    }`,
+    source: 'history',
+  };
+}
+
+async function getSenderHistory(accountName) {
+  const history = await store.read();
+  return accountName
+    ? { [accountName]: history.accounts?.[accountName] || null }
+    : history.accounts;
+}
+
+// Forget one address or domain, or the whole history of an account
+async function resetSenderHistory(accountName, sender) {
+  return store.update((history) => {
+    const accountHistory = getAccountHistory(history, accountName);
+    if (!sender) {
+      const removed =
+        Object.keys(accountHistory.addresses).length + Object.keys(accountHistory.domains).length;
+      delete history.accounts[accountName];
+      return removed;
+    }
+
+    const key = sender.trim().toLowerCase().replace(/^@/, '');
+    let removed = 0;
+    for (const records of [accountHistory.addresses, accountHistory.domains]) {
+      if (records[key]) {
+        delete records[key];
+        removed++;
+      }
+    }
+    return removed;
+  });
+}
+
+module.exports = {
+  recordDecision,
+  recordSenderCorrection,
+  lookupSender,
+  getSenderHistory,
+  resetSenderHistory,
+};
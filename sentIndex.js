@@ -0,0 +1,148 @@
+const config = require('./config');
+const { JsonStore } = require('./jsonStore');
+const { logger } = require('./logger');
+
+const DEFAULT_INDEX_DAYS = 365;
+// IDLE can start a run for every new email, the Sent folder doesn't need checking that often
+const MIN_SYNC_INTERVAL_MS = 60 * 1000;
+const SENT_FOLDER_NAMES = ['Sent', 'Sent Items', 'Sent Messages', 'Sent Mail', '[Gmail]/Sent Mail'];
+
+// Per account: the Sent folder it was built from and every Message-ID in it with its date
+let indexes = null;
+const lastSynced = new Map();
+// Kept compact, an index can hold a year of sent mail
+const store = new JsonStore(() => config.settings.sentIndexFilePath || 'sentIndex.json', {
+  description: 'the sent index',
+  indent: 0,
+});
+
+// "<abc@host>" and "abc@host" are the same message
+function normalizeMessageId(messageId) {
+  return String(messageId || '')
+    .trim()
+    .replace(/^<|>$/g, '');
+}
+
+async function loadIndexes() {
+  if (!indexes) {
+    indexes = (await store.read()).accounts || {};
+  }
+  return indexes;
+}
+
+async function findSentFolder(client, account) {
+  if (account.sentFolderName) {
+    return account.sentFolderName;
+  }
+  const folders = await client.list();
+  const flagged = folders.find((folder) => folder.specialUse === '\\Sent');
+  if (flagged) {
+    return flagged.path;
+  }
+  const named = folders.find((folder) => SENT_FOLDER_NAMES.includes(folder.path));
+  return named ? named.path : null;
+}
+
+/**
+ * Adds the Message-IDs of everything sent since the last sync to the account's index, and drops
+ * the ones older than sentIndexDays. Like the INBOX checkpoint, only UIDs after the last indexed
+ * one are fetched, and the index is rebuilt when the folder's UIDVALIDITY changes.
+ */
+async function syncSentIndex(client, account, { force = false } = {}) {
+  if (!config.settings.detectReplies) {
+    return null;
+  }
+  const previous = lastSynced.get(account.name);
+  if (!force && previous && Date.now() - previous < MIN_SYNC_INTERVAL_MS) {
+    return null;
+  }
+  lastSynced.set(account.name, Date.now());
+
+  const sentFolder = await findSentFolder(client, account);
+  if (!sentFolder) {
+    logger.warn(`No Sent folder found for account ${account.name}, set sentFolderName`);
+    return null;
+  }
+
+  const all = await loadIndexes();
+  const days = config.settings.sentIndexDays ?? DEFAULT_INDEX_DAYS;
+  const cutoff = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+
+  const lock = await client.getMailboxLock(sentFolder);
+  try {
+    const uidValidity = String(client.mailbox.uidValidity);
+    let index = all[account.name];
+    let searchCriteria;
+    if (index && index.mailbox === sentFolder && index.uidValidity === uidValidity) {
+      searchCriteria = { uid: `${index.lastUid + 1}:*` };
+    } else {
+      logger.info(`Building the sent index for account ${account.name} from ${sentFolder}`);
+      index = { mailbox: sentFolder, uidValidity, lastUid: 0, messageIds: {} };
+      searchCriteria = cutoff ? { since: new Date(cutoff) } : { all: true };
+    }
+
+    let added = 0;
+    for await (const message of client.fetch(searchCriteria, { envelope: true, uid: true })) {
+      // "n:*" always matches the newest message, even when it was indexed already
+      if (message.uid <= index.lastUid) {
+        continue;
+      }
+      index.lastUid = message.uid;
+      const messageId = normalizeMessageId(message.envelope?.messageId);
+      if (messageId) {
+        index.messageIds[messageId] = message.envelope.date
+          ? new Date(message.envelope.date).getTime()
+          : Date.now();
+        added++;
+      }
+    }
+
+    for (const [messageId, sentAt] of Object.entries(index.messageIds)) {
+      if (sentAt < cutoff) {
+        delete index.messageIds[messageId];
+      }
+    }
+
+    all[account.name] = index;
+    await store.write({ accounts: indexes });
+    logger.debug(`Sent index updated with ${added} message(s)`, {
+      account: account.name,
+      total: Object.keys(index.messageIds).length,
+    });
+    return { added, total: Object.keys(index.messageIds).length };
+  } finally {
+    lock.release();
+  }
+}
+
+function isAutoReply(headers = {}) {
+  const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+  return (
+    (autoSubmitted && autoSubmitted !== 'no') ||
+    /auto_reply/i.test(headers.precedence || '') ||
+    headers['x-autoreply'] !== undefined ||
+    headers['x-autorespond'] !== undefined
+  );
+}
+
+/**
+ * Where an email sits in its conversation, from its In-Reply-To and References headers: whether
+ * it answers a message this account sent, how long the thread is and how many of its messages
+ * were sent by this account. Synchronous, it only looks at the index loaded by syncSentIndex.
+ */
+function getThreadInfo(account, emailData) {
+  const sent = indexes?.[account.name]?.messageIds || {};
+  const inReplyTo = normalizeMessageId(emailData.inReplyTo);
+  const references = (emailData.references || []).map(normalizeMessageId).filter(Boolean);
+  const earlier = new Set(inReplyTo ? [...references, inReplyTo] : references);
+
+  return {
+    isReply: earlier.size > 0,
+    isReplyToMe: Boolean(inReplyTo && sent[inReplyTo]),
+    isAutoReply: isAutoReply(emailData.headers),
+    threadLength: earlier.size + 1,
+    sentByMeInThread: Array.from(earlier).filter((messageId) => sent[messageId]).length,
+  };
+}
+
+module.exports = { syncSentIndex, getThreadInfo };
@@ -2,35 +2,31 @@ const cors = require('cors');
 const express = require('express');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const winston = require('winston');
 const config = require('./config');
 require('dotenv').config();
+const { getConfigPath, watchConfig, onConfigReload } = require('./configLoader');
 
-// Configure Winston logger with console transport by default
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.colorize(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-  ],
-});
-
-// Export logger for use in other modules
-module.exports.logger = logger;
+const { logger } = require('./logger');
 
 const app = express();
 const port = config.settings.portNumber;
 
-const { getLastTimestamp } = require('./utilities');
-const { processEmails } = require('./processEmails');
+const { getDryRunReport } = require('./utilities');
+const { processAllAccounts } = require('./processEmails');
+const { jobManager } = require('./jobManager');
+const { getAccount, getAccounts, getAccountFilePath } = require('./accounts');
+const { IdleWatcher } = require('./idleWatcher');
+const { getAllState, resetMailboxState } = require('./stateStore');
+const { readJournal, undoActions } = require('./actionJournal');
+const { getCorrections } = require('./correctionTracker');
+const { getSenderHistory, resetSenderHistory } = require('./senderHistory');
+const { getResponseCache } = require('./responseCache');
+const { authenticate, requireScope, corsOptions, getApiKeys } = require('./auth');
+const { renderMetrics } = require('./metrics');
+const { getUnsubscribeLog } = require('./unsubscriber');
+const { sendDigest, sendAllDigests, startDigestSchedule } = require('./digest');
+const { RunLockTimeoutError } = require('./runCoordinator');
+const { getNotificationLog } = require('./notifier');
 
 // Error handling middleware
 const errorHandler = (err, req, res, _next) => {
@@ -45,11 +41,25 @@ async function main() {
   logger.info('Starting email processing service...');
   logger.info(`Mode: ${config.settings.runAsServerOrScript === 'server' ? 'Server' : 'Script'}`);
 
+  if (config.settings.reloadConfigOnChange !== false) {
+    watchConfig(config, getConfigPath());
+    onConfigReload((next, before) => {
+      for (const key of ['runAsServerOrScript', 'portNumber', 'useIdle']) {
+        if (next.settings[key] !== before.settings[key]) {
+          logger.warn(`settings.${key} changed, restart clearmail for it to take effect`);
+        }
+      }
+    });
+  }
+
+  // Runs in both modes, does nothing until digest.enabled is set
+  startDigestSchedule();
+
   if (config.settings.runAsServerOrScript === 'server') {
     try {
       // Security middleware
       app.use(helmet());
-      app.use(cors());
+      app.use(cors(corsOptions));
       app.use(morgan('combined'));
       app.use(express.json());
       app.use(express.urlencoded({ extended: true }));
@@ -63,18 +73,264 @@ async function main() {
         });
       });
 
-      app.get('/process-emails', async (req, res, next) => {
+      // Everything below needs an API key, see server.apiKeys in config.yml
+      if (getApiKeys().length === 0) {
+        logger.warn('No API keys configured, every request except /health will be rejected');
+      }
+      app.use(authenticate);
+
+      app.get('/process-emails', requireScope('run'), async (req, res, next) => {
+        try {
+          logger.info('Manual email processing triggered', {
+            account: req.query.account,
+            key: req.apiKey.name,
+          });
+
+          const dryRun =
+            req.query.dryRun !== undefined
+              ? req.query.dryRun === 'true'
+              : config.settings.dryRun || false;
+
+          // Every account is processed unless ?account=<name> picks one. ?timestamp=<ISO date>
+          // searches by date instead of continuing from the saved checkpoint. Runs as a job so it
+          // waits for (instead of overlapping) a run that is already going
+          const job = jobManager.createJob({
+            account: req.query.account,
+            timestamp: req.query.timestamp || null,
+            dryRun,
+            requestedBy: req.apiKey.name,
+          });
+          await job.done;
+          if (!job.result) {
+            return res.status(500).json({ jobId: job.id, status: job.status, error: job.error });
+          }
+          res.status(job.result.statusCode).json({ jobId: job.id, ...job.result });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Start a run in the background and return its job ID right away. Body (all optional):
+      // { "account", "folder", "timestamp", "limit", "dryRun" }
+      app.post('/jobs', requireScope('run'), (req, res) => {
+        const { account, folder, timestamp, limit, dryRun } = req.body || {};
+        if (account && !getAccount(account)) {
+          return res.status(404).json({ error: `Unknown account: ${account}` });
+        }
+        if (timestamp && Number.isNaN(Date.parse(timestamp))) {
+          return res.status(400).json({ error: 'timestamp must be an ISO date' });
+        }
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+          return res.status(400).json({ error: 'limit must be a positive integer' });
+        }
+        if (folder !== undefined && (typeof folder !== 'string' || !folder)) {
+          return res.status(400).json({ error: 'folder must be a folder name' });
+        }
+
+        const job = jobManager.createJob({
+          account,
+          folder,
+          timestamp: timestamp || null,
+          limit,
+          dryRun: dryRun !== undefined ? dryRun === true : config.settings.dryRun || false,
+          requestedBy: req.apiKey.name,
+        });
+        res.status(202).json({ jobId: job.id, status: job.status, url: `/jobs/${job.id}` });
+      });
+
+      app.get('/jobs', (req, res) => {
+        res.status(200).json({ jobs: jobManager.list().map((job) => jobManager.describe(job)) });
+      });
+
+      app.get('/jobs/:id', (req, res) => {
+        const job = jobManager.get(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+        }
+        res.status(200).json(jobManager.describe(job));
+      });
+
+      // Cancels a queued job, or stops a running one once its current batch is done
+      app.delete('/jobs/:id', requireScope('run'), (req, res) => {
+        const job = jobManager.cancel(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+        }
+        res.status(200).json(jobManager.describe(job));
+      });
+
+      // Prometheus scrape endpoint, see metrics.js for what is collected
+      app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(renderMetrics());
+      });
+
+      // Latest dry run report: what would have been flagged, marked read or moved
+      app.get('/dry-run-report', async (req, res, next) => {
+        try {
+          const account = req.query.account ? getAccount(req.query.account) : getAccounts()[0];
+          if (!account) {
+            return res.status(404).json({ error: `Unknown account: ${req.query.account}` });
+          }
+          const report = await getDryRunReport(
+            getAccountFilePath(config.settings.dryRunReportPath || 'dryRunReport.json', account)
+          );
+          if (!report) {
+            return res.status(404).json({ error: 'No dry run report found' });
+          }
+          res.status(200).json(report);
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Saved UID checkpoints for every account and mailbox
+      app.get('/state', async (req, res, next) => {
+        try {
+          res.status(200).json(await getAllState());
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Drop an account's checkpoint so the next run resyncs from initialSyncDays back
+      app.post('/state/resync', requireScope('run'), async (req, res, next) => {
+        try {
+          const account = req.body?.account ? getAccount(req.body.account) : getAccounts()[0];
+          if (!account) {
+            return res.status(404).json({ error: `Unknown account: ${req.body.account}` });
+          }
+          const mailbox = req.body?.mailbox || 'INBOX';
+          await resetMailboxState(account.name, mailbox);
+          logger.info(`Checkpoint reset, next run resyncs ${mailbox}`, { account: account.name });
+          res.status(200).json({ account: account.name, mailbox, status: 'reset' });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Journal of every move and flag change, optionally filtered by run
+      app.get('/journal', async (req, res, next) => {
+        try {
+          const entries = await readJournal();
+          const filtered = entries.filter(
+            (entry) =>
+              (!req.query.runId || entry.runId === req.query.runId) &&
+              (!req.query.account || (entry.account || 'default') === req.query.account)
+          );
+          const limit = parseInt(req.query.limit, 10) || 500;
+          res.status(200).json({ entries: filtered.slice(-limit) });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Emails the user moved or starred after clearmail sorted them, used as prompt examples
+      app.get('/corrections', async (req, res, next) => {
         try {
-          logger.info('Manual email processing triggered');
-          let timestamp = null;
+          const corrections = await getCorrections(req.query.account);
+          res.status(200).json({ corrections });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Every unsubscribe attempt with its outcome, optionally for one ?account=
+      app.get('/unsubscribes', async (req, res, next) => {
+        try {
+          res.status(200).json({ attempts: await getUnsubscribeLog(req.query.account) });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Every notification sent or given up on, optionally for one ?account=
+      app.get('/notifications', async (req, res, next) => {
+        try {
+          res.status(200).json({ notifications: await getNotificationLog(req.query.account) });
+        } catch (error) {
+          next(error);
+        }
+      });
 
-          if (config.settings.useTimestampFilter) {
-            timestamp =
-              req.query.timestamp || (await getLastTimestamp(config.settings.timestampFilePath));
+      // Send the digest of filtered mail now instead of waiting for digest.time, for one
+      // { "account": "..." } or all of them
+      app.post('/digest', requireScope('run'), async (req, res, next) => {
+        try {
+          if (!req.body?.account) {
+            return res.status(200).json({ results: await sendAllDigests() });
+          }
+          const account = getAccount(req.body.account);
+          if (!account) {
+            return res.status(404).json({ error: `Unknown account: ${req.body.account}` });
+          }
+          res.status(200).json({ results: [await sendDigest(account)] });
+        } catch (error) {
+          if (error instanceof RunLockTimeoutError) {
+            return res.status(409).json({ error: error.message });
           }
+          next(error);
+        }
+      });
+
+      // Per-sender decision streaks used to skip the model for consistent senders
+      app.get('/senders', async (req, res, next) => {
+        try {
+          const history = await getSenderHistory(req.query.account);
+          res.status(200).json({ accounts: history });
+        } catch (error) {
+          next(error);
+        }
+      });
 
-          const results = await processEmails(timestamp);
-          res.status(results.statusCode).json(results);
+      // Forget one address or domain (?sender=), or an account's whole history
+      app.delete('/senders', requireScope('run'), async (req, res, next) => {
+        try {
+          const account = req.query.account ? getAccount(req.query.account) : getAccounts()[0];
+          if (!account) {
+            return res.status(404).json({ error: `Unknown account: ${req.query.account}` });
+          }
+          const removed = await resetSenderHistory(account.name, req.query.sender);
+          logger.info('Sender history reset', {
+            account: account.name,
+            sender: req.query.sender,
+            removed,
+          });
+          res.status(200).json({ account: account.name, sender: req.query.sender, removed });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Hit/miss counters and size of the model response cache
+      app.get('/cache/stats', async (req, res, next) => {
+        try {
+          res.status(200).json(await getResponseCache().stats());
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      app.delete('/cache', requireScope('run'), async (req, res, next) => {
+        try {
+          const removed = await getResponseCache().purge();
+          res.status(200).json({ removed });
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Reverse a whole run or every change for one sender: { "runId": "..." } or { "sender": "..." },
+      // optionally limited to one { "account": "..." }
+      app.post('/undo', requireScope('run'), async (req, res, next) => {
+        try {
+          const { runId, sender, account } = req.body || {};
+          if (!runId && !sender) {
+            return res.status(400).json({ error: 'runId or sender is required' });
+          }
+          logger.info('Undo triggered', { runId, sender, account });
+          const summary = await undoActions({ runId, sender, account });
+          res.status(summary.errors > 0 ? 207 : 200).json(summary);
         } catch (error) {
           next(error);
         }
@@ -89,6 +345,7 @@ async function main() {
         logger.info(`Server running at http://localhost:${port}`);
         logger.info(`Health check: http://localhost:${port}/health`);
         logger.info(`Process emails: http://localhost:${port}/process-emails`);
+        logger.info(`Dry run report: http://localhost:${port}/dry-run-report`);
         logger.info('='.repeat(50));
       });
 
@@ -115,26 +372,53 @@ async function main() {
     }
   } else {
     // Script mode
-    logger.info('Starting in script mode with periodic email checking');
-    const refreshIntervalMilliseconds = config.settings.refreshInterval * 1000;
-
-    const runProcessEmailsPeriodically = async () => {
-      try {
-        logger.info('Checking for new emails...');
-        const timestamp = await getLastTimestamp(config.settings.timestampFilePath);
-        const results = await processEmails(timestamp);
-        logger.info('Email processing completed', { results });
-      } catch (error) {
-        logger.error('Failed to process emails:', error);
-      } finally {
-        // Schedule next run regardless of success/failure
-        setTimeout(runProcessEmailsPeriodically, refreshIntervalMilliseconds);
-      }
-    };
+    logger.info('Starting in script mode with periodic email checking', {
+      accounts: getAccounts().map((account) => account.name),
+    });
+    if (config.settings.dryRun) {
+      logger.info(
+        `Dry run enabled: no emails will be changed, proposed actions go to ${
+          config.settings.dryRunReportPath || 'dryRunReport.json'
+        }`
+      );
+    }
+    let watchers = [];
+
+    if (config.settings.useIdle) {
+      // One long-lived connection per account, new mail is pushed to us via IMAP IDLE
+      logger.info('Using IMAP IDLE to process new emails as they arrive');
+      const startWatchers = () => {
+        watchers = getAccounts().map((account) => new IdleWatcher(account));
+        watchers.forEach((watcher) => watcher.start());
+      };
+      startWatchers();
 
-    // Run immediately once, then it will self-schedule
-    logger.info(`Setting up periodic checks every ${config.settings.refreshInterval} seconds`);
-    runProcessEmailsPeriodically();
+      // Watchers hold the account settings they were started with, so reconnect them on change
+      onConfigReload(async (next, before) => {
+        if (JSON.stringify(next.accounts) !== JSON.stringify(before.accounts)) {
+          logger.info('Accounts changed, restarting IDLE watchers');
+          await Promise.all(watchers.map((watcher) => watcher.stop()));
+          startWatchers();
+        }
+      });
+    } else {
+      const runProcessEmailsPeriodically = async () => {
+        try {
+          logger.info('Checking for new emails...');
+          const results = await processAllAccounts();
+          logger.info('Email processing completed', { results });
+        } catch (error) {
+          logger.error('Failed to process emails:', error);
+        } finally {
+          // Schedule next run regardless of success/failure, with the interval of the current config
+          setTimeout(runProcessEmailsPeriodically, config.settings.refreshInterval * 1000);
+        }
+      };
+
+      // Run immediately once, then it will self-schedule
+      logger.info(`Setting up periodic checks every ${config.settings.refreshInterval} seconds`);
+      runProcessEmailsPeriodically();
+    }
 
     // Keep the process alive
     const keepAlive = setInterval(() => {
@@ -142,9 +426,10 @@ async function main() {
     }, 60000);
 
     // Cleanup on script termination
-    const cleanup = () => {
+    const cleanup = async () => {
       logger.info('Received termination signal, cleaning up...');
       clearInterval(keepAlive);
+      await Promise.all(watchers.map((watcher) => watcher.stop()));
       process.exit(0);
     };
 
@@ -0,0 +1,42 @@
+const config = require('./config');
+const { JsonStore } = require('./jsonStore');
+
+const store = new JsonStore(() => config.settings.stateFilePath || 'clearmailState.json', {
+  description: 'the state file',
+});
+
+/**
+ * Checkpoint for one mailbox of one account:
+ * { uidValidity, lastUid, failedUids: { [uid]: attempts }, updatedAt }
+ * Returns null if the mailbox has never been processed.
+ */
+async function getMailboxState(accountName, mailbox) {
+  const state = await store.read();
+  return state.accounts?.[accountName]?.mailboxes?.[mailbox] || null;
+}
+
+async function saveMailboxState(accountName, mailbox, mailboxState) {
+  await store.update((state) => {
+    state.accounts = state.accounts || {};
+    state.accounts[accountName] = state.accounts[accountName] || { mailboxes: {} };
+    state.accounts[accountName].mailboxes[mailbox] = {
+      ...mailboxState,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+}
+
+// Forget the checkpoint so the next run does a full resync of the mailbox
+async function resetMailboxState(accountName, mailbox) {
+  await store.update((state) => {
+    if (state.accounts?.[accountName]?.mailboxes) {
+      delete state.accounts[accountName].mailboxes[mailbox];
+    }
+  });
+}
+
+async function getAllState() {
+  return store.read();
+}
+
+module.exports = { getMailboxState, saveMailboxState, resetMailboxState, getAllState };
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { undoActions } = require('./actionJournal');
+const { logger } = require('./logger');
+
+// Usage: node undo.js --run <runId> [--account <name>]
+//        node undo.js --sender <address or domain> [--account <name>]
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--run') {
+      args.runId = argv[++i];
+    } else if (argv[i] === '--sender') {
+      args.sender = argv[++i];
+    } else if (argv[i] === '--account') {
+      args.account = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { runId, sender, account } = parseArgs(process.argv.slice(2));
+  if (!runId && !sender) {
+    logger.error(
+      'Usage: node undo.js --run <runId> | --sender <address or domain> [--account <name>]'
+    );
+    process.exit(1);
+  }
+
+  const summary = await undoActions({ runId, sender, account });
+  logger.info(
+    `Restored ${summary.undone} of ${summary.total} email(s) (${summary.notFound} not found, ${summary.errors} errors)`,
+    { undoRunId: summary.undoRunId }
+  );
+  process.exit(summary.errors > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  logger.error('Undo failed:', error);
+  process.exit(1);
+});
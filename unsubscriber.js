@@ -0,0 +1,284 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const config = require('./config');
+const { JsonlLog } = require('./jsonlLog');
+const { createSmtpTransport, getSenderAddress } = require('./utilities');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_CATEGORY = 'Auto/Unsubscribe';
+const DEFAULT_TIMEOUT_MS = 10000;
+const ONE_CLICK_BODY = 'List-Unsubscribe=One-Click';
+
+// Loopback, link-local, private and other non-public ranges. The one-click URL comes from the
+// email, a POST there must not reach the local network unless the domain is on allowDomains
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const attemptLog = new JsonlLog(() => getSettings().logFilePath || 'unsubscribeLog.jsonl', {
+  description: 'unsubscribe log',
+});
+// Unsubscribes run one at a time in the background, so a run never waits on a slow list server
+let queue = Promise.resolve();
+
+function getSettings() {
+  return config.unsubscribe || {};
+}
+
+async function recordAttempt(attempt) {
+  const entry = await attemptLog.append(attempt);
+  metrics.unsubscribes.inc({ method: entry.method || '', outcome: entry.outcome });
+  return entry;
+}
+
+// "<mailto:a@b?subject=x>, <https://c/d>" -> ['mailto:a@b?subject=x', 'https://c/d']
+function parseListUnsubscribe(header) {
+  return Array.from((header || '').matchAll(/<([^>]+)>/g)).map((match) => match[1].trim());
+}
+
+function matchesDomain(domain, list = []) {
+  const actual = (domain || '').toLowerCase();
+  return list.some((entry) => {
+    const wanted = String(entry).toLowerCase().replace(/^@/, '');
+    return actual === wanted || actual.endsWith(`.${wanted}`);
+  });
+}
+
+/**
+ * Picks how to unsubscribe from the headers alone, never from links in the body: an RFC 8058
+ * one-click POST when the sender offers one, otherwise a mailto. A plain https link would open
+ * a web page that may want clicks or confirmation, so it is not used.
+ */
+function planUnsubscribe(emailData) {
+  const headers = emailData.headers || {};
+  const uris = parseListUnsubscribe(headers['list-unsubscribe']);
+  const oneClick = /List-Unsubscribe=One-Click/i.test(headers['list-unsubscribe-post'] || '');
+  const schemes = getSettings().allowHttp ? ['https:', 'http:'] : ['https:'];
+
+  if (oneClick) {
+    for (const uri of uris) {
+      try {
+        const url = new URL(uri);
+        if (schemes.includes(url.protocol)) {
+          return {
+            method: 'post',
+            target: uri,
+            domain: url.hostname,
+            key: url.origin + url.pathname,
+          };
+        }
+      } catch (error) {
+        // Not a URL, try the next one
+      }
+    }
+  }
+
+  const mailto = uris.find((uri) => uri.toLowerCase().startsWith('mailto:'));
+  if (mailto) {
+    const [address, query = ''] = mailto.substring('mailto:'.length).split('?');
+    const to = decodeURIComponent(address).toLowerCase();
+    const params = new URLSearchParams(query);
+    return {
+      method: 'mailto',
+      target: mailto,
+      domain: to.split('@').pop(),
+      key: `mailto:${to}`,
+      to,
+      subject: params.get('subject') || 'unsubscribe',
+      body: params.get('body') || 'unsubscribe',
+    };
+  }
+  return null;
+}
+
+// A reason not to unsubscribe from this email, or null when it's fine to go ahead
+function checkPolicy(emailData, plan) {
+  const settings = getSettings();
+  const senderDomain = (emailData.fromAddress || '').split('@').pop();
+  const domains = [senderDomain, plan.domain];
+
+  if (domains.some((domain) => matchesDomain(domain, settings.denyDomains))) {
+    return 'domain is on the deny list';
+  }
+  if (
+    (settings.allowDomains || []).length > 0 &&
+    !domains.some((domain) => matchesDomain(domain, settings.allowDomains))
+  ) {
+    return 'domain is not on the allow list';
+  }
+  // The unsubscribe headers of a forged email point wherever the forger wants
+  if (emailData.signals?.authenticationFailed) {
+    return 'sender failed authentication';
+  }
+  return null;
+}
+
+function isPrivateAddress(address) {
+  // ::ffff:127.0.0.1 is 127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedPrivate(plan) {
+  return matchesDomain(plan.domain, getSettings().allowDomains);
+}
+
+// A reason not to POST to the one-click host, or null. A failed lookup is left to the POST
+async function checkHost(plan) {
+  if (isAllowedPrivate(plan)) {
+    return null;
+  }
+  try {
+    const addresses = await dns.promises.lookup(plan.domain.replace(/^\[|\]$/g, ''), {
+      all: true,
+    });
+    return addresses.some(({ address }) => isPrivateAddress(address))
+      ? 'host resolves to a private address'
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Checks the address again when connecting, the name could resolve differently the second time
+function privateAddressGuard(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!error && addresses.some(isPrivateAddress)) {
+      callback(new Error(`${hostname} resolves to a private address`));
+      return;
+    }
+    callback(error, address, family);
+  });
+}
+
+async function postOneClick(plan) {
+  const agentOptions = isAllowedPrivate(plan) ? {} : { lookup: privateAddressGuard };
+  const response = await axios.post(plan.target, ONE_CLICK_BODY, {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: getSettings().timeout || DEFAULT_TIMEOUT_MS,
+    maxRedirects: 0,
+    validateStatus: () => true,
+    httpAgent: new http.Agent(agentOptions),
+    httpsAgent: new https.Agent(agentOptions),
+  });
+  return {
+    outcome: response.status >= 200 && response.status < 300 ? 'unsubscribed' : 'failed',
+    status: response.status,
+  };
+}
+
+// Sent from the account's own address, which is the one subscribed to the list
+async function sendMailto(plan, account) {
+  const info = await createSmtpTransport(account).sendMail({
+    from: getSenderAddress(account),
+    to: plan.to,
+    subject: plan.subject,
+    text: plan.body,
+  });
+  return { outcome: 'unsubscribed', status: info.response };
+}
+
+async function unsubscribe(account, emailData) {
+  const base = {
+    account: account.name,
+    messageId: emailData.messageId,
+    from: emailData.fromAddress,
+    subject: emailData.subject,
+    listId: emailData.headers?.['list-id'] || null,
+  };
+
+  // One entry per list: its List-Id when it has one, otherwise where the request goes
+  const plan = planUnsubscribe(emailData);
+  const key = base.listId || plan?.key || `sender:${emailData.fromAddress}`;
+  const history = (await attemptLog.load()).filter(
+    (attempt) => attempt.account === account.name && attempt.key === key
+  );
+  if (history.some((attempt) => attempt.contacted)) {
+    logger.debug(`Already unsubscribed from ${key}, skipping`, { account: account.name });
+    return null;
+  }
+
+  const attempt = { ...base, key, method: plan?.method, target: plan?.target };
+  let reason = plan ? checkPolicy(emailData, plan) : 'no one-click or mailto header';
+  if (!reason && plan.method === 'post') {
+    reason = await checkHost(plan);
+  }
+  if (reason) {
+    // Log a skipped list once, not for every email it sends
+    if (history.length > 0 && history[history.length - 1].reason === reason) {
+      return null;
+    }
+    logger.info(`Not unsubscribing from ${key}: ${reason}`, { account: account.name });
+    return recordAttempt({ ...attempt, outcome: 'skipped', reason });
+  }
+
+  try {
+    const result =
+      plan.method === 'post' ? await postOneClick(plan) : await sendMailto(plan, account);
+    logger.info(`Unsubscribe ${result.outcome} for ${key}`, {
+      account: account.name,
+      method: plan.method,
+      status: result.status,
+    });
+    return recordAttempt({ ...attempt, ...result, contacted: true });
+  } catch (error) {
+    // Nothing reached the list (timeout, refused connection...), so a later email may retry
+    logger.error(`Unsubscribe from ${key} failed:`, { error: error.message });
+    return recordAttempt({
+      ...attempt,
+      outcome: 'failed',
+      reason: error.message,
+      contacted: false,
+    });
+  }
+}
+
+/**
+ * Queues an unsubscribe for an email sorted into the unsubscribe category. Does nothing unless
+ * unsubscribe.enabled is set. Returns the promise of the attempt, which never rejects.
+ */
+function enqueueUnsubscribe(account, emailData, analysis) {
+  const settings = getSettings();
+  if (!settings.enabled || analysis.judgment !== false) {
+    return null;
+  }
+  if (analysis.category !== (settings.category || DEFAULT_CATEGORY)) {
+    return null;
+  }
+
+  const attempt = queue.then(() => unsubscribe(account, emailData));
+  queue = attempt.catch((error) => {
+    logger.error('Unsubscribe worker error:', { error: error.message, stack: error.stack });
+  });
+  return queue;
+}
+
+async function getUnsubscribeLog(accountName) {
+  return (await attemptLog.load()).filter(
+    (attempt) => !accountName || attempt.account === accountName
+  );
+}
+
+module.exports = { enqueueUnsubscribe, getUnsubscribeLog };
@@ -1,18 +1,24 @@
+const { ImapFlow } = require('imapflow');
 const { OpenAI } = require('openai');
+const nodemailer = require('nodemailer');
+const config = require('./config');
 const fs = require('fs').promises;
-const { logger } = require('./server');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
 
 async function executeOpenAIWithRetry(
   params,
   retries = 3,
   backoff = 2500,
   rateLimitRetry = 10,
-  timeoutOverride = 27500
+  timeoutOverride = 27500,
+  clientOptions = {}
 ) {
   const RATE_LIMIT_RETRY_DURATION = 61000; // 61 seconds
 
   const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
+    ...clientOptions,
   });
 
   let attempts = 0;
@@ -48,6 +54,7 @@ async function executeOpenAIWithRetry(
         logger.info(
           `Hit rate limit. Sleeping for 61s... (Attempt ${rateLimitAttempts}/${rateLimitRetry})`
         );
+        metrics.rateLimitSleeps.inc();
         await sleep(RATE_LIMIT_RETRY_DURATION);
         continue; // Don't increase backoff time, just retry
       }
@@ -63,6 +70,47 @@ async function executeOpenAIWithRetry(
   throw error; // If all retries failed, throw the last error encountered
 }
 
+function createImapConnection(account) {
+  logger.info('Creating IMAP connection...', {
+    account: account.name,
+    host: account.host,
+    port: account.port,
+    user: account.auth.user,
+  });
+
+  return new ImapFlow({
+    host: account.host,
+    port: account.port,
+    secure: account.secure,
+    tls: account.tls,
+    auth: account.auth,
+    logger: false, // We'll use our own logger
+  });
+}
+
+/**
+ * SMTP transport for emails clearmail sends itself (unsubscribe requests, digests). Uses the
+ * smtp section of config.yml, logging in as the account unless smtp.userEnv/passwordEnv are set.
+ */
+function createSmtpTransport(account) {
+  const smtp = config.smtp || {};
+  const auth = smtp.userEnv
+    ? { user: process.env[smtp.userEnv], pass: process.env[smtp.passwordEnv] }
+    : account.auth;
+  return nodemailer.createTransport({
+    host: smtp.host || 'smtp.gmail.com',
+    port: smtp.port || 465,
+    secure: smtp.secure !== undefined ? smtp.secure : true,
+    auth: auth?.user ? auth : undefined,
+    connectionTimeout: smtp.timeout || 10000,
+  });
+}
+
+// The address clearmail's own emails are sent from
+function getSenderAddress(account) {
+  return config.smtp?.from || account.auth?.user;
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -80,25 +128,27 @@ function fixJSON(input) {
   );
 }
 
-async function getLastTimestamp(timestampFilePath) {
+async function saveDryRunReport(report, reportFilePath) {
+  await fs.writeFile(reportFilePath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+async function getDryRunReport(reportFilePath) {
   try {
-    const lastTimestamp = await fs.readFile(timestampFilePath, 'utf8');
-    return lastTimestamp;
+    const report = await fs.readFile(reportFilePath, 'utf8');
+    return JSON.parse(report);
   } catch (error) {
-    // If the file doesn't exist, use a date from 3 months ago
-    const threeMonthsAgo = new Date();
-    threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-    return threeMonthsAgo.toISOString();
+    // No dry run has been recorded yet
+    return null;
   }
 }
 
-async function saveLastTimestamp(timestamp, timestampFilePath) {
-  await fs.writeFile(timestampFilePath, timestamp, 'utf8');
-}
-
 module.exports = {
+  createImapConnection,
+  createSmtpTransport,
+  getSenderAddress,
+  sleep,
   executeOpenAIWithRetry,
   fixJSON,
-  getLastTimestamp,
-  saveLastTimestamp,
+  saveDryRunReport,
+  getDryRunReport,
 };